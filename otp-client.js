@@ -0,0 +1,75 @@
+// One-time code flows shared by the client, driver and admin pages: forgot password,
+// phone verification after signup and (clients) sign-in with an SMS code.
+// Uses simple prompts so each page only has to wire its links.
+(function () {
+    async function post(url, data, withAuth) {
+        const headers = { 'Content-Type': 'application/json' };
+        const token = localStorage.getItem('authToken');
+        if (withAuth && token) headers['Authorization'] = `Bearer ${token}`;
+        try {
+            const res = await fetch(url, { method: 'POST', headers, body: JSON.stringify(data || {}) });
+            let json = null;
+            try { json = await res.json(); } catch (e) { json = null; }
+            return { ok: res.ok, status: res.status, json: json || {} };
+        } catch (err) {
+            return { ok: false, status: 0, json: { error: 'Network error. Please try again.' } };
+        }
+    }
+
+    function storeSession(json) {
+        localStorage.setItem('authToken', json.token);
+        if (json.refreshToken) localStorage.setItem('refreshToken', json.refreshToken);
+        if (json.user) localStorage.setItem('authUser', JSON.stringify(json.user));
+    }
+
+    async function forgotPassword(prefill) {
+        const identifier = (prompt('Enter the phone number or email on your account:', prefill || '') || '').trim();
+        if (!identifier) return false;
+
+        const sent = await post('/api/auth/password/forgot', { identifier });
+        if (!sent.ok) { alert(sent.json.error || 'Could not send a reset code.'); return false; }
+
+        const code = (prompt(`${sent.json.message}\nEnter the code:`) || '').trim();
+        if (!code) return false;
+        const password = prompt('Choose a new password:') || '';
+        if (!password.trim()) return false;
+
+        const reset = await post('/api/auth/password/reset', { identifier, code, password });
+        alert(reset.ok ? reset.json.message : (reset.json.error || 'Password reset failed.'));
+        return reset.ok;
+    }
+
+    // For a signed-in user whose phone is not verified yet; `resend` asks for a new code first
+    async function verifyPhone(resend) {
+        if (resend) {
+            const sent = await post('/api/auth/verify-phone/send', {}, true);
+            if (!sent.ok) { alert(sent.json.error || 'Could not send a verification code.'); return false; }
+            if (sent.json.alreadyVerified) return true;
+        }
+
+        const code = (prompt('Enter the verification code we sent to your phone:') || '').trim();
+        if (!code) return false;
+        const res = await post('/api/auth/verify-phone', { code }, true);
+        if (!res.ok) { alert(res.json.error || 'Verification failed.'); return false; }
+        if (res.json.token) localStorage.setItem('authToken', res.json.token);
+        if (res.json.user) localStorage.setItem('authUser', JSON.stringify(res.json.user));
+        return true;
+    }
+
+    async function loginWithCode(prefill) {
+        const phone = (prompt('Enter your phone number:', prefill || '') || '').trim();
+        if (!phone) return false;
+
+        const sent = await post('/api/auth/otp/send', { phone });
+        if (!sent.ok) { alert(sent.json.error || 'Could not send a sign-in code.'); return false; }
+
+        const code = (prompt(`${sent.json.message}\nEnter the code:`) || '').trim();
+        if (!code) return false;
+        const res = await post('/api/auth/otp/login', { phone, code });
+        if (!res.ok || !res.json.token) { alert(res.json.error || 'Sign-in failed.'); return false; }
+        storeSession(res.json);
+        return true;
+    }
+
+    window.TelekaOtp = { forgotPassword, verifyPhone, loginWithCode };
+})();
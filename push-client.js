@@ -0,0 +1,74 @@
+// Web Push subscription helper shared by the client, driver and admin pages.
+// Once signed in, registers /sw.js and stores this device's push subscription on the server.
+(function () {
+    const supported = 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+
+    function authHeaders() {
+        const token = localStorage.getItem('authToken');
+        return token ? { 'Authorization': `Bearer ${token}` } : {};
+    }
+
+    // VAPID public keys are base64url; pushManager.subscribe wants bytes
+    function urlBase64ToUint8Array(base64String) {
+        const padding = '='.repeat((4 - base64String.length % 4) % 4);
+        const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+        const raw = atob(base64);
+        return Uint8Array.from(raw, c => c.charCodeAt(0));
+    }
+
+    async function enable() {
+        if (!supported || !localStorage.getItem('authToken')) return false;
+
+        const permission = Notification.permission === 'default'
+            ? await Notification.requestPermission()
+            : Notification.permission;
+        if (permission !== 'granted') return false;
+
+        try {
+            const registration = await navigator.serviceWorker.register('/sw.js');
+            let subscription = await registration.pushManager.getSubscription();
+            if (!subscription) {
+                const keyResp = await fetch('/api/push/vapid-public-key');
+                if (!keyResp.ok) return false;
+                const { publicKey } = await keyResp.json();
+                subscription = await registration.pushManager.subscribe({
+                    userVisibleOnly: true,
+                    applicationServerKey: urlBase64ToUint8Array(publicKey)
+                });
+            }
+
+            const resp = await fetch('/api/push/subscribe', {
+                method: 'POST',
+                headers: Object.assign({ 'Content-Type': 'application/json' }, authHeaders()),
+                body: JSON.stringify(subscription.toJSON())
+            });
+            return resp.ok;
+        } catch (err) {
+            console.warn('Push subscription failed:', err);
+            return false;
+        }
+    }
+
+    // Call before clearing the auth token on logout
+    async function disable() {
+        if (!supported) return;
+        try {
+            const registration = await navigator.serviceWorker.getRegistration('/sw.js');
+            const subscription = registration && await registration.pushManager.getSubscription();
+            if (!subscription) return;
+            await fetch('/api/push/unsubscribe', {
+                method: 'POST',
+                headers: Object.assign({ 'Content-Type': 'application/json' }, authHeaders()),
+                body: JSON.stringify({ endpoint: subscription.endpoint }),
+                keepalive: true
+            });
+            await subscription.unsubscribe();
+        } catch (err) {
+            console.warn('Push unsubscribe failed:', err);
+        }
+    }
+
+    window.TelekaPush = { enable, disable, supported };
+
+    window.addEventListener('load', () => { enable(); });
+})();
@@ -0,0 +1,143 @@
+// Local stand-in for a mobile money collections API, so payments can be tested offline.
+// Run it next to the server (`npm run mock-payments`) started with PAYMENT_MOCK_ENABLED=true and
+// MTN_MOMO_PROVIDER / AIRTEL_MONEY_PROVIDER unset or `mock`. It answers collection requests, then calls the server back like a real provider,
+// signing each callback with PAYMENT_WEBHOOK_SECRET.
+//
+// The payer number's last digit picks the outcome: 1 declined, 2 insufficient funds, 3 no answer
+// (the server times the payment out); anything else is approved after MOCK_PAYMENT_DELAY_MS.
+// POST /collections/:id/approve or /decline settles a pending one by hand.
+const http = require('http');
+const crypto = require('crypto');
+require('dotenv').config();
+
+const PORT = parseInt(process.env.MOCK_PAYMENT_PORT || '4100', 10);
+const SECRET = process.env.PAYMENT_WEBHOOK_SECRET || 'mock-payment-secret';
+const DELAY_MS = parseInt(process.env.MOCK_PAYMENT_DELAY_MS || '3000', 10);
+const CALLBACK_ATTEMPTS = 3;
+
+// transactionId -> { transactionId, reference, amount, currency, phone, callbackUrl, status, reason, refunds }
+const collections = new Map();
+
+function outcomeFor(phone) {
+  const last = String(phone || '').slice(-1);
+  if (last === '1') return { status: 'failed', reason: 'Payer declined the request' };
+  if (last === '2') return { status: 'failed', reason: 'Insufficient funds' };
+  if (last === '3') return null;
+  return { status: 'succeeded', reason: null };
+}
+
+function sendJson(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      try { resolve(raw ? JSON.parse(raw) : {}); } catch (err) { reject(err); }
+    });
+    req.on('error', reject);
+  });
+}
+
+async function sendCallback(collection) {
+  const body = JSON.stringify({
+    reference: collection.reference,
+    transactionId: collection.transactionId,
+    status: collection.status,
+    reason: collection.reason
+  });
+  for (let attempt = 1; attempt <= CALLBACK_ATTEMPTS; attempt++) {
+    const timestamp = Date.now();
+    const signature = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex');
+    try {
+      const response = await fetch(collection.callbackUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Timestamp': String(timestamp), 'X-Signature': signature },
+        body,
+        signal: AbortSignal.timeout(10000)
+      });
+      console.log(`[MOCK-PAY] Callback for ${collection.transactionId} (${collection.status}) -> HTTP ${response.status}`);
+      if (response.ok) return;
+    } catch (err) {
+      console.warn(`[MOCK-PAY] Callback attempt ${attempt} for ${collection.transactionId} failed: ${err.message}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, attempt * 2000));
+  }
+}
+
+function settle(collection, status, reason) {
+  if (collection.status !== 'pending') return false;
+  collection.status = status;
+  collection.reason = reason || null;
+  if (collection.callbackUrl) sendCallback(collection);
+  return true;
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const parts = url.pathname.split('/').filter(Boolean);
+
+  try {
+    if (req.method === 'GET' && url.pathname === '/health') return sendJson(res, 200, { ok: true, collections: collections.size });
+
+    // Ask the payer to approve: { reference, amount, currency, phone, callbackUrl }
+    if (req.method === 'POST' && url.pathname === '/collections') {
+      const body = await readBody(req);
+      if (!body.reference || !(Number(body.amount) > 0) || !body.phone) {
+        return sendJson(res, 400, { error: 'reference, amount and phone are required' });
+      }
+      const collection = {
+        transactionId: `MOCK-${crypto.randomBytes(6).toString('hex').toUpperCase()}`,
+        reference: String(body.reference),
+        amount: Number(body.amount),
+        currency: body.currency || 'UGX',
+        phone: String(body.phone),
+        callbackUrl: body.callbackUrl || null,
+        status: 'pending',
+        reason: null,
+        refunds: []
+      };
+      collections.set(collection.transactionId, collection);
+      console.log(`[MOCK-PAY] Collect ${collection.currency} ${collection.amount} from ${collection.phone} (${collection.transactionId})`);
+
+      const outcome = outcomeFor(collection.phone);
+      if (outcome) setTimeout(() => settle(collection, outcome.status, outcome.reason), DELAY_MS);
+      return sendJson(res, 202, { transactionId: collection.transactionId, status: 'pending' });
+    }
+
+    const collection = parts[0] === 'collections' && parts[1] ? collections.get(parts[1]) : null;
+    if (parts[0] === 'collections' && parts[1]) {
+      if (!collection) return sendJson(res, 404, { error: 'Unknown transaction' });
+      if (req.method === 'GET' && parts.length === 2) {
+        return sendJson(res, 200, { transactionId: collection.transactionId, status: collection.status, reason: collection.reason });
+      }
+      if (req.method === 'POST' && (parts[2] === 'approve' || parts[2] === 'decline')) {
+        const changed = settle(collection, parts[2] === 'approve' ? 'succeeded' : 'failed', parts[2] === 'decline' ? 'Payer declined the request' : null);
+        return sendJson(res, changed ? 200 : 409, { transactionId: collection.transactionId, status: collection.status });
+      }
+    }
+
+    // Return money from a succeeded collection: { transactionId, amount }
+    if (req.method === 'POST' && url.pathname === '/refunds') {
+      const body = await readBody(req);
+      const original = collections.get(body.transactionId);
+      if (!original) return sendJson(res, 404, { error: 'Unknown transaction' });
+      if (original.status !== 'succeeded') return sendJson(res, 409, { status: 'failed', reason: 'Only approved payments can be refunded' });
+      const refundId = `MOCKREF-${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+      original.refunds.push({ refundId, amount: Number(body.amount) || original.amount });
+      console.log(`[MOCK-PAY] Refund ${refundId} for ${original.transactionId}`);
+      return sendJson(res, 200, { refundId, status: 'succeeded' });
+    }
+
+    sendJson(res, 404, { error: 'Not found' });
+  } catch (err) {
+    sendJson(res, 400, { error: err.message });
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`[MOCK-PAY] Mock payment provider listening on http://localhost:${PORT}`);
+});
@@ -1,26 +1,49 @@
 const express = require('express');
 const path = require('path');
+const fs = require('fs');
 const mongoose = require('mongoose');
 const bcryptjs = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 require('dotenv').config();
 const nodemailer = require('nodemailer');
+const webpush = require('web-push');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 const GOOGLE_MAPS_API_KEY = process.env.GOOGLE_MAPS_API_KEY;
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/teleka';
 const JWT_SECRET = process.env.AUTH_SECRET || 'your-default-secret-change-in-production';
-const JWT_EXPIRY = '7d'; // Token valid for 7 days
+// Access tokens are short-lived; sessions continue through rotating refresh tokens
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+const SERVICE_TIMEZONE = process.env.SERVICE_TIMEZONE || 'Africa/Kampala';
+const FARE_QUOTE_TTL_MINUTES = parseInt(process.env.FARE_QUOTE_TTL_MINUTES || '30', 10);
+// How far a booking's pickup time may drift from the time the quote was priced for
+const FARE_QUOTE_TIME_TOLERANCE_MINUTES = parseInt(process.env.FARE_QUOTE_TIME_TOLERANCE_MINUTES || '15', 10);
+// Routing: osrm | google | haversine. Defaults to OSRM when a URL is set, then Google, then the offline estimate.
+const OSRM_URL = (process.env.OSRM_URL || '').replace(/\/+$/, '');
+const ROUTING_PROVIDER = (process.env.ROUTING_PROVIDER || (OSRM_URL ? 'osrm' : (GOOGLE_MAPS_API_KEY ? 'google' : 'haversine'))).toLowerCase();
+const ROUTE_CACHE_TTL_MINUTES = parseInt(process.env.ROUTE_CACHE_TTL_MINUTES || '15', 10);
+// New clients must confirm their phone with a one-time code before booking
+const REQUIRE_PHONE_VERIFICATION = (process.env.REQUIRE_PHONE_VERIFICATION || 'true').toLowerCase() !== 'false';
 
 console.log(`[STARTUP] PORT: ${PORT}`);
 console.log(`[STARTUP] Google Maps API Key: ${GOOGLE_MAPS_API_KEY ? 'LOADED' : 'MISSING'}`);
 console.log(`[STARTUP] MongoDB URI: ${MONGODB_URI}`);
+console.log(`[STARTUP] Routing provider: ${ROUTING_PROVIDER}`);
 
 // Middleware
+// Payment provider callbacks are signed over the exact bytes received, so they skip JSON parsing here
+app.use('/api/payments/callback', express.raw({ type: () => true, limit: '100kb' }));
 app.use(express.json());
 
+// Behind a load balancer / reverse proxy, set TRUST_PROXY (e.g. 1) so req.ip is the client address
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY, 10);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // CORS Middleware
 app.use((req, res, next) => {
   const origin = req.headers.origin || '*';
@@ -38,30 +61,46 @@ app.use((req, res, next) => {
 });
 
 // ============ MongoDB Connection ============
-mongoose.connect(MONGODB_URI, {
-  serverSelectionTimeoutMS: 15000,
-  socketTimeoutMS: 50000,
-  connectTimeoutMS: 15000,
-  bufferCommands: false,
-  maxPoolSize: 10,
-  minPoolSize: 2,
-  retryWrites: false
-})
-  .then(() => {
-    console.log('[DB] Connected to MongoDB successfully');
-    console.log('[DB] URI:', MONGODB_URI.split('@')[1] || MONGODB_URI.substring(0, 50) + '...');
+// Called from Server Start, so tests can load this file without a database
+function connectDatabase() {
+  return mongoose.connect(MONGODB_URI, {
+    serverSelectionTimeoutMS: 15000,
+    socketTimeoutMS: 50000,
+    connectTimeoutMS: 15000,
+    bufferCommands: false,
+    maxPoolSize: 10,
+    minPoolSize: 2,
+    retryWrites: false
   })
-  .catch(err => {
-    console.error('[DB] MongoDB connection failed:', err.message);
-    console.error('[DB] Attempted URI:', MONGODB_URI);
-    console.warn('[DB] App will start but database operations will fail.');
-    console.warn('[DB] Make sure MONGODB_URI is correctly set in your environment.');
-  });
+    .then(() => {
+      console.log('[DB] Connected to MongoDB successfully');
+      console.log('[DB] URI:', MONGODB_URI.split('@')[1] || MONGODB_URI.substring(0, 50) + '...');
+    })
+    .catch(err => {
+      console.error('[DB] MongoDB connection failed:', err.message);
+      console.error('[DB] Attempted URI:', MONGODB_URI);
+      console.warn('[DB] App will start but database operations will fail.');
+      console.warn('[DB] Make sure MONGODB_URI is correctly set in your environment.');
+    });
+}
 
 // ============ Mongoose Schemas ============
+
+// Trip states. `cancelled` is an admin cancellation (and covers legacy data).
+const BOOKING_STATUSES = [
+  'pending', 'confirmed', 'assigned', 'driver_en_route', 'arrived', 'in_progress',
+  'completed', 'cancelled', 'cancelled_by_client', 'cancelled_by_driver', 'no_show'
+];
+const PAYMENT_METHODS = ['cash', 'mtn_momo', 'airtel_money'];
+const BOOKING_PAYMENT_STATUSES = ['unpaid', 'pending', 'paid', 'refunded'];
+
 const bookingSchema = new mongoose.Schema({
+  // Account that made the booking (null for bookings made before accounts were linked)
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true },
   name: String,
   phone: String,
+  // WhatsApp contact when it differs from `phone`
+  whatsapp: { type: String, default: null },
   email: String,
   pickup: { type: String, required: true },
   destination: { type: String, required: true },
@@ -70,16 +109,93 @@ const bookingSchema = new mongoose.Schema({
   destLat: Number,
   destLng: Number,
   serviceType: String,
+  // As entered on the form; `scheduledAt` is the pickup time they describe in SERVICE_TIMEZONE
   date: String,
   time: String,
+  scheduledAt: { type: Date, default: null, index: true },
+  // Occurrence of a recurring series, and the series date ("YYYY-MM-DD") it was generated for
+  series: { type: mongoose.Schema.Types.ObjectId, ref: 'BookingSeries', default: null },
+  seriesDate: { type: String, default: null },
   estimatedPrice: String,
   notes: String,
-  status: { type: String, default: 'pending', enum: ['pending', 'confirmed', 'completed', 'cancelled'] },
+  status: { type: String, default: 'pending', enum: BOOKING_STATUSES },
   driver: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  driverAcceptedAt: { type: Date, default: null },
+  // Automatic dispatch: one driver at a time is offered the ride until someone accepts
+  dispatch: {
+    state: { type: String, enum: ['searching', 'offered', 'accepted', 'escalated', 'stopped'], default: undefined },
+    attempt: { type: Number, default: 0 },
+    offeredTo: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    offerExpiresAt: { type: Date, default: null },
+    startedAt: Date,
+    escalatedAt: Date,
+    escalationReason: String,
+    offers: [{
+      _id: false,
+      attempt: Number,
+      driver: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      distanceKm: Number,
+      etaMin: Number,
+      offeredAt: Date,
+      expiresAt: Date,
+      respondedAt: Date,
+      outcome: { type: String, enum: ['accepted', 'rejected', 'expired'], default: null }
+    }]
+  },
+  // Set when the booking is cancelled; `fee` is what the client owes under the cancellation policy
+  cancellation: {
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    role: String,
+    reason: String,
+    note: String,
+    at: Date,
+    fee: { type: Number, default: 0 },
+    currency: String,
+    feeRule: { type: String, default: null },
+    waived: { type: Boolean, default: false },
+    waivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    waivedAt: Date
+  },
+  // How the customer pays and where that stands; see the Payment model for individual attempts
+  paymentMethod: { type: String, enum: PAYMENT_METHODS, default: 'cash' },
+  paymentStatus: { type: String, enum: BOOKING_PAYMENT_STATUSES, default: 'unpaid' },
+  // Stars each party gave the other once the trip was completed; see the Rating model
+  rating: {
+    byClient: { type: Number, default: null },
+    byDriver: { type: Number, default: null }
+  },
+  // Distance driven between start and completion, from the driver's location trail
+  actualDistanceKm: { type: Number, default: null },
+  // Drivers who declined this ride; it is no longer offered to them
+  rejectedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
   priceRange: {
     lower: Number,
     upper: Number
   },
+  // Server-side fare snapshot from the quote the booking was made with
+  fare: {
+    quoteId: { type: mongoose.Schema.Types.ObjectId, ref: 'FareQuote', default: null },
+    currency: String,
+    distanceKm: Number,
+    durationMin: Number,
+    breakdown: mongoose.Schema.Types.Mixed,
+    isPeakHour: Boolean,
+    total: Number,
+    waitingPerMinute: Number,
+    freeWaitingMinutes: Number,
+    waitingMinutes: Number,
+    waitingCharge: Number,
+    finalTotal: Number
+  },
+  // Every status change, oldest first
+  statusHistory: [{
+    from: String,
+    to: String,
+    at: { type: Date, default: Date.now },
+    actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    actorRole: String,
+    note: String
+  }],
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
@@ -90,11 +206,42 @@ const userSchema = new mongoose.Schema({
   email: { type: String, unique: true, sparse: true },
   password: String,
   role: { type: String, enum: ['client', 'driver', 'admin'], default: 'client' },
+  // Channels this user wants booking updates on
+  notificationPrefs: {
+    email: { type: Boolean, default: true },
+    sms: { type: Boolean, default: true },
+    whatsapp: { type: Boolean, default: false }
+  },
+  // WhatsApp number when it differs from `phone`
+  whatsappPhone: { type: String, default: null },
+  // Language for notifications (see SUPPORTED_LOCALES)
+  locale: { type: String, default: 'en' },
+  // false until the phone is confirmed by code; unset on accounts created before verification existed.
+  // Only `true` counts as verified; unset accounts may still book but can verify to claim phone bookings.
+  phoneVerified: { type: Boolean },
+  // Disabled accounts cannot sign in; their sessions are revoked when disabled
+  disabled: { type: Boolean, default: false },
+  disabledAt: { type: Date, default: null },
+  disabledReason: { type: String, default: null },
+  // Set by an admin; password login is refused until the user resets it with a code
+  mustResetPassword: { type: Boolean, default: false },
+  // Average stars from the most recent ratings received (RATING_AVERAGE_WINDOW) and how many there are
+  rating: {
+    average: { type: Number, default: null },
+    count: { type: Number, default: 0 },
+    updatedAt: { type: Date, default: null }
+  },
   createdAt: { type: Date, default: Date.now }
 });
 
 // Hash password before saving
 userSchema.pre('save', async function() {
+  // Password or role changes end the user's sessions once saved (unless the caller opts out)
+  if (!this.isNew && !this.$locals.keepSessions) {
+    if (this.isModified('password')) this.$locals.revokeReason = 'password_changed';
+    else if (this.isModified('role')) this.$locals.revokeReason = 'role_changed';
+    else if (this.isModified('disabled') && this.disabled) this.$locals.revokeReason = 'account_disabled';
+  }
   // Using an async pre hook: do NOT use the `next` callback parameter here.
   // If password wasn't modified, simply return to continue.
   if (!this.isModified('password')) return;
@@ -122,6 +269,16 @@ userSchema.methods.comparePassword = async function(plainPassword) {
   }
 };
 
+userSchema.post('save', async function(doc) {
+  const reason = doc.$locals.revokeReason;
+  if (!reason) return;
+  doc.$locals.revokeReason = null;
+  await revokeUserSessions(doc._id, reason);
+});
+
+// One booking per series date, so concurrent generators cannot both create it
+bookingSchema.index({ series: 1, seriesDate: 1 }, { unique: true, partialFilterExpression: { series: { $type: 'objectId' } } });
+
 const Booking = mongoose.model('Booking', bookingSchema);
 const User = mongoose.model('User', userSchema);
 
@@ -160,641 +317,5836 @@ function setupMailTransporter() {
   }
 }
 
-async function sendAdminEmail(booking) {
-  const transporter = setupMailTransporter();
-  const adminEmail = (process.env.ADMIN_EMAIL || 'emouisaac1@gmail.com').toString();
+function mailFromAddress() {
   const fromLabel = process.env.FROM_EMAIL || 'Teleka Taxi';
-  const domain = process.env.DOMAIN || `http://localhost:${PORT}`;
+  return `${fromLabel} <${process.env.SMTP_USER || 'no-reply@' + (process.env.DOMAIN ? new URL(process.env.DOMAIN).hostname : 'localhost')}>`;
+}
 
-  if (!transporter) {
-    console.log('[EMAIL] Skipping send - transporter not configured. Booking details:', booking);
-    return;
+// ===== Notification templates =====
+// templates/<locale>/<event>.subject.txt, .txt, .html (wrapped in layout.html) and .sms.txt.
+// Files missing from a locale fall back to English.
+const TEMPLATE_DIR = path.join(__dirname, 'templates');
+const DEFAULT_LOCALE = 'en';
+const SUPPORTED_LOCALES = ['en', 'sw'];
+const NOTIFICATION_EVENTS = ['booking_created', 'booking_confirmed', 'booking_assigned', 'booking_cancelled', 'booking_reminder', 'receipt', 'otp'];
+const DATE_LOCALES = { en: 'en-GB', sw: 'sw-KE' };
+const templateCache = new Map();
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function resolveLocale(locale) {
+  const short = (locale || '').toString().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(short) ? short : DEFAULT_LOCALE;
+}
+
+// Template source, or null when neither the locale nor English has the file. Cached in production only
+// so templates can be edited and previewed without a restart.
+function loadTemplate(locale, file) {
+  const key = `${locale}/${file}`;
+  if (templateCache.has(key)) return templateCache.get(key);
+  let source = null;
+  for (const dir of [locale, DEFAULT_LOCALE]) {
+    try {
+      source = fs.readFileSync(path.join(TEMPLATE_DIR, dir, file), 'utf8');
+      break;
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
   }
+  if (process.env.NODE_ENV === 'production') templateCache.set(key, source);
+  return source;
+}
 
-  const subject = `New booking received — ${fromLabel}`;
-
-  const html = `
-    <div style="font-family: Arial, Helvetica, sans-serif; color: #111;">
-      <h2 style="color:#1a73e8">New Booking Received</h2>
-      <p>A new booking was submitted on <strong>${new Date(booking.createdAt).toLocaleString()}</strong>.</p>
-      <table cellpadding="6" cellspacing="0" style="border-collapse:collapse; width:100%; max-width:600px;">
-        <tr><td><strong>Booking ID</strong></td><td>${booking._id}</td></tr>
-        <tr><td><strong>Name</strong></td><td>${booking.name || 'N/A'}</td></tr>
-        <tr><td><strong>Phone</strong></td><td>${booking.phone || 'N/A'}</td></tr>
-        <tr><td><strong>Pickup</strong></td><td>${booking.pickup}</td></tr>
-        <tr><td><strong>Destination</strong></td><td>${booking.destination}</td></tr>
-        <tr><td><strong>Date / Time</strong></td><td>${booking.date || ''} ${booking.time || ''}</td></tr>
-        <tr><td><strong>Service</strong></td><td>${booking.serviceType || ''}</td></tr>
-        <tr><td><strong>Estimated Price</strong></td><td>${booking.estimatedPrice || ''}</td></tr>
-        <tr><td><strong>Notes</strong></td><td>${booking.notes || ''}</td></tr>
-      </table>
-      <p style="margin-top:18px;">View/manage bookings: <a href="${domain}/admin/" target="_blank">Admin Dashboard</a></p>
-      <hr />
-      <p style="font-size:0.9rem;color:#666">This is an automated notification from ${fromLabel}.</p>
-    </div>
-  `;
-
-  const text = `New booking ${booking._id}\nName: ${booking.name}\nPhone: ${booking.phone}\nPickup: ${booking.pickup}\nDestination: ${booking.destination}\nDate/Time: ${booking.date || ''} ${booking.time || ''}\nNotes: ${booking.notes || ''}\nView: ${domain}/admin/`;
+function lookupPath(context, key) {
+  return key.split('.').reduce((value, part) => (value === undefined || value === null ? undefined : value[part]), context);
+}
 
-  try {
-    // ensure email sending cannot hang indefinitely — 10s timeout
-    const mailPromise = transporter.sendMail({
-      from: `${fromLabel} <${process.env.SMTP_USER || 'no-reply@' + (process.env.DOMAIN ? new URL(process.env.DOMAIN).hostname : 'localhost')}>`,
-      to: adminEmail,
-      subject,
-      text,
-      html
+// Mustache subset: {{name}} (HTML-escaped when `html`), {{{name}}} (raw), {{#name}}...{{/name}}
+// (kept when truthy), {{^name}}...{{/name}} (kept when falsy). Dotted names reach into objects.
+function renderTemplate(source, context, html) {
+  let out = source;
+  let previous;
+  do {
+    previous = out;
+    out = out.replace(/\{\{([#^])([\w.]+)\}\}([\s\S]*?)\{\{\/\2\}\}/g, (match, type, key, inner) => {
+      const truthy = !!lookupPath(context, key);
+      return (type === '#') === truthy ? inner : '';
     });
+  } while (out !== previous);
 
-    const info = await Promise.race([
-      mailPromise,
-      new Promise((_, reject) => setTimeout(() => reject(new Error('Email send timeout (10s)')), 10000))
-    ]);
+  return out.replace(/\{\{\{([\w.]+)\}\}\}|\{\{([\w.]+)\}\}/g, (match, rawKey, key) => {
+    const value = lookupPath(context, rawKey || key);
+    const str = value === undefined || value === null ? '' : String(value);
+    return html && !rawKey ? escapeHtml(str) : str;
+  });
+}
 
-    console.log('[EMAIL] Admin notification sent:', info && info.messageId ? info.messageId : info);
-  } catch (err) {
-    console.error('[EMAIL] Failed sending admin notification:', err && err.message ? err.message : err);
-    // Persist to queue so delivery will be retried
-    try {
-      await enqueueEmail({
-        to: adminEmail,
-        from: `${fromLabel} <${process.env.SMTP_USER || 'no-reply@' + (process.env.DOMAIN ? new URL(process.env.DOMAIN).hostname : 'localhost')}>`,
-        subject,
-        text,
-        html,
-        bookingId: booking._id
-      });
-      console.log('[EMAIL] Enqueued admin notification for retry');
-    } catch (qerr) {
-      console.error('[EMAIL] Failed to enqueue email for retry:', qerr && qerr.message ? qerr.message : qerr);
-    }
-  }
+// Render every variant of an event's notification; `sms` is null when the event has no SMS template
+function renderNotification(event, locale, context) {
+  if (!NOTIFICATION_EVENTS.includes(event)) throw new Error(`Unknown notification event: ${event}`);
+  const lang = resolveLocale(locale);
+  const part = (suffix, html) => {
+    const source = loadTemplate(lang, `${event}${suffix}`);
+    return source === null ? null : renderTemplate(source, context, html);
+  };
+
+  const subject = (part('.subject.txt', false) || '').trim();
+  const body = part('.html', true) || '';
+  const layout = loadTemplate(lang, 'layout.html');
+  const sms = part('.sms.txt', false);
+  return {
+    locale: lang,
+    subject,
+    text: (part('.txt', false) || '').trim(),
+    html: layout ? renderTemplate(layout, Object.assign({}, context, { subject, body }), true) : body,
+    sms: sms ? sms.trim().replace(/\s*\n\s*/g, ' ') : null
+  };
+}
+
+// Values shared by every booking template. Strings from the booking are left unescaped here;
+// renderTemplate escapes them for the HTML variant.
+function bookingTemplateContext(booking, locale, extra = {}) {
+  const lang = resolveLocale(locale);
+  const formatDate = (d) => d ? new Date(d).toLocaleString(DATE_LOCALES[lang], { timeZone: SERVICE_TIMEZONE }) : '';
+  const fare = booking.fare || {};
+  const total = fare.finalTotal || fare.total;
+  return Object.assign({
+    brand: process.env.FROM_EMAIL || 'Teleka Taxi',
+    domain: process.env.DOMAIN || `http://localhost:${PORT}`,
+    ref: booking._id.toString().slice(-8),
+    booking: {
+      id: booking._id.toString(),
+      name: booking.name || 'there',
+      phone: booking.phone || 'N/A',
+      email: booking.email || '',
+      pickup: booking.pickup,
+      destination: booking.destination,
+      date: booking.date || '',
+      time: booking.time || '',
+      serviceType: booking.serviceType || 'standard',
+      estimatedPrice: booking.estimatedPrice || 'To be determined',
+      notes: booking.notes || '',
+      createdAt: formatDate(booking.createdAt)
+    },
+    fare: {
+      total: total ? formatMoney(total, fare.currency) : booking.estimatedPrice || '',
+      distanceKm: fare.distanceKm ? Math.round(fare.distanceKm * 10) / 10 : null,
+      waitingCharge: fare.waitingCharge ? formatMoney(fare.waitingCharge, fare.currency) : null
+    },
+    completedAt: formatDate(booking.updatedAt)
+  }, extra);
 }
 
-async function sendClientConfirmationEmail(booking) {
+// Render and send an email, queueing it for retry when sending fails
+async function sendTemplatedEmail(to, event, locale, context, bookingId) {
   const transporter = setupMailTransporter();
-  const fromLabel = process.env.FROM_EMAIL || 'Teleka Taxi';
-  const domain = process.env.DOMAIN || `http://localhost:${PORT}`;
-  
-  // Client email — use their phone or a default fallback
-  const clientEmail = booking.email && booking.email !== 'N/A' ? booking.email : null;
-  
   if (!transporter) {
-    console.log('[EMAIL] Skipping client confirmation — transporter not configured');
-    return;
-  }
-
-  if (!clientEmail) {
-    console.log('[EMAIL] No client email provided for booking', booking._id, '— skipping confirmation email');
+    console.log(`[EMAIL] Skipping ${event} email to ${to} - transporter not configured`);
     return;
   }
 
-  const subject = `Your booking #${booking._id.toString().slice(-8)} is confirmed — ${fromLabel}`;
-
-  const html = `
-    <div style="font-family: Arial, Helvetica, sans-serif; color: #111;">
-      <h2 style="color:#34a853">Booking Confirmed!</h2>
-      <p>Hi <strong>${booking.name || 'there'}</strong>,</p>
-      <p>Your booking has been confirmed. A driver will contact you shortly at <strong>${booking.phone}</strong>.</p>
-      <table cellpadding="6" cellspacing="0" style="border-collapse:collapse; width:100%; max-width:600px; margin: 20px 0;">
-        <tr style="background-color:#f5f5f5;"><td colspan="2"><strong>Booking Details</strong></td></tr>
-        <tr><td style="width:40%;"><strong>Booking ID</strong></td><td>${booking._id.toString().slice(-8)}</td></tr>
-        <tr><td><strong>Pickup</strong></td><td>${booking.pickup}</td></tr>
-        <tr><td><strong>Destination</strong></td><td>${booking.destination}</td></tr>
-        <tr><td><strong>Date / Time</strong></td><td>${booking.date || ''} ${booking.time || ''}</td></tr>
-        <tr><td><strong>Service Type</strong></td><td>${booking.serviceType || 'Standard'}</td></tr>
-        <tr><td><strong>Estimated Fare</strong></td><td>${booking.estimatedPrice || 'To be determined'}</td></tr>
-      </table>
-      <p style="color:#666;">Your driver will contact you shortly. If you have any questions, please reply to this email.</p>
-      <hr />
-      <p style="font-size:0.9rem;color:#999">This is an automated confirmation from ${fromLabel}. Please do not reply with passwords or sensitive information.</p>
-    </div>
-  `;
-
-  const text = `Booking Confirmed!\n\nHi ${booking.name || 'there'},\n\nYour booking #${booking._id.toString().slice(-8)} has been confirmed.\n\nPickup: ${booking.pickup}\nDestination: ${booking.destination}\nDate/Time: ${booking.date || ''} ${booking.time || ''}\nEstimated Fare: ${booking.estimatedPrice || 'To be determined'}\n\nA driver will contact you at ${booking.phone} shortly.\n\nThank you for using ${fromLabel}!`;
-
-  try {
-    const mailPromise = transporter.sendMail({
-      from: `${fromLabel} <${process.env.SMTP_USER || 'no-reply@' + (process.env.DOMAIN ? new URL(process.env.DOMAIN).hostname : 'localhost')}>`,
-      to: clientEmail,
-      subject,
-      text,
-      html
-    });
+  const { subject, text, html } = renderNotification(event, locale, context);
+  const message = { from: mailFromAddress(), to, subject, text, html };
 
+  try {
+    // ensure email sending cannot hang indefinitely — 10s timeout
     const info = await Promise.race([
-      mailPromise,
+      transporter.sendMail(message),
       new Promise((_, reject) => setTimeout(() => reject(new Error('Email send timeout (10s)')), 10000))
     ]);
-
-    console.log('[EMAIL] Client confirmation sent:', info && info.messageId ? info.messageId : info);
+    console.log(`[EMAIL] ${event} email sent:`, info && info.messageId ? info.messageId : info);
   } catch (err) {
-    console.error('[EMAIL] Failed sending client confirmation:', err && err.message ? err.message : err);
-    // Persist to queue for retry
+    console.error(`[EMAIL] Failed sending ${event} email:`, err && err.message ? err.message : err);
+    // Persist to queue so delivery will be retried
     try {
-      await enqueueEmail({
-        to: clientEmail,
-        from: `${fromLabel} <${process.env.SMTP_USER || 'no-reply@' + (process.env.DOMAIN ? new URL(process.env.DOMAIN).hostname : 'localhost')}>`,
-        subject,
-        text,
-        html,
-        bookingId: booking._id
-      });
-      console.log('[EMAIL] Enqueued client confirmation for retry');
+      await enqueueJob('email', message, { bookingId });
+      console.log(`[EMAIL] Enqueued ${event} email for retry`);
     } catch (qerr) {
-      console.error('[EMAIL] Failed to enqueue client confirmation:', qerr && qerr.message ? qerr.message : qerr);
+      console.error('[EMAIL] Failed to enqueue email for retry:', qerr && qerr.message ? qerr.message : qerr);
     }
   }
 }
 
-// ===== Email queue (persistent via MongoDB) =====
-const emailQueueSchema = new mongoose.Schema({
-  to: String,
-  from: String,
-  subject: String,
-  text: String,
-  html: String,
+async function sendAdminEmail(booking) {
+  const adminEmail = (process.env.ADMIN_EMAIL || 'emouisaac1@gmail.com').toString();
+  const locale = process.env.ADMIN_LOCALE || DEFAULT_LOCALE;
+  await sendTemplatedEmail(adminEmail, 'booking_created', locale, bookingTemplateContext(booking, locale), booking._id);
+}
+
+// ============ Job Queue ============
+// Persistent background jobs (email, SMS, WhatsApp, push, webhooks, reminders). Workers claim a job
+// atomically and hold a lease on it, so several server instances can share one queue; a job whose
+// worker died is picked up again once the lease expires. Failures retry with exponential backoff
+// until `maxAttempts`, after which the job is parked as `dead` for an admin to inspect or retry.
+const JOB_STATUSES = ['queued', 'running', 'completed', 'dead', 'cancelled'];
+const JOB_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS || '8', 10);
+const JOB_LEASE_MS = parseInt(process.env.JOB_LEASE_SECONDS || '60', 10) * 1000;
+const JOB_POLL_MS = parseInt(process.env.JOB_POLL_SECONDS || '10', 10) * 1000;
+const JOB_BATCH_SIZE = 10;
+// Completed and cancelled jobs are removed after this long; dead jobs are kept until purged
+const JOB_RETENTION_DAYS = parseInt(process.env.JOB_RETENTION_DAYS || '7', 10);
+const JOB_WORKER_ID = `${require('os').hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+
+const jobSchema = new mongoose.Schema({
+  type: { type: String, required: true, index: true },
+  payload: { type: mongoose.Schema.Types.Mixed, default: {} },
+  status: { type: String, enum: JOB_STATUSES, default: 'queued' },
+  // Optional idempotency key: enqueueing the same key twice returns the existing job
+  uniqueKey: { type: String, unique: true, sparse: true },
+  bookingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', default: null },
   attempts: { type: Number, default: 0 },
-  nextAttemptAt: { type: Date, default: Date.now },
-  createdAt: { type: Date, default: Date.now },
+  maxAttempts: { type: Number, default: JOB_MAX_ATTEMPTS },
+  runAt: { type: Date, default: Date.now },
+  lockedBy: { type: String, default: null },
+  lockedUntil: { type: Date, default: null },
   lastError: String,
-  bookingId: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', default: null }
+  completedAt: Date,
+  expiresAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
 });
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Job = mongoose.model('Job', jobSchema);
 
-const EmailQueue = mongoose.model('EmailQueue', emailQueueSchema);
+// type -> async handler(payload, job); throw to fail the attempt
+const jobHandlers = {};
 
-async function enqueueEmail(payload) {
+function registerJobHandler(type, handler) {
+  jobHandlers[type] = handler;
+}
+
+// Queue a job. options: { runAt, maxAttempts, uniqueKey, bookingId }
+async function enqueueJob(type, payload, options = {}) {
+  const job = new Job({
+    type,
+    payload,
+    runAt: options.runAt || new Date(),
+    maxAttempts: options.maxAttempts || JOB_MAX_ATTEMPTS,
+    uniqueKey: options.uniqueKey || undefined,
+    bookingId: options.bookingId || null
+  });
   try {
-    const q = new EmailQueue(payload);
-    await q.save();
-    return q;
+    await job.save();
+    return job;
   } catch (err) {
-    console.error('[EMAIL-QUEUE] Enqueue failed:', err && err.message ? err.message : err);
+    if (err && err.code === 11000 && options.uniqueKey) {
+      return Job.findOne({ uniqueKey: options.uniqueKey });
+    }
+    console.error(`[JOBS] Enqueue ${type} failed:`, err && err.message ? err.message : err);
     throw err;
   }
 }
 
-async function processEmailQueue() {
-  if (mongoose.connection.readyState !== 1) {
-    console.log('[EMAIL-QUEUE] MongoDB not connected; skipping queue processing');
-    return 0;
-  }
+// Job types this worker can run right now (emails wait until SMTP is configured)
+function runnableJobTypes() {
+  return Object.keys(jobHandlers).filter(type => type !== 'email' || setupMailTransporter());
+}
 
-  const limit = 10;
+// Atomically take the next due job (or one whose lease expired) and lease it to this worker
+async function claimJob(types) {
   const now = new Date();
-  const items = await EmailQueue.find({ nextAttemptAt: { $lte: now } }).sort({ createdAt: 1 }).limit(limit);
-  if (!items || items.length === 0) return 0;
+  return Job.findOneAndUpdate(
+    {
+      type: { $in: types },
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        // A worker that dies mid-job still used up the attempt; its last one is dead-lettered instead
+        { status: 'running', lockedUntil: { $lt: now }, $expr: { $lt: ['$attempts', '$maxAttempts'] } }
+      ]
+    },
+    {
+      $set: { status: 'running', lockedBy: JOB_WORKER_ID, lockedUntil: new Date(now.getTime() + JOB_LEASE_MS), updatedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { sort: { runAt: 1 }, new: true }
+  );
+}
 
-  let processed = 0;
-  for (const item of items) {
-    try {
-      const transporter = setupMailTransporter();
-      if (!transporter) {
-        console.log('[EMAIL-QUEUE] No transporter configured; aborting processing');
-        break;
-      }
+// Park jobs whose lease ran out on their final attempt (the worker crashed or hung), which
+// claimJob no longer hands out, so they do not stay `running` forever
+async function deadLetterAbandonedJobs() {
+  const now = new Date();
+  const result = await Job.updateMany(
+    { status: 'running', lockedUntil: { $lt: now }, $expr: { $gte: ['$attempts', '$maxAttempts'] } },
+    { $set: { status: 'dead', lastError: 'Lease expired on the final attempt', lockedBy: null, lockedUntil: null, updatedAt: now } }
+  );
+  if (result.modifiedCount) console.error(`[JOBS] ${result.modifiedCount} job(s) dead after their lease expired on the final attempt`);
+}
 
-      const mailPromise = transporter.sendMail({
-        from: item.from,
-        to: item.to,
-        subject: item.subject,
-        text: item.text,
-        html: item.html
-      });
+async function finishJob(job, err) {
+  const now = new Date();
+  let update;
+  if (!err) {
+    update = {
+      status: 'completed', completedAt: now, lockedBy: null, lockedUntil: null,
+      expiresAt: new Date(now.getTime() + JOB_RETENTION_DAYS * 24 * 3600 * 1000), updatedAt: now
+    };
+  } else {
+    const message = err && err.message ? err.message : String(err);
+    if (job.attempts >= job.maxAttempts) {
+      update = { status: 'dead', lastError: message, lockedBy: null, lockedUntil: null, updatedAt: now };
+      console.error(`[JOBS] ${job.type} job ${job._id} dead after ${job.attempts} attempts: ${message}`);
+    } else {
+      const backoffMs = Math.min(60 * 1000 * Math.pow(2, job.attempts - 1), 24 * 3600 * 1000);
+      update = { status: 'queued', lastError: message, runAt: new Date(now.getTime() + backoffMs), lockedBy: null, lockedUntil: null, updatedAt: now };
+      console.log(`[JOBS] ${job.type} job ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying at ${update.runAt.toISOString()}: ${message}`);
+    }
+  }
+  // Only the lease holder may record the outcome
+  await Job.updateOne({ _id: job._id, lockedBy: JOB_WORKER_ID }, { $set: update });
+}
 
-      const info = await Promise.race([
-        mailPromise,
-        new Promise((_, reject) => setTimeout(() => reject(new Error('Email send timeout (10s)')), 10000))
-      ]);
+let jobsRunning = false;
 
-      console.log('[EMAIL-QUEUE] Sent queued email:', info && info.messageId ? info.messageId : info);
-      await EmailQueue.deleteOne({ _id: item._id });
+// Run due jobs until none are left or the batch is used up; returns how many were attempted
+async function processJobs(batchSize = JOB_BATCH_SIZE) {
+  if (mongoose.connection.readyState !== 1 || jobsRunning) return 0;
+  jobsRunning = true;
+  let processed = 0;
+  try {
+    await deadLetterAbandonedJobs();
+    const types = runnableJobTypes();
+    while (processed < batchSize) {
+      const job = await claimJob(types);
+      if (!job) break;
       processed++;
-    } catch (err) {
-      console.error('[EMAIL-QUEUE] Error sending queued email:', err && err.message ? err.message : err);
       try {
-        item.attempts = (item.attempts || 0) + 1;
-        const backoffMs = Math.min(60 * 1000 * Math.pow(2, item.attempts), 24 * 3600 * 1000);
-        item.nextAttemptAt = new Date(Date.now() + backoffMs);
-        item.lastError = err && err.message ? err.message : String(err);
-        await item.save();
-        console.log('[EMAIL-QUEUE] Rescheduled queued email. Attempts:', item.attempts, 'Next attempt:', item.nextAttemptAt);
-      } catch (uerr) {
-        console.error('[EMAIL-QUEUE] Failed updating queue item:', uerr && uerr.message ? uerr.message : uerr);
+        await jobHandlers[job.type](job.payload || {}, job);
+        await finishJob(job, null);
+      } catch (err) {
+        await finishJob(job, err);
       }
     }
+  } finally {
+    jobsRunning = false;
   }
-
   return processed;
 }
 
-// Start periodic queue processor
-setInterval(() => {
-  processEmailQueue().catch(e => console.error('[EMAIL-QUEUE] Processor error:', e && e.message ? e.message : e));
-}, 30 * 1000);
+// ===== SMS / WhatsApp =====
+// Providers are picked with SMS_PROVIDER / WHATSAPP_PROVIDER; `stub` writes messages to the console
+// and NOTIFY_STUB_FILE so flows can be tested offline. It is the default outside production only;
+// in production a channel without a provider sends nothing. Stub bodies have their digits masked
+// (codes, amounts, numbers) unless NOTIFY_STUB_SHOW_TEXT=true, which production ignores.
+const IS_PRODUCTION = process.env.NODE_ENV === 'production';
+const SMS_PROVIDER = (process.env.SMS_PROVIDER || (IS_PRODUCTION ? '' : 'stub')).toLowerCase();
+const WHATSAPP_PROVIDER = (process.env.WHATSAPP_PROVIDER || (IS_PRODUCTION ? '' : 'stub')).toLowerCase();
+const NOTIFY_STUB_FILE = process.env.NOTIFY_STUB_FILE || path.join(__dirname, 'logs', 'notifications.log');
+const NOTIFY_STUB_SHOW_TEXT = !IS_PRODUCTION && process.env.NOTIFY_STUB_SHOW_TEXT === 'true';
+console.log(`[STARTUP] Text messages: sms via ${SMS_PROVIDER || 'none'}, whatsapp via ${WHATSAPP_PROVIDER || 'none'}`);
+const DEFAULT_COUNTRY_CODE = process.env.DEFAULT_COUNTRY_CODE || '256';
+const TEXT_SEND_TIMEOUT_MS = 10000;
+
+// E.164 with a leading +; local numbers ("07...") get the default country code
+function normalizePhone(phone) {
+  const digits = (phone || '').toString().replace(/[^\d+]/g, '');
+  if (!digits) return null;
+  if (digits.startsWith('+')) return digits;
+  if (digits.startsWith('00')) return '+' + digits.slice(2);
+  if (digits.startsWith('0')) return '+' + DEFAULT_COUNTRY_CODE + digits.slice(1);
+  return '+' + digits;
+}
 
-// Admin debug endpoints for email queue
-app.get('/api/debug/email-queue', async (req, res) => {
-  const secret = (req.query.secret || req.headers['x-admin-secret'] || '').toString();
-  const allowed = process.env.MAINTENANCE_SECRET || process.env.ADMIN_PASS;
-  if (!secret || !allowed || secret !== allowed) return res.status(403).json({ error: 'Unauthorized' });
+async function postForm(url, fields, headers) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: Object.assign({ 'Content-Type': 'application/x-www-form-urlencoded', 'Accept': 'application/json' }, headers),
+    body: new URLSearchParams(fields).toString(),
+    signal: AbortSignal.timeout(TEXT_SEND_TIMEOUT_MS)
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(`HTTP ${response.status}: ${data.message || data.errorMessage || JSON.stringify(data)}`);
+  return data;
+}
 
-  try {
-    const items = await EmailQueue.find().sort({ createdAt: -1 }).limit(200);
-    res.json(items.map(i => ({ id: i._id, to: i.to, subject: i.subject, attempts: i.attempts, nextAttemptAt: i.nextAttemptAt, createdAt: i.createdAt })));
-  } catch (err) {
-    console.error('[EMAIL-QUEUE] Debug list error:', err && err.message ? err.message : err);
-    res.status(500).json({ error: err && err.message ? err.message : err });
+function twilioAuthHeader() {
+  const sid = process.env.TWILIO_ACCOUNT_SID;
+  const token = process.env.TWILIO_AUTH_TOKEN;
+  if (!sid || !token) throw new Error('TWILIO_ACCOUNT_SID / TWILIO_AUTH_TOKEN not configured');
+  return { Authorization: 'Basic ' + Buffer.from(`${sid}:${token}`).toString('base64') };
+}
+
+// What the stub logs of a message body: one-time codes must not end up in logs
+function maskMessageText(text) {
+  return NOTIFY_STUB_SHOW_TEXT ? text : String(text).replace(/\d/g, '•');
+}
+
+const textProviders = {
+  stub: {
+    async send(channel, to, text) {
+      const masked = maskMessageText(text);
+      const line = JSON.stringify({ at: new Date().toISOString(), channel, to, text: masked });
+      console.log(`[NOTIFY-STUB] ${channel} -> ${to}: ${masked}`);
+      await fs.promises.mkdir(path.dirname(NOTIFY_STUB_FILE), { recursive: true });
+      await fs.promises.appendFile(NOTIFY_STUB_FILE, line + '\n');
+    }
+  },
+
+  // SMS only. Use AT_USERNAME=sandbox for the sandbox environment.
+  africastalking: {
+    async send(channel, to, text) {
+      if (channel !== 'sms') throw new Error('Africa\'s Talking provider only supports SMS');
+      const username = process.env.AT_USERNAME;
+      const apiKey = process.env.AT_API_KEY;
+      if (!username || !apiKey) throw new Error('AT_USERNAME / AT_API_KEY not configured');
+      const host = username === 'sandbox' ? 'api.sandbox.africastalking.com' : 'api.africastalking.com';
+      const fields = { username, to, message: text };
+      if (process.env.AT_SENDER_ID) fields.from = process.env.AT_SENDER_ID;
+      const data = await postForm(`https://${host}/version1/messaging`, fields, { apiKey });
+      const recipient = data.SMSMessageData && data.SMSMessageData.Recipients && data.SMSMessageData.Recipients[0];
+      if (!recipient || recipient.statusCode >= 400) throw new Error(`Africa's Talking rejected message: ${recipient ? recipient.status : 'no recipient'}`);
+    }
+  },
+
+  // SMS and WhatsApp (whatsapp: prefixed numbers) through the Twilio Messages API
+  twilio: {
+    async send(channel, to, text) {
+      const from = channel === 'whatsapp' ? process.env.TWILIO_WHATSAPP_FROM : process.env.TWILIO_SMS_FROM;
+      if (!from) throw new Error(`Twilio sender for ${channel} not configured`);
+      const prefix = channel === 'whatsapp' ? 'whatsapp:' : '';
+      await postForm(
+        `https://api.twilio.com/2010-04-01/Accounts/${process.env.TWILIO_ACCOUNT_SID}/Messages.json`,
+        { To: prefix + to, From: prefix + from.replace(/^whatsapp:/, ''), Body: text },
+        twilioAuthHeader()
+      );
+    }
+  },
+
+  // WhatsApp Cloud API. Free-form text only reaches users who messaged within 24h;
+  // beyond that Meta requires approved templates.
+  meta: {
+    async send(channel, to, text) {
+      if (channel !== 'whatsapp') throw new Error('Meta provider only supports WhatsApp');
+      const phoneNumberId = process.env.WHATSAPP_PHONE_NUMBER_ID;
+      const token = process.env.WHATSAPP_ACCESS_TOKEN;
+      if (!phoneNumberId || !token) throw new Error('WHATSAPP_PHONE_NUMBER_ID / WHATSAPP_ACCESS_TOKEN not configured');
+      const response = await fetch(`https://graph.facebook.com/v19.0/${phoneNumberId}/messages`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ messaging_product: 'whatsapp', to: to.replace(/^\+/, ''), type: 'text', text: { body: text } }),
+        signal: AbortSignal.timeout(TEXT_SEND_TIMEOUT_MS)
+      });
+      if (!response.ok) throw new Error(`WhatsApp API HTTP ${response.status}: ${await response.text()}`);
+    }
   }
-});
+};
 
-app.post('/api/debug/process-email-queue', async (req, res) => {
-  const secret = (req.query.secret || req.headers['x-admin-secret'] || '').toString();
-  const allowed = process.env.MAINTENANCE_SECRET || process.env.ADMIN_PASS;
-  if (!secret || !allowed || secret !== allowed) return res.status(403).json({ error: 'Unauthorized' });
+// Send an SMS or WhatsApp message now; throws on failure
+function textProviderName(channel) {
+  return channel === 'whatsapp' ? WHATSAPP_PROVIDER : SMS_PROVIDER;
+}
+
+async function sendTextMessage(channel, to, text) {
+  const providerName = textProviderName(channel);
+  if (!providerName) throw new Error(`No ${channel} provider configured`);
+  const provider = textProviders[providerName];
+  if (!provider) throw new Error(`Unknown ${channel} provider: ${providerName}`);
+  const number = normalizePhone(to);
+  if (!number) throw new Error('No phone number');
+  await provider.send(channel, number, text);
+}
 
+// Best-effort send; failures go to the persistent queue for retry
+async function deliverTextMessage(channel, to, text, bookingId) {
+  // Nothing to retry when the channel is switched off
+  if (!textProviderName(channel)) return;
   try {
-    const processed = await processEmailQueue();
-    res.json({ success: true, processed });
+    await sendTextMessage(channel, to, text);
+    console.log(`[NOTIFY] ${channel} sent to ${to}`);
   } catch (err) {
-    console.error('[EMAIL-QUEUE] Manual process error:', err && err.message ? err.message : err);
-    res.status(500).json({ error: err && err.message ? err.message : err });
+    console.error(`[NOTIFY] ${channel} to ${to} failed:`, err && err.message ? err.message : err);
+    try {
+      await enqueueJob(channel, { to, text }, { bookingId });
+      console.log(`[NOTIFY] Enqueued ${channel} message for retry`);
+    } catch (qerr) {
+      console.error(`[NOTIFY] Failed to enqueue ${channel} message:`, qerr && qerr.message ? qerr.message : qerr);
+    }
   }
-});
+}
 
-// Server-Sent Events clients
-const sseClients = [];
+const DEFAULT_NOTIFICATION_PREFS = { email: true, sms: true, whatsapp: false };
+
+// Contact details, channel preferences and locale for a booking's customer
+async function bookingContact(booking) {
+  const account = booking.user ? await User.findById(booking.user) : null;
+  const prefs = Object.assign({}, DEFAULT_NOTIFICATION_PREFS, account && account.notificationPrefs ? account.notificationPrefs.toObject() : {});
+  const phone = booking.phone && booking.phone !== 'N/A' ? booking.phone : (account && account.phone);
+  return {
+    prefs,
+    locale: resolveLocale(account && account.locale),
+    email: booking.email && booking.email !== 'N/A' ? booking.email : (account && account.email),
+    phone,
+    whatsapp: (account && account.whatsappPhone) || phone
+  };
+}
 
-function sendSseEvent(event, data) {
-  const payload = `event: ${event}\n` + `data: ${JSON.stringify(data)}\n\n`;
-  sseClients.forEach(res => {
-    try {
-      res.write(payload);
-    } catch (err) {
-      // ignore individual client errors; cleanup happens on close
+// Booking events that reach the customer, and the template each one uses
+const CUSTOMER_NOTIFICATION_TEMPLATES = {
+  booking_confirmed: 'booking_confirmed',
+  booking_assigned: 'booking_assigned',
+  // The customer gets the assignment message again with the new driver
+  booking_reassigned: 'booking_assigned',
+  booking_cancelled: 'booking_cancelled',
+  booking_cancelled_by_driver: 'booking_cancelled',
+  booking_cancelled_by_client: 'booking_cancelled',
+  booking_reminder: 'booking_reminder'
+};
+
+// Extra template values for a customer event
+async function customerEventContext(event, booking) {
+  if (event === 'booking_assigned' || event === 'booking_reassigned') {
+    const driver = booking.driver ? await User.findById(booking.driver) : null;
+    return { driver: { name: driver ? driver.name : 'A driver', phone: driver ? driver.phone : null } };
+  }
+  if (event === 'booking_reminder') {
+    const driver = booking.driver ? await User.findById(booking.driver) : null;
+    return { driver: driver ? { name: driver.name, phone: driver.phone } : null };
+  }
+  if (event === 'booking_cancelled' || event === 'booking_cancelled_by_driver' || event === 'booking_cancelled_by_client') {
+    const c = booking.cancellation;
+    if (c && c.reason) {
+      return {
+        reason: c.note || c.reason.replace(/_/g, ' '),
+        fee: c.fee > 0 && !c.waived ? formatMoney(c.fee, c.currency) : null
+      };
     }
-  });
+    const last = booking.statusHistory && booking.statusHistory[booking.statusHistory.length - 1];
+    return { reason: last && last.note ? last.note : null };
+  }
+  return {};
 }
 
+// Customer-facing updates for booking events, on every channel the customer opted into
+async function notifyBookingCustomer(event, booking) {
+  const template = CUSTOMER_NOTIFICATION_TEMPLATES[event];
+  if (!template) return;
 
-// ============ API Endpoints ============
+  const contact = await bookingContact(booking);
+  const context = bookingTemplateContext(booking, contact.locale, await customerEventContext(event, booking));
+  const { sms } = renderNotification(template, contact.locale, context);
 
-// Health check endpoint
-app.get('/health', async (req, res) => {
-  const dbStatus = mongoose.connection.readyState === 1 ? 'connected' : 'disconnected';
-  
-  // Try to find admin user
-  let adminExists = false;
-  try {
-    const admin = await User.findOne({ role: 'admin' });
-    adminExists = !!admin;
-  } catch (err) {
-    console.error('[HEALTH] Error checking admin:', err.message);
+  const jobs = [];
+  if (contact.prefs.email && contact.email) {
+    jobs.push(sendTemplatedEmail(contact.email, template, contact.locale, context, booking._id));
   }
+  if (sms && contact.prefs.sms && contact.phone) jobs.push(deliverTextMessage('sms', contact.phone, sms, booking._id));
+  if (sms && contact.prefs.whatsapp && contact.whatsapp) jobs.push(deliverTextMessage('whatsapp', contact.whatsapp, sms, booking._id));
+  await Promise.all(jobs);
+}
 
-  res.json({
-    status: 'ok',
-    timestamp: new Date().toISOString(),
-    database: dbStatus,
-    adminExists,
-    mongodb_uri: MONGODB_URI.includes('localhost') ? 'localhost' : 'remote'
+// ===== Job handlers =====
+registerJobHandler('email', async (payload) => {
+  const transporter = setupMailTransporter();
+  if (!transporter) throw new Error('SMTP not configured');
+  const info = await Promise.race([
+    transporter.sendMail({ from: payload.from || mailFromAddress(), to: payload.to, subject: payload.subject, text: payload.text, html: payload.html, attachments: payload.attachments }),
+    new Promise((_, reject) => setTimeout(() => reject(new Error('Email send timeout (10s)')), 10000))
+  ]);
+  console.log('[JOBS] Sent queued email:', info && info.messageId ? info.messageId : info);
+});
+
+registerJobHandler('sms', (payload) => sendTextMessage('sms', payload.to, payload.text));
+registerJobHandler('whatsapp', (payload) => sendTextMessage('whatsapp', payload.to, payload.text));
+
+// payload: { userId } or { role }, plus { notification: { title, body, url, tag } }
+registerJobHandler('push', async (payload) => {
+  if (payload.userId) await sendPushToUser(payload.userId, payload.notification);
+  else if (payload.role) await sendPushToRole(payload.role, payload.notification);
+  else throw new Error('push job needs userId or role');
+});
+
+// payload: { url, body, headers }; non-2xx responses fail the attempt
+registerJobHandler('webhook', async (payload) => {
+  const response = await fetch(payload.url, {
+    method: 'POST',
+    headers: Object.assign({ 'Content-Type': 'application/json' }, payload.headers),
+    body: JSON.stringify(payload.body || {}),
+    signal: AbortSignal.timeout(10000)
   });
+  if (!response.ok) throw new Error(`Webhook HTTP ${response.status}`);
 });
 
-// API endpoint: place autocomplete
-app.get('/api/places/autocomplete', async (req, res) => {
-  const input = req.query.input || '';
-  console.log(`[AUTOCOMPLETE] Input: "${input}"`);
-  
-  if (!input.trim()) {
-    console.log('[AUTOCOMPLETE] Empty input, returning empty predictions');
-    return res.json({ predictions: [] });
+// Copy messages left in the old EmailQueue collection into the job queue
+async function migrateLegacyEmailQueue() {
+  const legacy = mongoose.connection.collection('emailqueues');
+  const items = await legacy.find({}).toArray();
+  for (const item of items) {
+    const channel = item.channel || 'email';
+    const payload = channel === 'email'
+      ? { from: item.from, to: item.to, subject: item.subject, text: item.text, html: item.html }
+      : { to: item.to, text: item.text };
+    await enqueueJob(channel, payload, { bookingId: item.bookingId });
+    await legacy.deleteOne({ _id: item._id });
   }
+  if (items.length) console.log(`[JOBS] Migrated ${items.length} legacy email queue item(s)`);
+}
 
-  if (!GOOGLE_MAPS_API_KEY) {
-    console.error('[AUTOCOMPLETE] ERROR: Google Maps API key not found');
-    return res.status(500).json({ error: 'API key not configured', predictions: [] });
+// Start periodic job worker. Background timers are unref'd: the HTTP server keeps the process alive.
+setInterval(() => {
+  processJobs().catch(e => console.error('[JOBS] Worker error:', e && e.message ? e.message : e));
+}, JOB_POLL_MS).unref();
+
+// ===== Job admin endpoints =====
+function serializeJob(job) {
+  return {
+    id: job._id,
+    type: job.type,
+    status: job.status,
+    attempts: job.attempts,
+    maxAttempts: job.maxAttempts,
+    runAt: job.runAt,
+    lockedBy: job.lockedBy,
+    lockedUntil: job.lockedUntil,
+    lastError: job.lastError,
+    bookingId: job.bookingId,
+    payload: job.payload,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    completedAt: job.completedAt
+  };
+}
+
+// GET /api/admin/jobs?status=dead&type=email&page=1&limit=50
+app.get('/api/admin/jobs', authenticate, authorize('admin'), async (req, res) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const filter = {};
+  if (req.query.status) {
+    if (!JOB_STATUSES.includes(req.query.status)) return res.status(400).json({ error: `status must be one of: ${JOB_STATUSES.join(', ')}` });
+    filter.status = req.query.status;
   }
+  if (req.query.type) filter.type = req.query.type;
 
   try {
-    // Use Google Places Autocomplete API
-    const url = `https://maps.googleapis.com/maps/api/place/autocomplete/json?input=${encodeURIComponent(input)}&key=${GOOGLE_MAPS_API_KEY}&components=country:ug`;
-    
-    console.log(`[AUTOCOMPLETE] Calling Google API: ${url.replace(GOOGLE_MAPS_API_KEY, 'KEY')}`);
-    
-    const response = await fetch(url);
-    const data = await response.json();
-    
-    console.log(`[AUTOCOMPLETE] Google API status: ${data.status}`);
-    
-    if (data.status !== 'OK') {
-      console.log(`[AUTOCOMPLETE] Google API returned status: ${data.status}`);
-      return res.json({ predictions: data.predictions || [] });
-    }
-
-    const predictions = (data.predictions || []).map(pred => ({
-      description: pred.description,
-      place_id: pred.place_id,
-      main_text: pred.main_text,
-      secondary_text: pred.secondary_text
-    }));
-
-    console.log(`[AUTOCOMPLETE] Returning ${predictions.length} predictions`);
-    res.json({ predictions });
+    const [jobs, total, grouped] = await Promise.all([
+      Job.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      Job.countDocuments(filter),
+      Job.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+    const counts = {};
+    for (const status of JOB_STATUSES) counts[status] = 0;
+    for (const g of grouped) counts[g._id] = g.count;
+    res.json({ jobs: jobs.map(serializeJob), page, limit, total, pages: Math.ceil(total / limit), counts });
   } catch (error) {
-    console.error('[AUTOCOMPLETE] ERROR:', error.message);
-    res.status(500).json({ error: error.message, predictions: [] });
+    console.error('[JOBS] List error:', error.message);
+    res.status(500).json({ error: error.message });
   }
 });
 
-// API endpoint: place details
-app.get('/api/places/details', async (req, res) => {
-  const placeId = req.query.place_id;
-  console.log(`[PLACE DETAILS] Place ID: "${placeId}"`);
+app.get('/api/admin/jobs/:id', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const job = mongoose.Types.ObjectId.isValid(req.params.id) ? await Job.findById(req.params.id) : null;
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json(serializeJob(job));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-  if (!placeId) {
-    return res.json({ result: null, error: 'No place_id provided' });
+// Requeue a dead or cancelled job with a fresh set of attempts
+app.post('/api/admin/jobs/:id/retry', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Job not found' });
+    const job = await Job.findOneAndUpdate(
+      { _id: req.params.id, status: { $in: ['dead', 'cancelled'] } },
+      { $set: { status: 'queued', attempts: 0, runAt: new Date(), lastError: null, expiresAt: null, updatedAt: new Date() } },
+      { new: true }
+    );
+    if (!job) return res.status(409).json({ error: 'Only dead or cancelled jobs can be retried' });
+    console.log(`[JOBS] Job ${job._id} requeued by admin ${req.user.id}`);
+    setImmediate(() => processJobs().catch(e => console.error('[JOBS] Worker error:', e && e.message ? e.message : e)));
+    res.json({ success: true, job: serializeJob(job) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
+});
 
-  if (!GOOGLE_MAPS_API_KEY) {
-    console.error('[PLACE DETAILS] ERROR: Google Maps API key not found');
-    return res.status(500).json({ error: 'API key not configured' });
+// Cancel a job that has not started yet
+app.post('/api/admin/jobs/:id/cancel', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Job not found' });
+    const now = new Date();
+    const job = await Job.findOneAndUpdate(
+      { _id: req.params.id, status: 'queued' },
+      { $set: { status: 'cancelled', updatedAt: now, expiresAt: new Date(now.getTime() + JOB_RETENTION_DAYS * 24 * 3600 * 1000) } },
+      { new: true }
+    );
+    if (!job) return res.status(409).json({ error: 'Only queued jobs can be cancelled' });
+    console.log(`[JOBS] Job ${job._id} cancelled by admin ${req.user.id}`);
+    res.json({ success: true, job: serializeJob(job) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
+});
 
+// DELETE /api/admin/jobs?status=dead - remove finished jobs (dead, completed or cancelled)
+app.delete('/api/admin/jobs', authenticate, authorize('admin'), async (req, res) => {
+  const purgeable = ['dead', 'completed', 'cancelled'];
+  if (!purgeable.includes(req.query.status)) {
+    return res.status(400).json({ error: `status must be one of: ${purgeable.join(', ')}` });
+  }
   try {
-    const url = `https://maps.googleapis.com/maps/api/place/details/json?place_id=${encodeURIComponent(placeId)}&fields=geometry,formatted_address,name&key=${GOOGLE_MAPS_API_KEY}`;
-    
-    console.log(`[PLACE DETAILS] Calling Google API`);
-    
-    const response = await fetch(url);
-    const data = await response.json();
-    
-    if (data.status !== 'OK') {
-      console.log(`[PLACE DETAILS] Google API returned status: ${data.status}`);
-      return res.json({ result: null, error: data.status });
-    }
+    const result = await Job.deleteMany({ status: req.query.status });
+    console.log(`[JOBS] Purged ${result.deletedCount} ${req.query.status} job(s) (admin ${req.user.id})`);
+    res.json({ success: true, deleted: result.deletedCount });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    console.log(`[PLACE DETAILS] Got location: ${data.result?.formatted_address}`);
-    res.json({ result: data.result });
+// Run due jobs now instead of waiting for the next poll
+app.post('/api/admin/jobs/process', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const processed = await processJobs();
+    res.json({ success: true, processed });
   } catch (error) {
-    console.error('[PLACE DETAILS] ERROR:', error.message);
+    console.error('[JOBS] Manual process error:', error.message);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Calculate price (mock)
-app.get('/api/calculate-price', (req, res) => {
-  const origin = req.query.origin || '0,0';
-  const destination = req.query.destination || '0,0';
+// Server-Sent Events clients: { res, user, sid } where user is the token's claims and sid its session
+const sseClients = [];
+const SSE_EVENT_LOG_SIZE = parseInt(process.env.SSE_EVENT_LOG_SIZE || '500', 10);
+const SSE_HEARTBEAT_MS = 25 * 1000;
+
+// Recent events for Last-Event-ID replay: { id, event, data, audience }.
+// Ids start at the boot time in ms so they keep increasing across restarts.
+const sseEventLog = [];
+let sseEventSeq = Date.now();
+
+// Audience for booking events: who may see the booking, and in what shape
+function bookingAudience(booking) {
+  return user => {
+    if (!canViewBooking(user, booking)) return null;
+    return user.role === 'driver' ? toDriverView(booking, user.id) : booking;
+  };
+}
+
+function writeSseEvent(res, entry, data) {
+  res.write(`id: ${entry.id}\nevent: ${entry.event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Broadcast an event. `audience(user)` returns the data to send that user, or null to skip them;
+// it defaults to the visibility rules for the booking in `data`.
+function sendSseEvent(event, data, audience = bookingAudience(data)) {
+  const entry = { id: ++sseEventSeq, event, audience };
+  sseEventLog.push(entry);
+  if (sseEventLog.length > SSE_EVENT_LOG_SIZE) sseEventLog.shift();
+
+  sseClients.forEach(client => {
+    try {
+      const payload = audience(client.user);
+      if (payload) writeSseEvent(client.res, entry, payload);
+    } catch (err) {
+      // ignore individual client errors; cleanup happens on close
+    }
+  });
+}
+
+// End the streams of clients matching `predicate` (e.g. after their session is revoked). They are
+// dropped from the list right away so nothing more is written to them.
+function closeSseSessions(predicate) {
+  sseClients.filter(predicate).forEach(client => {
+    const idx = sseClients.indexOf(client);
+    if (idx !== -1) sseClients.splice(idx, 1);
+    try { client.res.end(); } catch (err) { /* already closed */ }
+  });
+}
+
+// Keep idle connections (and proxies in between) from timing out, and close streams whose session
+// was revoked elsewhere (e.g. on another server instance)
+setInterval(() => {
+  sseClients.forEach(client => {
+    try { client.res.write(': ping\n\n'); } catch (err) { /* cleanup happens on close */ }
+  });
+  if (mongoose.connection.readyState !== 1) return;
+  const sids = [...new Set(sseClients.map(client => client.sid))];
+  Promise.all(sids.map(sid => isSessionActive(sid).then(active => active ? null : sid)))
+    .then(ended => {
+      const revoked = new Set(ended.filter(Boolean));
+      if (revoked.size) closeSseSessions(client => revoked.has(client.sid));
+    })
+    .catch(err => console.error('[SSE] Session check failed:', err.message));
+}, SSE_HEARTBEAT_MS).unref();
+
+// ============ Web Push ============
+
+// Small key/value store for server-generated settings (e.g. VAPID keys)
+const appSettingSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  value: mongoose.Schema.Types.Mixed,
+  updatedAt: { type: Date, default: Date.now }
+});
+
+const AppSetting = mongoose.model('AppSetting', appSettingSchema);
+
+// One document per browser/device subscription
+const pushSubscriptionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  role: String,
+  endpoint: { type: String, required: true, unique: true },
+  keys: {
+    p256dh: String,
+    auth: String
+  },
+  userAgent: String,
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: null }
+});
+
+const PushSubscription = mongoose.model('PushSubscription', pushSubscriptionSchema);
+
+let vapidPublicKey = null;
+
+// Use VAPID keys from the environment, else load (or generate once) and persist them in MongoDB
+async function setupWebPush() {
+  let keys = null;
+  if (process.env.VAPID_PUBLIC_KEY && process.env.VAPID_PRIVATE_KEY) {
+    keys = { publicKey: process.env.VAPID_PUBLIC_KEY, privateKey: process.env.VAPID_PRIVATE_KEY };
+  } else {
+    const saved = await AppSetting.findOne({ key: 'vapidKeys' });
+    if (saved && saved.value && saved.value.publicKey) {
+      keys = saved.value;
+    } else {
+      keys = webpush.generateVAPIDKeys();
+      // Another instance may have generated keys at the same time; keep whichever was stored first
+      await AppSetting.updateOne({ key: 'vapidKeys' }, { $setOnInsert: { value: keys, updatedAt: new Date() } }, { upsert: true });
+      keys = (await AppSetting.findOne({ key: 'vapidKeys' })).value;
+      console.log('[PUSH] Generated VAPID keys and stored them in the database');
+    }
+  }
+
+  const subject = process.env.VAPID_SUBJECT || `mailto:${process.env.ADMIN_EMAIL || 'emouisaac1@gmail.com'}`;
+  webpush.setVapidDetails(subject, keys.publicKey, keys.privateKey);
+  vapidPublicKey = keys.publicKey;
+  console.log('[PUSH] Web Push ready');
+}
+
+// Send to every subscription matching `filter`; expired subscriptions are removed
+async function sendPush(filter, payload) {
+  if (!vapidPublicKey || mongoose.connection.readyState !== 1) return 0;
+
+  const subs = await PushSubscription.find(filter);
+  let sent = 0;
+  await Promise.all(subs.map(async sub => {
+    try {
+      await webpush.sendNotification({ endpoint: sub.endpoint, keys: sub.keys }, JSON.stringify(payload), { TTL: 3600 });
+      sent++;
+      await PushSubscription.updateOne({ _id: sub._id }, { $set: { lastUsedAt: new Date() } });
+    } catch (err) {
+      if (err.statusCode === 404 || err.statusCode === 410) {
+        await PushSubscription.deleteOne({ _id: sub._id });
+        console.log('[PUSH] Removed expired subscription for user', sub.user.toString());
+      } else {
+        console.error('[PUSH] Send failed:', err && err.message ? err.message : err);
+      }
+    }
+  }));
+  return sent;
+}
+
+function sendPushToUser(userId, payload) {
+  if (!userId) return Promise.resolve(0);
+  return sendPush({ user: userId }, payload);
+}
+
+function sendPushToRole(role, payload) {
+  return sendPush({ role }, payload);
+}
+
+// Push notifications for booking events; `event` is booking_created or booking_<status>
+async function notifyBookingPush(event, booking) {
+  const ref = `#${booking._id.toString().slice(-8)}`;
+  const route = `${booking.pickup} → ${booking.destination}`;
+  const tag = `booking-${booking._id}`;
+  const jobs = [];
+
+  switch (event) {
+    case 'booking_created':
+      jobs.push(sendPushToRole('admin', { title: `New booking from ${booking.name || 'a customer'}`, body: route, url: '/admin/', tag }));
+      break;
+    case 'booking_confirmed':
+      jobs.push(sendPushToUser(booking.user, { title: `Booking ${ref} confirmed`, body: route, url: '/', tag }));
+      break;
+    case 'booking_assigned':
+      jobs.push(sendPushToUser(booking.user, { title: 'Your driver is assigned', body: `Booking ${ref}: ${route}`, url: '/', tag }));
+      jobs.push(sendPushToUser(booking.driver, { title: 'New trip assigned', body: route, url: '/driver/', tag }));
+      break;
+    case 'booking_reassigned':
+      jobs.push(sendPushToUser(booking.user, { title: 'Your driver has changed', body: `Booking ${ref}: ${route}`, url: '/', tag }));
+      jobs.push(sendPushToUser(booking.driver, { title: 'New trip assigned', body: route, url: '/driver/', tag }));
+      break;
+    case 'booking_cancelled':
+    case 'booking_cancelled_by_client':
+    case 'booking_cancelled_by_driver': {
+      const reason = booking.cancellation && booking.cancellation.reason ? ` (${booking.cancellation.reason.replace(/_/g, ' ')})` : '';
+      if (event !== 'booking_cancelled_by_client') {
+        jobs.push(sendPushToUser(booking.user, { title: `Booking ${ref} cancelled`, body: route + reason, url: '/', tag }));
+      }
+      if (event !== 'booking_cancelled_by_driver') {
+        jobs.push(sendPushToUser(booking.driver, { title: `Trip ${ref} cancelled`, body: route + reason, url: '/driver/', tag }));
+      }
+      jobs.push(sendPushToRole('admin', { title: `Booking ${ref} cancelled`, body: route + reason, url: '/admin/', tag }));
+      break;
+    }
+    default:
+      return;
+  }
+
+  await Promise.all(jobs);
+}
+
+// ============ Sessions ============
+// One Session per signed-in device. The client holds a short-lived access JWT (carrying the session
+// id as `sid`) and a refresh token `<sessionId>.<secret>`; only a hash of the secret is stored and it
+// changes on every refresh. Presenting an already-rotated secret means it was copied, so the
+// session is revoked.
+const REFRESH_REUSE_GRACE_MS = 10 * 1000; // two tabs refreshing at once is not theft
+const SESSION_CACHE_MS = 30 * 1000;
+
+const sessionSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  tokenHash: { type: String, required: true },
+  previousTokenHash: { type: String, default: null },
+  rotatedAt: { type: Date, default: null },
+  userAgent: String,
+  ip: String,
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  revokedReason: { type: String, default: null }
+});
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model('Session', sessionSchema);
+
+// sessionId -> { active, checkedAt }; keeps authenticate from reading Mongo on every request.
+// Revocations made by another server instance take up to SESSION_CACHE_MS to apply here.
+const sessionCache = new Map();
+
+function hashRefreshSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { id: user._id.toString(), phone: user.phone, phoneVerified: user.phoneVerified === true, role: user.role, sid: sessionId.toString() },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+function accessTokenExpiresIn(token) {
+  const decoded = jwt.decode(token);
+  return decoded && decoded.exp ? decoded.exp - Math.floor(Date.now() / 1000) : null;
+}
+
+function refreshExpiry() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 3600 * 1000);
+}
+
+// Start a session for `user` on the requesting device; returns the tokens to hand to the client
+async function startSession(user, req) {
+  const secret = crypto.randomBytes(32).toString('hex');
+  const session = await Session.create({
+    user: user._id,
+    tokenHash: hashRefreshSecret(secret),
+    userAgent: (req.headers['user-agent'] || '').toString().slice(0, 300),
+    ip: req.ip,
+    expiresAt: refreshExpiry()
+  });
+  const token = signAccessToken(user, session._id);
+  return { token, refreshToken: `${session._id}.${secret}`, expiresIn: accessTokenExpiresIn(token) };
+}
+
+// Swap a refresh token for a new access token and refresh token. Throws 401 when it is not usable.
+async function rotateSession(refreshToken) {
+  const [sessionId, secret] = (refreshToken || '').toString().split('.');
+  if (!secret || !mongoose.Types.ObjectId.isValid(sessionId)) throw httpError(401, 'Invalid refresh token');
+
+  const session = await Session.findById(sessionId);
+  if (!session || session.revokedAt || session.expiresAt < new Date()) throw httpError(401, 'Session expired. Please sign in again.');
+
+  const presented = hashRefreshSecret(secret);
+  if (presented !== session.tokenHash) {
+    if (presented === session.previousTokenHash) {
+      if (session.rotatedAt && Date.now() - session.rotatedAt.getTime() < REFRESH_REUSE_GRACE_MS) {
+        throw httpError(401, 'Refresh token already rotated');
+      }
+      await revokeSession(session._id, 'refresh_token_reuse');
+      console.warn(`[AUTH] Refresh token reuse on session ${session._id} (user ${session.user}); session revoked`);
+    }
+    throw httpError(401, 'Invalid refresh token');
+  }
+
+  const user = await User.findById(session.user);
+  if (!user || user.disabled) {
+    await revokeSession(session._id, user ? 'account_disabled' : 'user_deleted');
+    throw httpError(401, user ? 'This account has been disabled' : 'Account not found');
+  }
+
+  const nextSecret = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+  // Conditional on the old hash so two concurrent refreshes cannot both succeed
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: presented, revokedAt: null },
+    { $set: { tokenHash: hashRefreshSecret(nextSecret), previousTokenHash: presented, rotatedAt: now, lastUsedAt: now, expiresAt: refreshExpiry() } },
+    { new: true }
+  );
+  if (!rotated) throw httpError(401, 'Refresh token already rotated');
+
+  const token = signAccessToken(user, session._id);
+  return { token, refreshToken: `${session._id}.${nextSecret}`, expiresIn: accessTokenExpiresIn(token), user };
+}
+
+async function revokeSession(sessionId, reason) {
+  await Session.updateOne({ _id: sessionId, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  sessionCache.set(sessionId.toString(), { active: false, checkedAt: Date.now() });
+  closeSseSessions(client => client.sid === sessionId.toString());
+}
+
+// Sign a user out of every device, optionally keeping one session (e.g. the one changing the password)
+async function revokeUserSessions(userId, reason, exceptSessionId) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  const sessions = await Session.find(filter, { _id: 1 });
+  if (!sessions.length) return 0;
+  await Session.updateMany({ _id: { $in: sessions.map(s => s._id) } }, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  const revoked = new Set(sessions.map(s => s._id.toString()));
+  for (const id of revoked) sessionCache.set(id, { active: false, checkedAt: Date.now() });
+  closeSseSessions(client => revoked.has(client.sid));
+  console.log(`[AUTH] Revoked ${sessions.length} session(s) for user ${userId} (${reason})`);
+  return sessions.length;
+}
+
+async function isSessionActive(sessionId) {
+  const cached = sessionCache.get(sessionId);
+  if (cached && Date.now() - cached.checkedAt < SESSION_CACHE_MS) return cached.active;
+
+  const session = await Session.findById(sessionId, { revokedAt: 1, expiresAt: 1 });
+  const active = !!session && !session.revokedAt && session.expiresAt > new Date();
+  sessionCache.set(sessionId, { active, checkedAt: Date.now() });
+  if (sessionCache.size > 10000) sessionCache.delete(sessionCache.keys().next().value);
+  return active;
+}
+
+// Claims of a valid access token whose session is still active; throws 401 otherwise
+async function verifyAccessToken(token) {
+  let claims;
+  try {
+    claims = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    throw httpError(401, 'Invalid or expired token');
+  }
+  // Tokens issued before sessions existed carry no sid and must sign in again
+  if (!claims.sid || !mongoose.Types.ObjectId.isValid(claims.sid)) throw httpError(401, 'Invalid or expired token');
+  if (mongoose.connection.readyState !== 1 && !sessionCache.has(claims.sid)) throw httpError(503, 'Database connection unavailable. Please try again.');
+  if (!await isSessionActive(claims.sid)) throw httpError(401, 'Session has been signed out');
+  return claims;
+}
+
+// ============ Auth Middleware ============
+
+function getBearerToken(req) {
+  const header = (req.headers.authorization || '').toString();
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+}
+
+// Verify the Bearer token and its session, and attach the claims ({ id, phone, role, sid }) to req.user
+async function authenticate(req, res, next) {
+  const token = getBearerToken(req);
+  if (!token) return res.status(401).json({ error: 'Authentication required' });
+
+  try {
+    req.user = await verifyAccessToken(token);
+  } catch (err) {
+    return res.status(err.statusCode || 401).json({ error: err.message });
+  }
+  next();
+}
+
+// Allow only the given roles; must run after authenticate
+function authorize(...roles) {
+  return (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: 'Authentication required' });
+    if (!roles.includes(req.user.role)) {
+      console.log(`[AUTH] Forbidden: ${req.user.role} ${req.user.id} -> ${req.method} ${req.originalUrl}`);
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    next();
+  };
+}
+
+// Operational endpoints accept either the maintenance secret or an admin token
+function authorizeAdminOrSecret(req, res, next) {
+  const secret = (req.query.secret || req.headers['x-admin-secret'] || '').toString();
+  const allowed = process.env.MAINTENANCE_SECRET;
+  if (secret && allowed && secret === allowed) return next();
+
+  authenticate(req, res, () => authorize('admin')(req, res, next));
+}
+
+// Bookings a driver may be offered: not yet taken and still open
+const OFFERABLE_STATUSES = ['pending', 'confirmed'];
+// A driver is on a trip while one of their bookings is in one of these
+const ACTIVE_TRIP_STATUSES = ['assigned', 'driver_en_route', 'arrived', 'in_progress'];
+const FINISHED_STATUSES = ['completed', 'cancelled', 'cancelled_by_client', 'cancelled_by_driver', 'no_show'];
+// While the dispatcher is offering a booking, only the driver holding the offer sees it
+const DISPATCH_ACTIVE_STATES = ['searching', 'offered'];
+
+// Open bookings a driver may see and accept: not rejected by them, and offered to them if dispatch is running
+function openRequestsFilter(driverId) {
+  return {
+    driver: null,
+    status: { $in: OFFERABLE_STATUSES },
+    rejectedBy: { $ne: driverId },
+    $or: [{ 'dispatch.state': { $nin: DISPATCH_ACTIVE_STATES } }, { 'dispatch.offeredTo': driverId }]
+  };
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Bookings owned by a client: linked by account, or legacy bookings matched by phone. The phone
+// match needs a verified number, otherwise anyone could register it and read the old bookings.
+function ownBookingsFilter(user) {
+  const owned = [{ user: user.id }];
+  if (user.phone && user.phoneVerified === true) owned.push({ user: null, phone: user.phone });
+  return { $or: owned };
+}
+
+// Mongo filter limiting bookings to what the caller may see
+function bookingScopeFor(user) {
+  if (user.role === 'admin') return {};
+  if (user.role === 'driver') {
+    return {
+      $or: [
+        { driver: user.id },
+        openRequestsFilter(user.id)
+      ]
+    };
+  }
+  return ownBookingsFilter(user);
+}
+
+function canViewBooking(user, booking) {
+  if (user.role === 'admin') return true;
+  if (user.role === 'driver') {
+    if (booking.driver) return booking.driver.toString() === user.id;
+    const rejected = (booking.rejectedBy || []).some(id => id.toString() === user.id);
+    const dispatch = booking.dispatch || {};
+    if (DISPATCH_ACTIVE_STATES.includes(dispatch.state) && String(dispatch.offeredTo) !== user.id) return false;
+    return OFFERABLE_STATUSES.includes(booking.status) && !rejected;
+  }
+  if (booking.user) return booking.user.toString() === user.id;
+  return !!user.phone && user.phoneVerified === true && booking.phone === user.phone;
+}
+
+// ============ Rate Limiting ============
+// Fixed-window counters. The memory store is per process; RATE_LIMIT_STORE=mongo shares counters
+// between instances (falling back to memory while the database is unreachable).
+const RATE_LIMIT_STORE = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+
+// "20/15m" -> { max: 20, windowMs: 900000 }; "off" or "0" disables the limit
+function parseRateLimit(value, fallback) {
+  const spec = (value || fallback).toString().trim().toLowerCase();
+  if (spec === 'off' || spec === '0') return null;
+  const match = spec.match(/^(\d+)\s*\/\s*(\d+)\s*([smh])$/);
+  if (!match) {
+    console.warn(`[RATE-LIMIT] Invalid limit "${spec}", using ${fallback}`);
+    return parseRateLimit(fallback, fallback);
+  }
+  const unitMs = { s: 1000, m: 60 * 1000, h: 3600 * 1000 }[match[3]];
+  return { max: parseInt(match[1], 10), windowMs: parseInt(match[2], 10) * unitMs };
+}
+
+const RATE_LIMITS = {
+  auth: parseRateLimit(process.env.RATE_LIMIT_AUTH, '20/15m'),          // per IP: login, codes, password reset
+  bookings: parseRateLimit(process.env.RATE_LIMIT_BOOKINGS, '10/1h'),   // per user: new bookings
+  places: parseRateLimit(process.env.RATE_LIMIT_PLACES, '60/1m'),       // per IP: Google Places proxy
+  quotes: parseRateLimit(process.env.RATE_LIMIT_QUOTES, '30/1m')         // per IP: fare quotes (each one is stored)
+};
+
+// Progressive lockout per login identifier: after LOGIN_LOCKOUT_THRESHOLD failures within the
+// window, each further failure locks the identifier for twice as long as the previous one.
+const LOGIN_FAILURE_WINDOW_MS = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES || '60', 10) * 60 * 1000;
+const LOGIN_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || '5', 10);
+const LOGIN_LOCKOUT_BASE_MS = 60 * 1000;
+const LOGIN_LOCKOUT_MAX_MS = 60 * 60 * 1000;
+
+const memoryRateLimitStore = {
+  counters: new Map(),
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.counters.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.counters.set(key, entry);
+    }
+    entry.count++;
+    return { count: entry.count, resetAt: entry.resetAt };
+  },
+
+  async get(key) {
+    const entry = this.counters.get(key);
+    return entry && entry.resetAt > Date.now() ? { count: entry.count, resetAt: entry.resetAt } : null;
+  },
+
+  async set(key, count, windowMs) {
+    this.counters.set(key, { count, resetAt: Date.now() + windowMs });
+  },
+
+  async reset(key) {
+    this.counters.delete(key);
+  }
+};
+
+// Drop expired counters so the map does not grow without bound
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of memoryRateLimitStore.counters) {
+    if (entry.resetAt <= now) memoryRateLimitStore.counters.delete(key);
+  }
+}, 60 * 1000).unref();
+
+const rateLimitCounterSchema = new mongoose.Schema({
+  key: { type: String, required: true, unique: true },
+  count: { type: Number, default: 0 },
+  resetAt: { type: Date, required: true }
+});
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitCounter = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
+
+const mongoRateLimitStore = {
+  async increment(key, windowMs) {
+    const now = new Date();
+    const stillOpen = { $gt: ['$resetAt', now] };
+    // Single atomic upsert: continue the current window or start a new one
+    const doc = await RateLimitCounter.findOneAndUpdate(
+      { key },
+      [{ $set: {
+        count: { $cond: [stillOpen, { $add: ['$count', 1] }, 1] },
+        resetAt: { $cond: [stillOpen, '$resetAt', new Date(now.getTime() + windowMs)] }
+      } }],
+      { upsert: true, new: true, updatePipeline: true }
+    );
+    return { count: doc.count, resetAt: doc.resetAt.getTime() };
+  },
+
+  async get(key) {
+    const doc = await RateLimitCounter.findOne({ key, resetAt: { $gt: new Date() } });
+    return doc ? { count: doc.count, resetAt: doc.resetAt.getTime() } : null;
+  },
+
+  async set(key, count, windowMs) {
+    await RateLimitCounter.updateOne({ key }, { $set: { count, resetAt: new Date(Date.now() + windowMs) } }, { upsert: true });
+  },
+
+  async reset(key) {
+    await RateLimitCounter.deleteOne({ key });
+  }
+};
+
+function rateLimitStore() {
+  return RATE_LIMIT_STORE === 'mongo' && mongoose.connection.readyState === 1 ? mongoRateLimitStore : memoryRateLimitStore;
+}
+
+function rateLimitedResponse(res, resetAt, message) {
+  const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({ error: message, retryAfter });
+}
+
+// Middleware allowing `limit.max` requests per `limit.windowMs` for each key(req).
+// Store errors let the request through rather than taking the route down.
+function rateLimit(name, limit, keyFn, message) {
+  if (!limit) return (req, res, next) => next();
+  return async (req, res, next) => {
+    let result;
+    try {
+      result = await rateLimitStore().increment(`${name}:${keyFn(req)}`, limit.windowMs);
+    } catch (err) {
+      console.error(`[RATE-LIMIT] ${name} store error:`, err.message);
+      return next();
+    }
+    res.set('RateLimit-Limit', String(limit.max));
+    res.set('RateLimit-Remaining', String(Math.max(0, limit.max - result.count)));
+    res.set('RateLimit-Reset', String(Math.ceil((result.resetAt - Date.now()) / 1000)));
+    if (result.count > limit.max) {
+      console.warn(`[RATE-LIMIT] ${name} limit hit by ${keyFn(req)}`);
+      return rateLimitedResponse(res, result.resetAt, message || 'Too many requests. Please try again later.');
+    }
+    next();
+  };
+}
+
+const authRateLimit = rateLimit('auth', RATE_LIMITS.auth, req => req.ip, 'Too many attempts. Please try again later.');
+
+function loginLockKey(identifier) {
+  return `login-lock:${identifier.toLowerCase()}`;
+}
+
+// { resetAt } when the identifier is locked out, otherwise null
+async function loginLockout(identifier) {
+  try {
+    return await rateLimitStore().get(loginLockKey(identifier));
+  } catch (err) {
+    console.error('[RATE-LIMIT] Lockout check failed:', err.message);
+    return null;
+  }
+}
+
+async function recordLoginFailure(identifier) {
+  try {
+    const store = rateLimitStore();
+    const { count } = await store.increment(`login-fail:${identifier.toLowerCase()}`, LOGIN_FAILURE_WINDOW_MS);
+    if (count >= LOGIN_LOCKOUT_THRESHOLD) {
+      const lockMs = Math.min(LOGIN_LOCKOUT_BASE_MS * Math.pow(2, count - LOGIN_LOCKOUT_THRESHOLD), LOGIN_LOCKOUT_MAX_MS);
+      await store.set(loginLockKey(identifier), count, lockMs);
+      console.warn(`[AUTH] Login locked for ${Math.round(lockMs / 1000)}s after ${count} failures`);
+    }
+  } catch (err) {
+    console.error('[RATE-LIMIT] Recording login failure failed:', err.message);
+  }
+}
+
+async function clearLoginFailures(identifier) {
+  try {
+    const store = rateLimitStore();
+    await store.reset(`login-fail:${identifier.toLowerCase()}`);
+    await store.reset(loginLockKey(identifier));
+  } catch (err) {
+    console.error('[RATE-LIMIT] Clearing login failures failed:', err.message);
+  }
+}
+
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// ============ Booking Lifecycle ============
+
+// Allowed transitions: from -> to -> roles that may make them.
+// Admins may also make any driver or client transition.
+const BOOKING_TRANSITIONS = {
+  pending: { confirmed: ['admin'], assigned: ['driver'], cancelled_by_client: ['client'], cancelled: ['admin'] },
+  confirmed: { assigned: ['driver'], cancelled_by_client: ['client'], cancelled: ['admin'] },
+  assigned: { driver_en_route: ['driver'], cancelled_by_client: ['client'], cancelled_by_driver: ['driver'], cancelled: ['admin'] },
+  driver_en_route: { arrived: ['driver'], cancelled_by_client: ['client'], cancelled_by_driver: ['driver'], cancelled: ['admin'] },
+  arrived: { in_progress: ['driver'], no_show: ['driver'], cancelled_by_client: ['client'], cancelled_by_driver: ['driver'], cancelled: ['admin'] },
+  in_progress: { completed: ['driver'], cancelled: ['admin'] }
+};
+
+function httpError(statusCode, message) {
+  const err = new Error(message);
+  err.statusCode = statusCode;
+  return err;
+}
+
+function canTransition(from, to, role) {
+  const allowed = (BOOKING_TRANSITIONS[from] || {})[to];
+  if (!allowed) return false;
+  return role === 'admin' || allowed.includes(role);
+}
+
+// Move a booking to a new status on behalf of `actor` (req.user claims).
+// The update is conditional on the current status so concurrent transitions cannot both win.
+// `extra` is merged into $set (e.g. { driver } when a ride is assigned).
+async function transitionBooking(bookingId, to, actor, { note, extra, match } = {}) {
+  if (!mongoose.Types.ObjectId.isValid(bookingId)) throw httpError(404, 'Booking not found');
+  const booking = await Booking.findById(bookingId);
+  if (!booking) throw httpError(404, 'Booking not found');
+
+  if (!BOOKING_STATUSES.includes(to)) throw httpError(400, `Unknown status: ${to}`);
+  if (!canTransition(booking.status, to, actor.role)) {
+    throw httpError(409, `Cannot change booking from ${booking.status} to ${to}`);
+  }
+
+  // Drivers may only progress trips assigned to them; clients only their own bookings
+  if (actor.role === 'driver' && to !== 'assigned' && (!booking.driver || booking.driver.toString() !== actor.id)) {
+    throw httpError(403, 'Forbidden');
+  }
+  if (actor.role === 'client' && !canViewBooking(actor, booking)) {
+    throw httpError(403, 'Forbidden');
+  }
+
+  if (to === 'completed') extra = Object.assign({}, extra, completionFareFields(booking), await completionDistanceFields(booking));
+
+  const now = new Date();
+  const dispatchOnConfirm = to === 'confirmed' && DISPATCH_ON === 'confirmed' && dispatchApplies(booking) && dispatchDue(booking);
+  if (dispatchOnConfirm) extra = Object.assign({}, extra, { 'dispatch.state': 'searching', 'dispatch.startedAt': now });
+
+  const filter = Object.assign({ _id: booking._id, status: booking.status }, match || {});
+  if (to === 'assigned' && actor.role === 'driver') filter.driver = null;
+
+  const saved = await Booking.findOneAndUpdate(
+    filter,
+    {
+      $set: Object.assign({ status: to, updatedAt: now }, extra || {}),
+      $push: { statusHistory: { from: booking.status, to, at: now, actorId: actor.id || null, actorRole: actor.role, note: note || '' } }
+    },
+    { new: true }
+  );
+
+  if (!saved) throw httpError(409, 'Booking was updated by someone else; please refresh');
+
+  console.log(`[BOOKING] Booking ${saved._id}: ${booking.status} -> ${to} by ${actor.role} ${actor.id}`);
+
+  // Each transition has its own event, e.g. booking_assigned, booking_arrived
+  try { sendSseEvent(`booking_${to}`, saved.toObject()); } catch (e) { /* ignore */ }
+  notifyBookingPush(`booking_${to}`, saved).catch(e => console.error('[PUSH] Booking notification error:', e && e.message ? e.message : e));
+  notifyBookingCustomer(`booking_${to}`, saved).catch(e => console.error('[NOTIFY] Booking notification error:', e && e.message ? e.message : e));
+  if (dispatchOnConfirm) offerNextDriver(saved._id).catch(e => console.error('[DISPATCH] Error:', e && e.message ? e.message : e));
+  if (FINISHED_STATUSES.includes(to)) cancelBookingJobs(saved._id).catch(e => console.error('[SCHEDULE] Error:', e && e.message ? e.message : e));
+  if (to === 'completed') requestPaymentOnCompletion(saved).catch(e => console.error('[PAYMENTS] Error:', e && e.message ? e.message : e));
+  if (to === 'completed') issueReceiptOnCompletion(saved).catch(e => console.error('[RECEIPTS] Error:', e && e.message ? e.message : e));
+
+  return saved;
+}
+
+// Hand an active trip to another driver (admin). The status stays the same; the change is recorded
+// in the history and both drivers and the customer are told. Conditional like transitionBooking.
+async function reassignDriver(bookingId, driverUser, actor, { note } = {}) {
+  const booking = await Booking.findById(bookingId);
+  if (!booking) throw httpError(404, 'Booking not found');
+  if (!ACTIVE_TRIP_STATUSES.includes(booking.status)) throw httpError(409, `Cannot reassign a booking that is ${booking.status}`);
+  if (booking.driver && booking.driver.toString() === driverUser._id.toString()) throw httpError(409, 'Trip is already assigned to this driver');
+
+  const now = new Date();
+  const previousDriver = booking.driver;
+  const saved = await Booking.findOneAndUpdate(
+    { _id: booking._id, status: booking.status, driver: previousDriver },
+    {
+      $set: { driver: driverUser._id, driverAcceptedAt: now, updatedAt: now },
+      $push: {
+        statusHistory: {
+          from: booking.status,
+          to: booking.status,
+          at: now,
+          actorId: actor.id || null,
+          actorRole: actor.role,
+          note: note || `Reassigned to ${driverUser.name || driverUser.phone}`
+        }
+      }
+    },
+    { new: true }
+  );
+  if (!saved) throw httpError(409, 'Booking was updated by someone else; please refresh');
+
+  console.log(`[BOOKING] Booking ${saved._id}: driver ${previousDriver} -> ${driverUser._id} by ${actor.role} ${actor.id}`);
+
+  // The previous driver only learns the trip is no longer theirs
+  const audience = bookingAudience(saved);
+  const released = { _id: saved._id, id: saved._id.toString(), status: saved.status, reassigned: true };
+  try {
+    sendSseEvent('booking_updated', saved.toObject(), user => {
+      if (previousDriver && user.role === 'driver' && user.id === previousDriver.toString()) return released;
+      return audience(user);
+    });
+  } catch (e) { /* ignore */ }
+  const ref = `#${saved._id.toString().slice(-8)}`;
+  const jobs = [notifyBookingPush('booking_reassigned', saved), notifyBookingCustomer('booking_reassigned', saved)];
+  if (previousDriver) {
+    jobs.push(sendPushToUser(previousDriver, { title: `Trip ${ref} reassigned`, body: 'An admin gave this trip to another driver', url: '/driver/', tag: `booking-${saved._id}` }));
+  }
+  Promise.all(jobs).catch(e => console.error('[NOTIFY] Reassignment notification error:', e && e.message ? e.message : e));
+
+  return saved;
+}
+
+// ============ Routing ============
+
+// Each provider takes { lat, lng } points and resolves to
+// { distanceKm, durationMin, trafficLevel, geometry: [[lat, lng], ...] | null }.
+const ROUTE_ROAD_FACTOR = 1.3; // straight line -> typical road distance
+const ROUTE_AVG_SPEED_KMH = 30;
+const ROUTE_CACHE_MAX_ENTRIES = 1000;
+const ROUTING_TIMEOUT_MS = 5000;
+
+function haversineKm(a, b) {
+  const toRad = d => d * Math.PI / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(h), Math.sqrt(1 - h));
+}
+
+// Decode a Google encoded polyline into [[lat, lng], ...]
+function decodePolyline(encoded) {
+  const points = [];
+  let index = 0, lat = 0, lng = 0;
+  while (index < encoded.length) {
+    for (const axis of ['lat', 'lng']) {
+      let shift = 0, result = 0, byte;
+      do {
+        byte = encoded.charCodeAt(index++) - 63;
+        result |= (byte & 0x1f) << shift;
+        shift += 5;
+      } while (byte >= 0x20);
+      const delta = (result & 1) ? ~(result >> 1) : (result >> 1);
+      if (axis === 'lat') lat += delta; else lng += delta;
+    }
+    points.push([lat / 1e5, lng / 1e5]);
+  }
+  return points;
+}
+
+const routingProviders = {
+  // Offline estimate: great-circle distance scaled to roads, at an average city speed
+  async haversine(origin, destination) {
+    const distanceKm = haversineKm(origin, destination) * ROUTE_ROAD_FACTOR;
+    return {
+      distanceKm,
+      durationMin: Math.max(5, distanceKm / ROUTE_AVG_SPEED_KMH * 60),
+      trafficLevel: null,
+      geometry: null
+    };
+  },
+
+  // Any OSRM-compatible server (e.g. a self-hosted osrm-backend at OSRM_URL)
+  async osrm(origin, destination) {
+    if (!OSRM_URL) throw new Error('OSRM_URL not configured');
+    const url = `${OSRM_URL}/route/v1/driving/${origin.lng},${origin.lat};${destination.lng},${destination.lat}?overview=full&geometries=geojson`;
+    const response = await fetch(url, { signal: AbortSignal.timeout(ROUTING_TIMEOUT_MS) });
+    const data = await response.json();
+    if (data.code !== 'Ok' || !data.routes || !data.routes.length) throw new Error(`OSRM returned ${data.code}`);
+
+    const route = data.routes[0];
+    return {
+      distanceKm: route.distance / 1000,
+      durationMin: route.duration / 60,
+      trafficLevel: null,
+      geometry: (route.geometry && route.geometry.coordinates || []).map(([lng, lat]) => [lat, lng])
+    };
+  },
+
+  async google(origin, destination) {
+    if (!GOOGLE_MAPS_API_KEY) throw new Error('Google Maps API key not configured');
+    const url = `https://maps.googleapis.com/maps/api/directions/json?origin=${origin.lat},${origin.lng}&destination=${destination.lat},${destination.lng}&departure_time=now&key=${GOOGLE_MAPS_API_KEY}`;
+    const response = await fetch(url, { signal: AbortSignal.timeout(ROUTING_TIMEOUT_MS) });
+    const data = await response.json();
+    if (data.status !== 'OK' || !data.routes || !data.routes.length) throw new Error(`Google Directions returned ${data.status}`);
+
+    const route = data.routes[0];
+    const leg = route.legs[0];
+    const traffic = leg.duration_in_traffic ? leg.duration_in_traffic.value : leg.duration.value;
+    const ratio = traffic / Math.max(1, leg.duration.value);
+    return {
+      distanceKm: leg.distance.value / 1000,
+      durationMin: traffic / 60,
+      trafficLevel: ratio >= 1.5 ? 'High' : (ratio >= 1.2 ? 'Moderate' : 'Low'),
+      geometry: route.overview_polyline ? decodePolyline(route.overview_polyline.points) : null
+    };
+  }
+};
+
+// Results keyed by origin/destination rounded to ~10 m
+const routeCache = new Map();
+
+function routeCacheKey(origin, destination) {
+  return [origin.lat, origin.lng, destination.lat, destination.lng].map(n => n.toFixed(4)).join(',');
+}
+
+// Road distance/ETA between two points via the configured provider, falling back to the estimate
+async function getRoute(origin, destination) {
+  const key = routeCacheKey(origin, destination);
+  const cached = routeCache.get(key);
+  if (cached && cached.expiresAt > Date.now()) return cached.route;
+
+  let route;
+  const provider = routingProviders[ROUTING_PROVIDER] ? ROUTING_PROVIDER : 'haversine';
+  try {
+    route = Object.assign(await routingProviders[provider](origin, destination), { provider });
+  } catch (err) {
+    console.warn(`[ROUTING] ${provider} failed, using haversine estimate:`, err.message);
+    route = Object.assign(await routingProviders.haversine(origin, destination), { provider: 'haversine' });
+  }
+
+  // Only cache real routes for the full TTL; estimates are retried sooner
+  const ttlMs = (route.provider === provider ? ROUTE_CACHE_TTL_MINUTES : 1) * 60 * 1000;
+  if (routeCache.size >= ROUTE_CACHE_MAX_ENTRIES) routeCache.delete(routeCache.keys().next().value);
+  routeCache.set(key, { route, expiresAt: Date.now() + ttlMs });
+  return route;
+}
+
+// Parse "lat,lng" query values; returns null when malformed
+function parseLatLng(value) {
+  const [lat, lng] = (value || '').toString().split(',').map(Number);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return { lat, lng };
+}
+
+// ============ Fare Engine ============
+
+// Tariffs per service type. `standard` applies when the client picks no service.
+const fareRuleSchema = new mongoose.Schema({
+  serviceType: { type: String, required: true, unique: true },
+  currency: { type: String, default: 'UGX' },
+  baseFare: { type: Number, default: 0 },
+  perKm: { type: Number, default: 0 },
+  perMinute: { type: Number, default: 0 },
+  minimumFare: { type: Number, default: 0 },
+  waitingPerMinute: { type: Number, default: 0 },
+  freeWaitingMinutes: { type: Number, default: 0 },
+  // Fixed price (airport runs); trips longer than flatFareMaxKm fall back to metered pricing
+  flatFare: { type: Number, default: null },
+  flatFareMaxKm: { type: Number, default: null },
+  // Local-time windows; days are 0 (Sunday) to 6
+  peakWindows: [{
+    days: [Number],
+    start: String,
+    end: String,
+    multiplier: Number
+  }],
+  // Quoted range is total ± spread
+  rangeSpread: { type: Number, default: 0.1 },
+  roundTo: { type: Number, default: 500 },
+  updatedAt: { type: Date, default: Date.now },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+});
+
+const FareRule = mongoose.model('FareRule', fareRuleSchema);
+
+const fareQuoteSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  serviceType: String,
+  originLat: Number,
+  originLng: Number,
+  destLat: Number,
+  destLng: Number,
+  pickupAt: Date,
+  routeProvider: String,
+  distanceKm: Number,
+  durationMin: Number,
+  currency: String,
+  breakdown: mongoose.Schema.Types.Mixed,
+  isPeakHour: Boolean,
+  total: Number,
+  priceRange: { lower: Number, upper: Number },
+  waitingPerMinute: Number,
+  freeWaitingMinutes: Number,
+  // Set once when a booking is created from the quote; a quote books one ride only
+  usedAt: { type: Date, default: null },
+  booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', default: null },
+  createdAt: { type: Date, default: Date.now },
+  // Expired quotes are removed by MongoDB's TTL monitor
+  expiresAt: { type: Date, index: { expires: 0 } }
+});
+
+const FareQuote = mongoose.model('FareQuote', fareQuoteSchema);
+
+const WEEKDAYS = [1, 2, 3, 4, 5];
+const DEFAULT_PEAK_WINDOWS = [
+  { days: WEEKDAYS, start: '07:00', end: '09:30', multiplier: 1.25 },
+  { days: WEEKDAYS, start: '17:00', end: '20:00', multiplier: 1.25 }
+];
+
+// Used until an admin saves a rule for the service type
+const DEFAULT_FARE_RULES = {
+  standard: { baseFare: 5000, perKm: 1000, perMinute: 0, minimumFare: 10000, waitingPerMinute: 200, freeWaitingMinutes: 5 },
+  city: { baseFare: 5000, perKm: 1000, perMinute: 0, minimumFare: 10000, waitingPerMinute: 200, freeWaitingMinutes: 5 },
+  business: { baseFare: 10000, perKm: 1500, perMinute: 100, minimumFare: 20000, waitingPerMinute: 300, freeWaitingMinutes: 10 },
+  airport: { baseFare: 10000, perKm: 1200, perMinute: 0, minimumFare: 50000, waitingPerMinute: 200, freeWaitingMinutes: 30, flatFare: 120000, flatFareMaxKm: 50 }
+};
+
+const FARE_SERVICE_TYPES = Object.keys(DEFAULT_FARE_RULES);
+const HHMM_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function normalizeServiceType(serviceType) {
+  const key = (serviceType || '').toString().trim().toLowerCase();
+  return FARE_SERVICE_TYPES.includes(key) ? key : 'standard';
+}
+
+function defaultFareRule(serviceType) {
+  return Object.assign({
+    serviceType,
+    currency: 'UGX',
+    flatFare: null,
+    flatFareMaxKm: null,
+    peakWindows: DEFAULT_PEAK_WINDOWS,
+    rangeSpread: 0.1,
+    roundTo: 500
+  }, DEFAULT_FARE_RULES[serviceType]);
+}
+
+async function getFareRule(serviceType) {
+  const key = normalizeServiceType(serviceType);
+  const saved = await FareRule.findOne({ serviceType: key }).lean();
+  return saved || defaultFareRule(key);
+}
+
+// Day of week and minutes since midnight in the service timezone
+function localTimeParts(date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: SERVICE_TIMEZONE, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(date);
+  const get = type => (parts.find(p => p.type === type) || {}).value;
+  const day = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(get('weekday'));
+  return { day, minutes: parseInt(get('hour'), 10) * 60 + parseInt(get('minute'), 10) };
+}
+
+function hhmmToMinutes(value) {
+  const [h, m] = value.split(':').map(Number);
+  return h * 60 + m;
+}
+
+// Whether a { days, start, end } window covers localTimeParts() `at`; windows may run past midnight
+function timeWindowCovers(w, { day, minutes }) {
+  if (w.days && w.days.length && !w.days.includes(day)) return false;
+  const start = hhmmToMinutes(w.start);
+  const end = hhmmToMinutes(w.end);
+  return start <= end ? (minutes >= start && minutes < end) : (minutes >= start || minutes < end);
+}
+
+// Highest multiplier among peak windows covering `date` (1 when off-peak)
+function peakMultiplierAt(rule, date) {
+  const at = localTimeParts(date);
+  return (rule.peakWindows || []).reduce((best, w) => {
+    return timeWindowCovers(w, at) ? Math.max(best, w.multiplier || 1) : best;
+  }, 1);
+}
+
+function roundFare(amount, step) {
+  return step > 0 ? Math.round(amount / step) * step : Math.round(amount);
+}
+
+// Price a trip with a fare rule. Returns the itemised breakdown used for quotes and receipts.
+function computeFare(rule, { distanceKm, durationMin, pickupAt }) {
+  const multiplier = peakMultiplierAt(rule, pickupAt);
+  const useFlat = rule.flatFare != null && (rule.flatFareMaxKm == null || distanceKm <= rule.flatFareMaxKm);
+
+  const breakdown = {
+    baseFare: 0,
+    distanceCharge: 0,
+    timeCharge: 0,
+    peakSurcharge: 0,
+    flatFare: 0,
+    minimumFareAdjustment: 0,
+    rounding: 0
+  };
+
+  let total;
+  if (useFlat) {
+    breakdown.flatFare = rule.flatFare;
+    total = rule.flatFare;
+  } else {
+    breakdown.baseFare = rule.baseFare;
+    breakdown.distanceCharge = Math.round(distanceKm * rule.perKm);
+    breakdown.timeCharge = Math.round(durationMin * rule.perMinute);
+    const subtotal = breakdown.baseFare + breakdown.distanceCharge + breakdown.timeCharge;
+    breakdown.peakSurcharge = Math.round(subtotal * (multiplier - 1));
+    total = subtotal + breakdown.peakSurcharge;
+    if (total < rule.minimumFare) {
+      breakdown.minimumFareAdjustment = rule.minimumFare - total;
+      total = rule.minimumFare;
+    }
+  }
+
+  const rounded = roundFare(total, rule.roundTo);
+  breakdown.rounding = rounded - total;
+  total = rounded;
+  const spread = useFlat ? 0 : (rule.rangeSpread || 0);
+
+  return {
+    currency: rule.currency || 'UGX',
+    breakdown,
+    isPeakHour: !useFlat && multiplier > 1,
+    peakMultiplier: useFlat ? 1 : multiplier,
+    total,
+    priceRange: {
+      lower: roundFare(total * (1 - spread), rule.roundTo),
+      upper: roundFare(total * (1 + spread), rule.roundTo)
+    }
+  };
+}
+
+// Interpret the booking form's date ("YYYY-MM-DD") and time ("HH:MM") in the service timezone
+function parseLocalDateTime(date, time) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date || '') || !HHMM_PATTERN.test(time || '')) return null;
+  const asUtc = new Date(`${date}T${time}:00Z`);
+  if (isNaN(asUtc.getTime())) return null;
+  // Shift by the zone's offset at that moment (twice, to settle across DST changes)
+  let result = asUtc;
+  for (let i = 0; i < 2; i++) {
+    const local = new Date(result.toLocaleString('en-US', { timeZone: SERVICE_TIMEZONE }));
+    const utc = new Date(result.toLocaleString('en-US', { timeZone: 'UTC' }));
+    result = new Date(asUtc.getTime() - (local.getTime() - utc.getTime()));
+  }
+  return result;
+}
+
+function formatMoney(amount, currency) {
+  return `${currency || 'UGX'} ${Math.round(amount).toLocaleString('en-US')}`;
+}
+
+// Validate an admin fare-rule payload; returns { rule } or { error }
+function validateFareRuleInput(body) {
+  const numberFields = ['baseFare', 'perKm', 'perMinute', 'minimumFare', 'waitingPerMinute', 'freeWaitingMinutes', 'rangeSpread', 'roundTo'];
+  const rule = {};
+
+  for (const field of numberFields) {
+    if (body[field] === undefined) continue;
+    const n = Number(body[field]);
+    if (!Number.isFinite(n) || n < 0) return { error: `${field} must be a non-negative number` };
+    rule[field] = n;
+  }
+  if (rule.rangeSpread !== undefined && rule.rangeSpread >= 1) return { error: 'rangeSpread must be below 1' };
+
+  for (const field of ['flatFare', 'flatFareMaxKm']) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null || body[field] === '') { rule[field] = null; continue; }
+    const n = Number(body[field]);
+    if (!Number.isFinite(n) || n < 0) return { error: `${field} must be a non-negative number or null` };
+    rule[field] = n;
+  }
+
+  if (body.currency !== undefined) {
+    if (!/^[A-Z]{3}$/.test(String(body.currency))) return { error: 'currency must be a 3-letter code' };
+    rule.currency = String(body.currency);
+  }
+
+  if (body.peakWindows !== undefined) {
+    if (!Array.isArray(body.peakWindows)) return { error: 'peakWindows must be an array' };
+    rule.peakWindows = [];
+    for (const w of body.peakWindows) {
+      if (!w || !HHMM_PATTERN.test(w.start || '') || !HHMM_PATTERN.test(w.end || '')) {
+        return { error: 'Each peak window needs start and end as HH:MM' };
+      }
+      const days = Array.isArray(w.days) ? w.days.map(Number) : [];
+      if (days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) return { error: 'Peak window days must be 0-6' };
+      const multiplier = Number(w.multiplier);
+      if (!Number.isFinite(multiplier) || multiplier < 1 || multiplier > 5) return { error: 'Peak multiplier must be between 1 and 5' };
+      rule.peakWindows.push({ days, start: w.start, end: w.end, multiplier });
+    }
+  }
+
+  return { rule };
+}
+
+// Check a quote id submitted with a booking against the caller, route and pickup time
+async function loadQuoteForBooking(quoteId, { userId, pickupLat, pickupLng, destLat, destLng, serviceType, scheduledAt }) {
+  if (!quoteId || !mongoose.Types.ObjectId.isValid(quoteId)) throw httpError(400, 'A valid fare quote is required');
+
+  const quote = await FareQuote.findById(quoteId);
+  if (!quote || quote.expiresAt < new Date()) throw httpError(400, 'Fare quote expired; please recalculate the price');
+  if (quote.usedAt) throw httpError(409, 'Fare quote has already been used; please recalculate the price');
+  // Anonymous quotes may be used by anyone; a signed-in caller's quote only by them
+  if (quote.user && String(quote.user) !== String(userId)) {
+    throw httpError(400, 'Fare quote does not belong to this account');
+  }
+
+  // Coordinates must match what was quoted (allow for float formatting differences)
+  const close = (a, b) => Math.abs(Number(a) - b) < 1e-5;
+  if (!close(pickupLat, quote.originLat) || !close(pickupLng, quote.originLng) ||
+      !close(destLat, quote.destLat) || !close(destLng, quote.destLng)) {
+    throw httpError(400, 'Fare quote does not match the selected route');
+  }
+  if (normalizeServiceType(serviceType) !== quote.serviceType) {
+    throw httpError(400, 'Fare quote does not match the selected service');
+  }
+  // Peak pricing depends on the pickup time, so the booking must be for (about) the quoted time
+  if (!quote.pickupAt || Math.abs(new Date(scheduledAt) - quote.pickupAt) > FARE_QUOTE_TIME_TOLERANCE_MINUTES * 60 * 1000) {
+    throw httpError(400, 'Fare quote does not match the selected pickup time; please recalculate the price');
+  }
+
+  return quote;
+}
+
+// Mark a quote used by a booking. Conditional, so two bookings racing on one quote cannot both win.
+async function claimQuote(quote, bookingId) {
+  const claimed = await FareQuote.findOneAndUpdate(
+    { _id: quote._id, usedAt: null },
+    { $set: { usedAt: new Date(), booking: bookingId } },
+    { new: true }
+  );
+  if (!claimed) throw httpError(409, 'Fare quote has already been used; please recalculate the price');
+  return claimed;
+}
+
+// Give a claimed quote back when the booking it was claimed for could not be saved
+async function releaseQuote(quote, bookingId) {
+  await FareQuote.updateOne({ _id: quote._id, booking: bookingId }, { $set: { usedAt: null, booking: null } });
+}
+
+// Waiting time (arrived -> in_progress) and final fare, applied when a trip completes
+function completionFareFields(booking) {
+  const fare = booking.fare || {};
+  if (fare.total == null) return {};
+
+  const history = booking.statusHistory || [];
+  const arrived = history.find(h => h.to === 'arrived');
+  const started = history.find(h => h.to === 'in_progress');
+  const waitingMinutes = arrived && started ? Math.max(0, Math.round((started.at - arrived.at) / 60000)) : 0;
+  const billable = Math.max(0, waitingMinutes - (fare.freeWaitingMinutes || 0));
+  const waitingCharge = Math.round(billable * (fare.waitingPerMinute || 0));
+
+  return {
+    'fare.waitingMinutes': waitingMinutes,
+    'fare.waitingCharge': waitingCharge,
+    'fare.finalTotal': fare.total + waitingCharge
+  };
+}
+
+// ============ API Endpoints ============
+
+// Health check endpoint
+app.get('/health', async (req, res) => {
+  const dbStatus = mongoose.connection.readyState === 1 ? 'connected' : 'disconnected';
+  
+  // Try to find admin user
+  let adminExists = false;
+  try {
+    const admin = await User.findOne({ role: 'admin' });
+    adminExists = !!admin;
+  } catch (err) {
+    console.error('[HEALTH] Error checking admin:', err.message);
+  }
+
+  res.json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    database: dbStatus,
+    adminExists,
+    mongodb_uri: MONGODB_URI.includes('localhost') ? 'localhost' : 'remote'
+  });
+});
+
+// API endpoint: place autocomplete
+const placesRateLimit = rateLimit('places', RATE_LIMITS.places, req => req.ip);
+
+app.get('/api/places/autocomplete', placesRateLimit, async (req, res) => {
+  const input = req.query.input || '';
+  console.log(`[AUTOCOMPLETE] Input: "${input}"`);
+  
+  if (!input.trim()) {
+    console.log('[AUTOCOMPLETE] Empty input, returning empty predictions');
+    return res.json({ predictions: [] });
+  }
+
+  if (!GOOGLE_MAPS_API_KEY) {
+    console.error('[AUTOCOMPLETE] ERROR: Google Maps API key not found');
+    return res.status(500).json({ error: 'API key not configured', predictions: [] });
+  }
+
+  try {
+    // Use Google Places Autocomplete API
+    const url = `https://maps.googleapis.com/maps/api/place/autocomplete/json?input=${encodeURIComponent(input)}&key=${GOOGLE_MAPS_API_KEY}&components=country:ug`;
+    
+    console.log(`[AUTOCOMPLETE] Calling Google API: ${url.replace(GOOGLE_MAPS_API_KEY, 'KEY')}`);
+    
+    const response = await fetch(url);
+    const data = await response.json();
+    
+    console.log(`[AUTOCOMPLETE] Google API status: ${data.status}`);
+    
+    if (data.status !== 'OK') {
+      console.log(`[AUTOCOMPLETE] Google API returned status: ${data.status}`);
+      return res.json({ predictions: data.predictions || [] });
+    }
+
+    const predictions = (data.predictions || []).map(pred => ({
+      description: pred.description,
+      place_id: pred.place_id,
+      main_text: pred.main_text,
+      secondary_text: pred.secondary_text
+    }));
+
+    console.log(`[AUTOCOMPLETE] Returning ${predictions.length} predictions`);
+    res.json({ predictions });
+  } catch (error) {
+    console.error('[AUTOCOMPLETE] ERROR:', error.message);
+    res.status(500).json({ error: error.message, predictions: [] });
+  }
+});
+
+// API endpoint: place details
+app.get('/api/places/details', placesRateLimit, async (req, res) => {
+  const placeId = req.query.place_id;
+  console.log(`[PLACE DETAILS] Place ID: "${placeId}"`);
+
+  if (!placeId) {
+    return res.json({ result: null, error: 'No place_id provided' });
+  }
+
+  if (!GOOGLE_MAPS_API_KEY) {
+    console.error('[PLACE DETAILS] ERROR: Google Maps API key not found');
+    return res.status(500).json({ error: 'API key not configured' });
+  }
+
+  try {
+    const url = `https://maps.googleapis.com/maps/api/place/details/json?place_id=${encodeURIComponent(placeId)}&fields=geometry,formatted_address,name&key=${GOOGLE_MAPS_API_KEY}`;
+    
+    console.log(`[PLACE DETAILS] Calling Google API`);
+    
+    const response = await fetch(url);
+    const data = await response.json();
+    
+    if (data.status !== 'OK') {
+      console.log(`[PLACE DETAILS] Google API returned status: ${data.status}`);
+      return res.json({ result: null, error: data.status });
+    }
+
+    console.log(`[PLACE DETAILS] Got location: ${data.result?.formatted_address}`);
+    res.json({ result: data.result });
+  } catch (error) {
+    console.error('[PLACE DETAILS] ERROR:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Calculate price. Stores a quote whose id must accompany POST /api/bookings.
+// Query: origin=lat,lng destination=lat,lng [serviceType] [date=YYYY-MM-DD time=HH:MM]
+app.get('/api/calculate-price', rateLimit('quotes', RATE_LIMITS.quotes, req => req.ip), async (req, res) => {
+  const origin = parseLatLng(req.query.origin);
+  const destination = parseLatLng(req.query.destination);
+
+  if (!origin || !destination) {
+    return res.status(400).json({ error: 'origin and destination must be lat,lng' });
+  }
+
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({ error: 'Database connection unavailable. Please try again.' });
+  }
+
+  try {
+    const serviceType = normalizeServiceType(req.query.serviceType);
+    const rule = await getFareRule(serviceType);
+    const pickupAt = parseLocalDateTime(req.query.date, req.query.time) || new Date();
+    const route = await getRoute(origin, destination);
+    const { distanceKm, durationMin } = route;
+    const fare = computeFare(rule, { distanceKm, durationMin, pickupAt });
+
+    // Identify the caller if they sent a token, but quotes do not require login.
+    // A signed-out or expired token counts as no token.
+    let userId = null;
+    try { userId = getBearerToken(req) ? (await verifyAccessToken(getBearerToken(req))).id : null; } catch (e) { userId = null; }
+
+    const quote = await FareQuote.create({
+      user: userId,
+      serviceType,
+      originLat: origin.lat,
+      originLng: origin.lng,
+      destLat: destination.lat,
+      destLng: destination.lng,
+      pickupAt,
+      routeProvider: route.provider,
+      distanceKm,
+      durationMin,
+      currency: fare.currency,
+      breakdown: fare.breakdown,
+      isPeakHour: fare.isPeakHour,
+      total: fare.total,
+      priceRange: fare.priceRange,
+      waitingPerMinute: rule.waitingPerMinute,
+      freeWaitingMinutes: rule.freeWaitingMinutes,
+      expiresAt: new Date(Date.now() + FARE_QUOTE_TTL_MINUTES * 60 * 1000)
+    });
+
+    res.json({
+      quoteId: quote._id,
+      expiresAt: quote.expiresAt,
+      serviceType,
+      currency: fare.currency,
+      distance: { value: Math.round(distanceKm * 1000) },
+      duration: { value: Math.round(durationMin * 60) },
+      priceRange: fare.priceRange,
+      total: fare.total,
+      breakdown: fare.breakdown,
+      waiting: { perMinute: rule.waitingPerMinute, freeMinutes: rule.freeWaitingMinutes },
+      isPeakHour: fare.isPeakHour,
+      // Only routing providers with live traffic report it
+      traffic_level: route.trafficLevel || null,
+      routeProvider: route.provider
+    });
+  } catch (error) {
+    console.error('[PRICE] Error calculating price:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Road route between two points for maps and ETAs.
+// Query: origin=lat,lng destination=lat,lng
+app.get('/api/route', authenticate, async (req, res) => {
+  const origin = parseLatLng(req.query.origin);
+  const destination = parseLatLng(req.query.destination);
+
+  if (!origin || !destination) {
+    return res.status(400).json({ error: 'origin and destination must be lat,lng' });
+  }
+
+  try {
+    const route = await getRoute(origin, destination);
+    res.json({
+      distance: { value: Math.round(route.distanceKm * 1000) },
+      duration: { value: Math.round(route.durationMin * 60) },
+      eta: new Date(Date.now() + route.durationMin * 60 * 1000),
+      traffic_level: route.trafficLevel,
+      geometry: route.geometry,
+      provider: route.provider
+    });
+  } catch (error) {
+    console.error('[ROUTING] Error computing route:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ Fare Rules (admin) ============
+
+app.get('/api/admin/fare-rules', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const saved = await FareRule.find().lean();
+    const rules = FARE_SERVICE_TYPES.map(type => {
+      const rule = saved.find(r => r.serviceType === type);
+      return Object.assign(rule || defaultFareRule(type), { isDefault: !rule });
+    });
+    res.json({ rules, timezone: SERVICE_TIMEZONE });
+  } catch (error) {
+    console.error('[FARES] Error listing fare rules:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create or replace the rule for a service type. Omitted fields keep their current value.
+app.put('/api/admin/fare-rules/:serviceType', authenticate, authorize('admin'), async (req, res) => {
+  const serviceType = req.params.serviceType;
+  if (!FARE_SERVICE_TYPES.includes(serviceType)) {
+    return res.status(400).json({ error: `serviceType must be one of: ${FARE_SERVICE_TYPES.join(', ')}` });
+  }
+
+  const { rule, error } = validateFareRuleInput(req.body || {});
+  if (error) return res.status(400).json({ error });
+
+  try {
+    const current = await getFareRule(serviceType);
+    const merged = Object.assign({}, current, rule, { serviceType, updatedAt: new Date(), updatedBy: req.user.id });
+    delete merged._id;
+    delete merged.__v;
+
+    const saved = await FareRule.findOneAndUpdate({ serviceType }, merged, { upsert: true, new: true });
+    console.log(`[FARES] Fare rule for ${serviceType} updated by ${req.user.id}`);
+    res.json({ success: true, rule: saved });
+  } catch (err) {
+    console.error('[FARES] Error saving fare rule:', err.message);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Drop the saved rule so the built-in default applies again
+app.delete('/api/admin/fare-rules/:serviceType', authenticate, authorize('admin'), async (req, res) => {
+  const serviceType = req.params.serviceType;
+  if (!FARE_SERVICE_TYPES.includes(serviceType)) {
+    return res.status(400).json({ error: `serviceType must be one of: ${FARE_SERVICE_TYPES.join(', ')}` });
+  }
+
+  try {
+    await FareRule.deleteOne({ serviceType });
+    res.json({ success: true, rule: defaultFareRule(serviceType) });
+  } catch (error) {
+    console.error('[FARES] Error resetting fare rule:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Save a new booking and start what follows it: dispatch (when due), scheduled reminders,
+// the SSE broadcast and pushes. Shared by POST /api/bookings and recurring series.
+async function saveNewBooking(booking) {
+  // Mark the booking as being dispatched before it is broadcast, so drivers only see it once offered
+  const dispatchNow = DISPATCH_ON === 'created' && dispatchApplies(booking) && dispatchDue(booking);
+  if (dispatchNow) booking.dispatch = { state: 'searching', startedAt: new Date() };
+
+  const saved = await booking.save();
+  if (dispatchNow) offerNextDriver(saved._id).catch(e => console.error('[DISPATCH] Error:', e && e.message ? e.message : e));
+  scheduleBookingJobs(saved).catch(e => console.error('[SCHEDULE] Error:', e && e.message ? e.message : e));
+
+  // Broadcast new booking to SSE clients
+  try { sendSseEvent('booking_created', saved.toObject()); } catch (e) { /* ignore */ }
+  notifyBookingPush('booking_created', saved).catch(e => console.error('[PUSH] Booking notification error:', e && e.message ? e.message : e));
+  return saved;
+}
+
+// Create booking
+app.post('/api/bookings', authenticate, rateLimit('bookings', RATE_LIMITS.bookings, req => req.user.id, 'Too many bookings. Please try again later.'), async (req, res) => {
+  const { pickup, destination, pickupLat, pickupLng, destLat, destLng, quoteId, clientName, clientPhone, clientEmail, notes, serviceType, date, time, paymentMethod } = req.body;
+  
+  console.log(`[BOOKING] New booking from ${clientName} (${clientPhone})`);
+  console.log(`[BOOKING] MongoDB connection state: ${mongoose.connection.readyState} (0=disconnected, 1=connected, 2=connecting, 3=disconnecting)`);
+
+  if (!pickup || !destination || !pickupLat || !pickupLng || !destLat || !destLng) {
+    return res.status(400).json({ error: 'Missing required booking fields' });
+  }
+
+  if (clientEmail && !EMAIL_PATTERN.test(String(clientEmail).trim())) {
+    return res.status(400).json({ error: 'Invalid email address' });
+  }
+
+  if (paymentMethod && !PAYMENT_METHODS.includes(paymentMethod)) {
+    return res.status(400).json({ error: `paymentMethod must be one of: ${PAYMENT_METHODS.join(', ')}` });
+  }
+
+  // Check DB connection before attempting save
+  if (mongoose.connection.readyState !== 1) {
+    console.error('[BOOKING] MongoDB not ready (state:', mongoose.connection.readyState, ')');
+    return res.status(503).json({ error: 'Database connection unavailable. Please try again.' });
+  }
+
+  try {
+    const account = await User.findById(req.user.id);
+    if (!account) {
+      return res.status(401).json({ error: 'Account not found' });
+    }
+    if (REQUIRE_PHONE_VERIFICATION && account.role === 'client' && account.phoneVerified === false) {
+      return res.status(403).json({ error: 'Please verify your phone number before booking', code: 'PHONE_NOT_VERIFIED' });
+    }
+
+    // Without a date and time the ride is for now
+    const scheduledAt = (date || time) ? validateScheduledAt(date, time) : new Date();
+
+    // Price comes from the server-side quote, never from the request body
+    const quote = await loadQuoteForBooking(quoteId, { userId: account._id, pickupLat, pickupLng, destLat, destLng, serviceType, scheduledAt });
+
+    const booking = new Booking({
+      user: account._id,
+      name: clientName || account.name || 'Anonymous',
+      // Clients always book with their account phone; admins may book on someone's behalf
+      phone: (req.user.role === 'client' ? account.phone : (clientPhone || account.phone)) || 'N/A',
+      email: (clientEmail ? String(clientEmail).trim().toLowerCase() : account.email) || '',
+      whatsapp: req.user.role === 'client' ? account.whatsappPhone : null,
+      pickup,
+      destination,
+      pickupLat: parseFloat(pickupLat),
+      pickupLng: parseFloat(pickupLng),
+      destLat: parseFloat(destLat),
+      destLng: parseFloat(destLng),
+      serviceType: serviceType || '',
+      date: date || '',
+      time: time || '',
+      scheduledAt,
+      paymentMethod: paymentMethod || 'cash',
+      estimatedPrice: `${formatMoney(quote.priceRange.lower, quote.currency)} - ${formatMoney(quote.priceRange.upper, quote.currency)}`,
+      notes: notes || '',
+      status: 'pending',
+      priceRange: quote.priceRange,
+      fare: {
+        quoteId: quote._id,
+        currency: quote.currency,
+        distanceKm: quote.distanceKm,
+        durationMin: quote.durationMin,
+        breakdown: quote.breakdown,
+        isPeakHour: quote.isPeakHour,
+        total: quote.total,
+        waitingPerMinute: quote.waitingPerMinute,
+        freeWaitingMinutes: quote.freeWaitingMinutes
+      }
+    });
+
+    await claimQuote(quote, booking._id);
+    let saved;
+    try {
+      saved = await saveNewBooking(booking);
+    } catch (error) {
+      releaseQuote(quote, booking._id).catch(e => console.error('[BOOKING] Error releasing quote:', e && e.message ? e.message : e));
+      throw error;
+    }
+    console.log(`[BOOKING] Booking ${saved._id} created. Status: ${saved.status}`);
+
+    // Notify admin by email (best-effort) without blocking the HTTP response.
+    // Send asynchronously and log any errors — prevents client hanging on failed SMTP.
+    try {
+      sendAdminEmail(saved).catch(e => console.error('[BOOKING] Error sending admin email:', e && e.message ? e.message : e));
+    } catch (e) {
+      console.error('[BOOKING] Error scheduling admin email:', e && e.message ? e.message : e);
+    }
+
+
+    res.json({
+      success: true,
+      bookingId: saved._id,
+      message: 'Booking created successfully'
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+
+    console.error('[BOOKING] Error creating booking:', error.message);
+    console.error('[BOOKING] Error stack:', error.stack);
+    
+    // Provide helpful client error message based on error type
+    let clientMessage = 'Sorry, there was an error submitting your booking. Please try again.';
+    if (error.message && error.message.includes('buffering timed out')) {
+      clientMessage = 'Database connection is slow. Please refresh and try again.';
+    } else if (error.code === 'ECONNREFUSED') {
+      clientMessage = 'Connection error. Please check your internet and try again.';
+    }
+    
+    res.status(500).json({ error: clientMessage, detail: error.message });
+  }
+});
+
+// Get bookings visible to the caller (admins see all)
+app.get('/api/bookings', authenticate, async (req, res) => {
+  try {
+    const bookings = await Booking.find(bookingScopeFor(req.user)).sort({ createdAt: -1 });
+    console.log(`[BOOKING] Fetching ${bookings.length} bookings for ${req.user.role} ${req.user.id}`);
+
+    // Drivers see open requests too; customer contact details only once the ride is theirs
+    if (req.user.role === 'driver') return res.json(bookings.map(b => toDriverView(b, req.user.id)));
+    res.json(bookings.map(b => ({
+      _id: b._id,
+      id: b._id.toString(),
+      name: b.name,
+      phone: b.phone,
+      pickup: b.pickup,
+      destination: b.destination,
+      date: b.date,
+      time: b.time,
+      serviceType: b.serviceType,
+      status: b.status,
+      driver: b.driver,
+      estimatedPrice: b.estimatedPrice,
+      createdAt: b.createdAt,
+      updatedAt: b.updatedAt,
+      priceRange: b.priceRange || { lower: 0, upper: 0 }
+    })));
+  } catch (error) {
+    console.error('[ADMIN] Error fetching bookings:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The caller's own bookings, newest first.
+// Query: page (1-based), limit (max 100), status (comma-separated list).
+app.get('/api/me/bookings', authenticate, async (req, res) => {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+  const statuses = (req.query.status || '').toString().split(',').map(s => s.trim()).filter(Boolean);
+
+  const invalid = statuses.filter(s => !BOOKING_STATUSES.includes(s));
+  if (invalid.length) {
+    return res.status(400).json({ error: `Unknown status: ${invalid.join(', ')}` });
+  }
+
+  try {
+    // Aggregation does not cast ids, so build the owner filter with a real ObjectId
+    const owned = ownBookingsFilter(Object.assign({}, req.user, { id: new mongoose.Types.ObjectId(req.user.id) }));
+    const filter = statuses.length ? { $and: [owned, { status: { $in: statuses } }] } : owned;
+
+    const [bookings, total, byStatus] = await Promise.all([
+      Booking.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      Booking.countDocuments(filter),
+      Booking.aggregate([
+        { $match: owned },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const counts = {};
+    byStatus.forEach(c => { counts[c._id] = c.count; });
+
+    res.json({
+      bookings: bookings.map(b => ({
+        _id: b._id,
+        id: b._id.toString(),
+        name: b.name,
+        phone: b.phone,
+        email: b.email,
+        pickup: b.pickup,
+        destination: b.destination,
+        date: b.date,
+        time: b.time,
+        serviceType: b.serviceType,
+        status: b.status,
+        estimatedPrice: b.estimatedPrice,
+        priceRange: b.priceRange || { lower: 0, upper: 0 },
+        series: b.series,
+        cancellation: b.cancellation,
+        paymentMethod: b.paymentMethod,
+        paymentStatus: b.paymentStatus,
+        driver: b.driver,
+        rating: b.rating,
+        createdAt: b.createdAt,
+        updatedAt: b.updatedAt
+      })),
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit),
+      counts
+    });
+  } catch (error) {
+    console.error('[BOOKING] Error fetching own bookings:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Notification channels for the signed-in user
+app.get('/api/me/notification-preferences', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    res.json({
+      preferences: Object.assign({}, DEFAULT_NOTIFICATION_PREFS, user.notificationPrefs ? user.notificationPrefs.toObject() : {}),
+      whatsappPhone: user.whatsappPhone,
+      locale: resolveLocale(user.locale),
+      locales: SUPPORTED_LOCALES
+    });
+  } catch (error) {
+    console.error('[NOTIFY] Error loading preferences:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: { email?, sms?, whatsapp? (booleans), whatsappPhone?, locale? }
+app.put('/api/me/notification-preferences', authenticate, async (req, res) => {
+  const update = {};
+  for (const channel of Object.keys(DEFAULT_NOTIFICATION_PREFS)) {
+    if (req.body[channel] === undefined) continue;
+    if (typeof req.body[channel] !== 'boolean') return res.status(400).json({ error: `${channel} must be true or false` });
+    update[`notificationPrefs.${channel}`] = req.body[channel];
+  }
+  if (req.body.whatsappPhone !== undefined) {
+    const normalized = req.body.whatsappPhone ? normalizePhone(req.body.whatsappPhone) : null;
+    if (req.body.whatsappPhone && (!normalized || normalized.length < 9)) return res.status(400).json({ error: 'Invalid WhatsApp number' });
+    update.whatsappPhone = normalized;
+  }
+  if (req.body.locale !== undefined) {
+    if (!SUPPORTED_LOCALES.includes(req.body.locale)) return res.status(400).json({ error: `locale must be one of: ${SUPPORTED_LOCALES.join(', ')}` });
+    update.locale = req.body.locale;
+  }
+
+  try {
+    const user = await User.findByIdAndUpdate(req.user.id, { $set: update }, { new: true });
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    res.json({ success: true, preferences: user.notificationPrefs, whatsappPhone: user.whatsappPhone, locale: user.locale });
+  } catch (error) {
+    console.error('[NOTIFY] Error saving preferences:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get single booking
+app.get('/api/bookings/:id', authenticate, async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Booking not found' });
+  try {
+    const booking = await Booking.findById(req.params.id);
+    
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    if (!canViewBooking(req.user, booking)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+
+    res.json(req.user.role === 'driver' ? toDriverView(booking, req.user.id) : booking);
+  } catch (error) {
+    console.error('[BOOKING] Error fetching booking:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update booking status (PATCH). Status changes go through the lifecycle rules;
+// assigning a driver is admin-only.
+app.patch('/api/bookings/:id', authenticate, async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Booking not found' });
+  try {
+    const { status, driver, note, force } = req.body || {};
+
+    if (driver && req.user.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can assign drivers' });
+    }
+
+    if (!status && !driver) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    let saved;
+    if (driver) {
+      if (!mongoose.Types.ObjectId.isValid(driver)) return res.status(400).json({ error: 'Invalid driver id' });
+      const driverUser = await User.findOne({ _id: driver, role: 'driver' });
+      if (!driverUser) return res.status(400).json({ error: 'Driver not found' });
+
+      // Only available drivers are assigned unless the admin insists ({ force: true })
+      if (!force) {
+        const profile = await DriverProfile.findOne({ user: driverUser._id });
+        const onTrip = await Booking.exists({ _id: { $ne: req.params.id }, driver: driverUser._id, status: { $in: ACTIVE_TRIP_STATUSES } });
+        const availability = driverAvailability(profile, !!onTrip);
+        if (availability !== 'available') {
+          return res.status(409).json({ error: `Driver is not available (${availability.replace('_', ' ')})`, code: 'DRIVER_UNAVAILABLE', availability });
+        }
+      }
+
+      const booking = await Booking.findById(req.params.id);
+      if (!booking) return res.status(404).json({ error: 'Booking not found' });
+
+      if (OFFERABLE_STATUSES.includes(booking.status)) {
+        saved = await transitionBooking(booking._id, 'assigned', req.user, {
+          note: note || `Assigned by admin to ${driverUser.name || driverUser.phone}`,
+          extra: { driver: driverUser._id, driverAcceptedAt: new Date() }
+        });
+      } else {
+        // Reassigning an active trip keeps its status
+        saved = await reassignDriver(booking._id, driverUser, req.user, { note });
+      }
+      console.log(`[BOOKING] Booking ${saved._id} assigned to driver: ${driverUser._id}`);
+    }
+
+    if (status && (!saved || saved.status !== status)) {
+      // Cancelling here is the same as POST /:id/cancel without a reason code
+      saved = status === CANCELLATION_STATUS_BY_ROLE[req.user.role]
+        ? await cancelBooking(req.params.id, req.user, { reason: 'other', note })
+        : await transitionBooking(req.params.id, status, req.user, { note });
+    }
+
+    res.json({ success: true, booking: saved });
+  } catch (error) {
+    console.error('[BOOKING] Error updating booking:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Confirm booking (POST /api/bookings/:id/confirm)
+app.post('/api/bookings/:id/confirm', authenticate, authorize('admin'), async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Booking not found' });
+  try {
+    // transitionBooking broadcasts booking_confirmed and notifies the client (email/SMS/WhatsApp)
+    const saved = await transitionBooking(req.params.id, 'confirmed', req.user);
+    console.log(`[BOOKING] Booking ${saved._id} confirmed via /confirm`);
+
+    res.json(saved);
+  } catch (error) {
+    console.error('[BOOKING] Error confirming booking:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Delete booking
+app.delete('/api/bookings/:id', authenticate, authorize('admin'), async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Booking not found' });
+  try {
+    const booking = await Booking.findByIdAndDelete(req.params.id);
+    
+    if (!booking) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    console.log(`[BOOKING] Booking ${booking._id} deleted`);
+    res.json({ success: true, message: 'Booking deleted' });
+  } catch (error) {
+    console.error('[BOOKING] Error deleting booking:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Clear all bookings (for testing/demo only - consider removing in production)
+app.post('/api/bookings/clear-all', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    await Booking.deleteMany({});
+    console.log('[BOOKING] All bookings cleared');
+    res.json({ success: true, message: 'All bookings cleared' });
+  } catch (error) {
+    console.error('[BOOKING] Error clearing bookings:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ Notification Templates (admin) ============
+
+// Stand-in booking for previews when no bookingId is given
+function sampleTemplateBooking() {
+  const now = new Date();
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Jane Namukasa',
+    phone: '+256772000000',
+    email: 'jane@example.com',
+    pickup: 'Entebbe International Airport',
+    destination: 'Kampala Road, Kampala',
+    date: now.toISOString().slice(0, 10),
+    time: '14:30',
+    serviceType: 'airport',
+    estimatedPrice: 'UGX 110,000 - UGX 130,000',
+    notes: 'Two suitcases',
+    fare: {
+      currency: 'UGX',
+      total: 120000,
+      finalTotal: 124000,
+      distanceKm: 41.3,
+      durationMin: 55,
+      breakdown: { baseFare: 5000, distanceCharge: 103250, timeCharge: 11000, peakSurcharge: 0, flatFare: 0, minimumFareAdjustment: 0, rounding: 750 },
+      waitingMinutes: 9,
+      waitingCharge: 4000
+    },
+    paymentMethod: 'mtn_momo',
+    paymentStatus: 'paid',
+    statusHistory: [],
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+app.get('/api/admin/notification-templates', authenticate, authorize('admin'), (req, res) => {
+  res.json({ events: NOTIFICATION_EVENTS, locales: SUPPORTED_LOCALES, defaultLocale: DEFAULT_LOCALE });
+});
+
+// Render a template with a real booking (?bookingId=) or sample data.
+// ?format=html|text|sms returns that variant as-is for viewing in a browser; default is JSON with all of them.
+app.get('/api/admin/notification-templates/:event/preview', authenticate, authorize('admin'), async (req, res) => {
+  const { event } = req.params;
+  if (!NOTIFICATION_EVENTS.includes(event)) {
+    return res.status(404).json({ error: `Unknown template. Available: ${NOTIFICATION_EVENTS.join(', ')}` });
+  }
+
+  try {
+    let booking = sampleTemplateBooking();
+    if (req.query.bookingId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.bookingId)) return res.status(400).json({ error: 'Invalid bookingId' });
+      booking = await Booking.findById(req.query.bookingId);
+      if (!booking) return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    const locale = resolveLocale(req.query.locale);
+    let extra = await customerEventContext(event, booking);
+    if (event === 'booking_assigned' && !booking.driver) extra = { driver: { name: 'John Okello', phone: '+256701000000' } };
+    if (event === 'booking_cancelled' && !(booking.cancellation && booking.cancellation.reason)) extra = { reason: 'change of plans', fee: formatMoney(5000, 'UGX') };
+    if (event === 'otp') extra = { name: booking.name, code: '482913', minutes: OTP_TTL_MINUTES };
+    if (event === 'receipt') {
+      const issued = req.query.bookingId ? await Receipt.findOne({ booking: booking._id }) : null;
+      const receipt = issued || Object.assign(await receiptSnapshot(booking), { number: formatReceiptNumber(0), issuedAt: new Date() });
+      extra = receiptTemplateFields(receipt, booking, locale);
+    }
+    const rendered = renderNotification(event, locale, bookingTemplateContext(booking, locale, extra));
+
+    switch (req.query.format) {
+      case 'html':
+        return res.type('html').send(rendered.html);
+      case 'text':
+        return res.type('text').send(`Subject: ${rendered.subject}\n\n${rendered.text}`);
+      case 'sms':
+        return res.type('text').send(rendered.sms || '');
+      default:
+        return res.json(Object.assign({ event }, rendered));
+    }
+  } catch (error) {
+    console.error('[NOTIFY] Template preview error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ Push Subscription Endpoints ============
+
+app.get('/api/push/vapid-public-key', (req, res) => {
+  if (!vapidPublicKey) return res.status(503).json({ error: 'Push notifications are not available yet' });
+  res.json({ publicKey: vapidPublicKey });
+});
+
+// Body: a PushSubscription as produced by pushManager.subscribe().toJSON()
+app.post('/api/push/subscribe', authenticate, async (req, res) => {
+  const { endpoint, keys } = req.body || {};
+  if (!endpoint || !/^https:\/\//.test(endpoint) || !keys || !keys.p256dh || !keys.auth) {
+    return res.status(400).json({ error: 'Invalid push subscription' });
+  }
+
+  try {
+    // A device that changes account moves its subscription to the new user
+    await PushSubscription.findOneAndUpdate(
+      { endpoint },
+      { $set: { user: req.user.id, role: req.user.role, keys: { p256dh: keys.p256dh, auth: keys.auth }, userAgent: (req.headers['user-agent'] || '').slice(0, 300) } },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+    console.log(`[PUSH] Subscription saved for ${req.user.role} ${req.user.id}`);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[PUSH] Error saving subscription:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/push/unsubscribe', authenticate, async (req, res) => {
+  const { endpoint } = req.body || {};
+  if (!endpoint) return res.status(400).json({ error: 'endpoint is required' });
+
+  try {
+    const result = await PushSubscription.deleteOne({ endpoint, user: req.user.id });
+    res.json({ success: true, removed: result.deletedCount || 0 });
+  } catch (error) {
+    console.error('[PUSH] Error removing subscription:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ Driver Onboarding ============
+// A driver account gets a DriverProfile with vehicle, licence and document scans. New and changed
+// profiles wait in `pending` until an admin approves them; admins can also suspend. Only approved
+// drivers whose licence and documents are in date may go online or accept rides.
+const DRIVER_PROFILE_STATUSES = ['pending', 'approved', 'suspended'];
+const DRIVER_DOCUMENT_TYPES = ['licence', 'vehicle_registration', 'insurance', 'photo'];
+const DRIVER_REQUIRED_DOCUMENTS = (process.env.DRIVER_REQUIRED_DOCUMENTS || 'licence,vehicle_registration,insurance')
+  .split(',').map(t => t.trim()).filter(Boolean);
+const DRIVER_DOCUMENTS_DIR = path.resolve(process.env.DRIVER_DOCUMENTS_DIR || path.join(__dirname, 'uploads', 'driver-documents'));
+const DRIVER_DOCUMENT_MAX_BYTES = parseFloat(process.env.DRIVER_DOCUMENT_MAX_MB || '5') * 1024 * 1024;
+
+// Accepted uploads, recognised by their leading bytes rather than the client's Content-Type
+const DOCUMENT_SIGNATURES = [
+  { mimeType: 'image/jpeg', ext: 'jpg', match: b => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { mimeType: 'image/png', ext: 'png', match: b => b.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { mimeType: 'image/webp', ext: 'webp', match: b => b.slice(0, 4).toString('latin1') === 'RIFF' && b.slice(8, 12).toString('latin1') === 'WEBP' },
+  { mimeType: 'application/pdf', ext: 'pdf', match: b => b.slice(0, 5).toString('latin1') === '%PDF-' }
+];
+
+const driverDocumentSchema = new mongoose.Schema({
+  type: { type: String, enum: DRIVER_DOCUMENT_TYPES, required: true },
+  file: { type: String, required: true }, // name inside DRIVER_DOCUMENTS_DIR/<userId>/
+  mimeType: String,
+  size: Number,
+  expiresAt: { type: Date, default: null },
+  uploadedAt: { type: Date, default: Date.now }
+});
+
+const driverProfileSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, unique: true },
+  status: { type: String, enum: DRIVER_PROFILE_STATUSES, default: 'pending', index: true },
+  vehicle: {
+    make: String,
+    model: String,
+    plate: String,
+    colour: String,
+    seats: Number
+  },
+  licence: {
+    number: String,
+    expiresAt: Date
+  },
+  documents: [driverDocumentSchema],
+  online: { type: Boolean, default: false },
+  onlineChangedAt: { type: Date, default: null },
+  onBreak: { type: Boolean, default: false },
+  // Last time the driver app checked in; online drivers who stop checking in are taken offline
+  lastSeenAt: { type: Date, default: null },
+  offlineReason: { type: String, default: null },
+  // Optional shifts in SERVICE_TIMEZONE, same shape as fare peak windows; empty means any time
+  workingHours: [{
+    _id: false,
+    days: [Number],
+    start: String,
+    end: String
+  }],
+  // Latest reported position as GeoJSON [lng, lat]
+  location: {
+    type: { type: String, enum: ['Point'] },
+    coordinates: { type: [Number], default: undefined }
+  },
+  locationAccuracy: Number,
+  locationHeading: Number,
+  locationSpeed: Number,
+  locationAt: { type: Date, default: null },
+  reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  reviewedAt: { type: Date, default: null },
+  statusReason: { type: String, default: null },
+  statusHistory: [{
+    status: String,
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: String,
+    at: { type: Date, default: Date.now }
+  }],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+driverProfileSchema.index({ location: '2dsphere' });
+
+const DriverProfile = mongoose.model('DriverProfile', driverProfileSchema);
+
+// Everything that stops the driver working right now; empty means eligible
+function driverIneligibility(profile, now = new Date()) {
+  if (!profile) return ['Complete your driver profile'];
+  const reasons = [];
+  if (profile.status === 'pending') reasons.push('Your driver profile is awaiting approval');
+  if (profile.status === 'suspended') reasons.push('Your driver account is suspended');
+  if (!profile.licence || !profile.licence.number) reasons.push('Licence details are missing');
+  else if (!profile.licence.expiresAt || profile.licence.expiresAt <= now) reasons.push('Your driving licence has expired');
+  for (const type of DRIVER_REQUIRED_DOCUMENTS) {
+    const doc = profile.documents.find(d => d.type === type);
+    if (!doc) reasons.push(`Missing document: ${type}`);
+    else if (doc.expiresAt && doc.expiresAt <= now) reasons.push(`Expired document: ${type}`);
+  }
+  return reasons;
+}
+
+function driverProfileView(profile) {
+  const blockers = driverIneligibility(profile);
+  if (!profile) return { status: null, online: false, eligible: false, blockers, requiredDocuments: DRIVER_REQUIRED_DOCUMENTS };
+  return {
+    user: profile.user,
+    status: profile.status,
+    statusReason: profile.statusReason,
+    vehicle: profile.vehicle,
+    licence: profile.licence,
+    documents: profile.documents.map(d => ({ id: d._id, type: d.type, mimeType: d.mimeType, size: d.size, expiresAt: d.expiresAt, uploadedAt: d.uploadedAt })),
+    online: !!profile.online,
+    onBreak: !!profile.onBreak,
+    offlineReason: profile.offlineReason,
+    lastSeenAt: profile.lastSeenAt,
+    workingHours: profile.workingHours,
+    eligible: blockers.length === 0,
+    blockers,
+    requiredDocuments: DRIVER_REQUIRED_DOCUMENTS,
+    reviewedAt: profile.reviewedAt,
+    updatedAt: profile.updatedAt
+  };
+}
+
+function setDriverStatus(profile, status, by, reason) {
+  profile.status = status;
+  profile.statusReason = reason || null;
+  profile.statusHistory.push({ status, by, reason: reason || undefined, at: new Date() });
+  if (status !== 'approved') {
+    profile.online = false;
+    profile.onBreak = false;
+    profile.offlineReason = status;
+  }
+  profile.updatedAt = new Date();
+}
+
+// Driver-submitted changes go back to review so admins see what they approve
+function markProfileChanged(profile, userId) {
+  if (profile.status === 'approved') setDriverStatus(profile, 'pending', userId, 'Profile updated');
+  profile.updatedAt = new Date();
+}
+
+function parseOptionalDate(value, field) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw httpError(400, `Invalid ${field}`);
+  return date;
+}
+
+function driverDocumentPath(userId, file) {
+  return path.join(DRIVER_DOCUMENTS_DIR, String(userId), path.basename(file));
+}
+
+async function removeDriverDocumentFile(userId, file) {
+  try {
+    await fs.promises.unlink(driverDocumentPath(userId, file));
+  } catch (err) {
+    if (err.code !== 'ENOENT') console.error('[DRIVERS] Could not delete document file:', err.message);
+  }
+}
+
+function sendDriverDocument(res, profile, docId) {
+  const doc = profile && profile.documents.id(docId);
+  if (!doc) return res.status(404).json({ error: 'Document not found' });
+  res.type(doc.mimeType || 'application/octet-stream');
+  res.set('Cache-Control', 'private, no-store');
+  res.sendFile(driverDocumentPath(profile.user, doc.file), err => {
+    if (err && !res.headersSent) res.status(404).json({ error: 'Document file is missing' });
+  });
+}
+
+// For driver routes that need an approved, in-date driver; attaches req.driverProfile
+async function requireActiveDriver(req, res, next) {
+  try {
+    const profile = await DriverProfile.findOne({ user: req.user.id });
+    const blockers = driverIneligibility(profile);
+    if (blockers.length) {
+      // A document may have expired while the driver was online
+      if (profile && profile.online) await DriverProfile.updateOne({ _id: profile._id }, { $set: { online: false, onlineChangedAt: new Date() } });
+      return res.status(403).json({ error: blockers[0], code: 'DRIVER_NOT_ELIGIBLE', blockers });
+    }
+    req.driverProfile = profile;
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// ===== Driver profile (signed-in driver) =====
+app.get('/api/driver/profile', authenticate, authorize('driver'), async (req, res) => {
+  try {
+    const profile = await DriverProfile.findOne({ user: req.user.id });
+    res.json(driverProfileView(profile));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: { vehicle: { make, model, plate, colour, seats }, licence: { number, expiresAt } }
+app.put('/api/driver/profile', authenticate, authorize('driver'), async (req, res) => {
+  const { vehicle, licence } = req.body || {};
+  try {
+    const profile = await DriverProfile.findOne({ user: req.user.id }) || new DriverProfile({ user: req.user.id });
+    if (vehicle) {
+      const seats = vehicle.seats === undefined ? profile.vehicle.seats : parseInt(vehicle.seats, 10);
+      if (seats !== undefined && (!Number.isInteger(seats) || seats < 1 || seats > 60)) {
+        return res.status(400).json({ error: 'Seats must be a number between 1 and 60' });
+      }
+      for (const key of ['make', 'model', 'colour']) {
+        if (vehicle[key] !== undefined) profile.vehicle[key] = String(vehicle[key]).trim().slice(0, 60);
+      }
+      if (vehicle.plate !== undefined) profile.vehicle.plate = String(vehicle.plate).replace(/\s+/g, ' ').trim().toUpperCase().slice(0, 20);
+      profile.vehicle.seats = seats;
+    }
+    if (licence) {
+      if (licence.number !== undefined) profile.licence.number = String(licence.number).trim().slice(0, 40);
+      if (licence.expiresAt !== undefined) profile.licence.expiresAt = parseOptionalDate(licence.expiresAt, 'licence expiry date');
+    }
+    if (profile.isNew) profile.statusHistory.push({ status: 'pending', by: req.user.id, reason: 'Profile submitted' });
+    else markProfileChanged(profile, req.user.id);
+
+    await profile.save();
+    console.log(`[DRIVERS] Profile saved for driver ${req.user.id} (${profile.status})`);
+    res.json(driverProfileView(profile));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Upload a scan as the raw request body (Content-Type image/jpeg, image/png, image/webp or application/pdf).
+// Query: type, expiresAt (optional). Replaces the driver's previous document of the same type.
+app.post('/api/driver/documents', authenticate, authorize('driver'),
+  express.raw({ type: DOCUMENT_SIGNATURES.map(s => s.mimeType), limit: DRIVER_DOCUMENT_MAX_BYTES }),
+  async (req, res) => {
+    const type = (req.query.type || '').toString();
+    if (!DRIVER_DOCUMENT_TYPES.includes(type)) {
+      return res.status(400).json({ error: `type must be one of: ${DRIVER_DOCUMENT_TYPES.join(', ')}` });
+    }
+    if (!Buffer.isBuffer(req.body) || !req.body.length) {
+      return res.status(415).json({ error: 'Send the file as the request body with an image or PDF Content-Type' });
+    }
+    const kind = DOCUMENT_SIGNATURES.find(s => s.match(req.body));
+    if (!kind) return res.status(415).json({ error: 'Only JPEG, PNG, WebP or PDF files are accepted' });
+
+    try {
+      const expiresAt = parseOptionalDate(req.query.expiresAt, 'expiry date');
+      const profile = await DriverProfile.findOne({ user: req.user.id });
+      if (!profile) return res.status(409).json({ error: 'Save your vehicle and licence details first' });
+
+      const file = `${type}-${crypto.randomBytes(12).toString('hex')}.${kind.ext}`;
+      await fs.promises.mkdir(path.dirname(driverDocumentPath(req.user.id, file)), { recursive: true });
+      await fs.promises.writeFile(driverDocumentPath(req.user.id, file), req.body);
+
+      const previous = profile.documents.filter(d => d.type === type);
+      previous.forEach(d => profile.documents.pull(d._id));
+      profile.documents.push({ type, file, mimeType: kind.mimeType, size: req.body.length, expiresAt });
+      markProfileChanged(profile, req.user.id);
+      await profile.save();
+      await Promise.all(previous.map(d => removeDriverDocumentFile(req.user.id, d.file)));
+
+      console.log(`[DRIVERS] Driver ${req.user.id} uploaded ${type} (${req.body.length} bytes)`);
+      res.status(201).json(driverProfileView(profile));
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ error: error.message });
+    }
+  }
+);
+
+app.get('/api/driver/documents/:docId', authenticate, authorize('driver'), async (req, res) => {
+  try {
+    sendDriverDocument(res, await DriverProfile.findOne({ user: req.user.id }), req.params.docId);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ===== Driver review (admin) =====
+async function findDriverProfile(userId) {
+  if (!mongoose.isValidObjectId(userId)) throw httpError(404, 'Driver profile not found');
+  const profile = await DriverProfile.findOne({ user: userId });
+  if (!profile) throw httpError(404, 'Driver profile not found');
+  return profile;
+}
+
+// Query: status=pending|approved|suspended, online=true, page, limit
+app.get('/api/admin/drivers', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.status) {
+      if (!DRIVER_PROFILE_STATUSES.includes(req.query.status)) return res.status(400).json({ error: 'Unknown status' });
+      filter.status = req.query.status;
+    }
+    if (req.query.online === 'true') filter.online = true;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    const [profiles, total, counts] = await Promise.all([
+      DriverProfile.find(filter).sort({ updatedAt: -1 }).skip((page - 1) * limit).limit(limit).populate('user', 'name phone email disabled rating'),
+      DriverProfile.countDocuments(filter),
+      DriverProfile.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+    res.json({
+      drivers: profiles.map(p => ({
+        ...driverProfileView(p),
+        user: p.user ? { id: p.user._id, name: p.user.name, phone: p.user.phone, email: p.user.email, disabled: !!p.user.disabled, rating: p.user.rating } : null
+      })),
+      total,
+      page,
+      limit,
+      counts: Object.fromEntries(counts.map(c => [c._id, c.count]))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/admin/drivers/:userId', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const profile = await findDriverProfile(req.params.userId);
+    res.json({ ...driverProfileView(profile), statusHistory: profile.statusHistory });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+app.get('/api/admin/drivers/:userId/documents/:docId', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    sendDriverDocument(res, await findDriverProfile(req.params.userId), req.params.docId);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Body: { expiresAt } - record the expiry date read from the scan
+app.patch('/api/admin/drivers/:userId/documents/:docId', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const profile = await findDriverProfile(req.params.userId);
+    const doc = profile.documents.id(req.params.docId);
+    if (!doc) return res.status(404).json({ error: 'Document not found' });
+    doc.expiresAt = parseOptionalDate((req.body || {}).expiresAt, 'expiry date');
+    profile.updatedAt = new Date();
+    await profile.save();
+    res.json(driverProfileView(profile));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Body: { reason? }. Approval requires complete, in-date documents.
+app.post('/api/admin/drivers/:userId/approve', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const profile = await findDriverProfile(req.params.userId);
+    const blockers = driverIneligibility(profile).filter(r => !/awaiting approval|suspended/.test(r));
+    if (blockers.length) return res.status(409).json({ error: 'Profile is not complete', blockers });
+
+    setDriverStatus(profile, 'approved', req.user.id, (req.body || {}).reason);
+    profile.reviewedBy = req.user.id;
+    profile.reviewedAt = new Date();
+    await profile.save();
+    console.log(`[DRIVERS] Driver ${profile.user} approved by ${req.user.id}`);
+    enqueueJob('push', { userId: String(profile.user), notification: { title: 'Driver account approved', body: 'You can now go online and accept rides.', url: '/driver/' } })
+      .catch(e => console.error('[PUSH] Failed to queue approval push:', e.message));
+    res.json(driverProfileView(profile));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Body: { reason }. Takes the driver offline immediately.
+app.post('/api/admin/drivers/:userId/suspend', authenticate, authorize('admin'), async (req, res) => {
+  const reason = ((req.body || {}).reason || '').toString().trim().slice(0, 500);
+  if (!reason) return res.status(400).json({ error: 'A reason is required' });
+  try {
+    const profile = await findDriverProfile(req.params.userId);
+    setDriverStatus(profile, 'suspended', req.user.id, reason);
+    profile.reviewedBy = req.user.id;
+    profile.reviewedAt = new Date();
+    await profile.save();
+    console.log(`[DRIVERS] Driver ${profile.user} suspended by ${req.user.id}: ${reason}`);
+    res.json(driverProfileView(profile));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// ============ Driver Location ============
+// The driver app posts batches of GPS fixes. The newest one becomes the driver's current position
+// (geo-indexed on DriverProfile); fixes taken during an in-progress trip are also kept as that
+// booking's breadcrumb trail, from which the distance actually driven is computed at completion.
+const LOCATION_BATCH_MAX = 200;
+const LOCATION_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+const LOCATION_MAX_ACCURACY_M = parseFloat(process.env.LOCATION_MAX_ACCURACY_M || '100'); // worse fixes stay off the trail
+const LOCATION_STALE_SECONDS = parseInt(process.env.LOCATION_STALE_SECONDS || '120', 10);
+const TRIP_TRACK_MAX_POINTS = 5000;
+const TRIP_MAX_SPEED_KMH = 250; // jumps faster than this are GPS glitches
+
+const tripTrackSchema = new mongoose.Schema({
+  booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', required: true, unique: true },
+  driver: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  points: [{
+    _id: false,
+    lat: Number,
+    lng: Number,
+    at: Date,
+    accuracy: Number,
+    speed: Number
+  }],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+const TripTrack = mongoose.model('TripTrack', tripTrackSchema);
+
+function optionalNumber(value) {
+  const n = Number(value);
+  return value === undefined || value === null || value === '' || !Number.isFinite(n) ? undefined : n;
+}
+
+// Validate one ping; `at` may be epoch ms or an ISO string and defaults to now. Returns null when unusable.
+function parseLocationPing(raw, now = Date.now()) {
+  if (!raw || typeof raw !== 'object') return null;
+  const lat = Number(raw.lat);
+  const lng = Number(raw.lng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  const at = raw.at === undefined ? now : new Date(raw.at).getTime();
+  if (!Number.isFinite(at) || at < now - LOCATION_MAX_AGE_MS) return null;
+  return {
+    lat,
+    lng,
+    at: new Date(Math.min(at, now)), // device clocks run ahead sometimes
+    accuracy: optionalNumber(raw.accuracy),
+    heading: optionalNumber(raw.heading),
+    speed: optionalNumber(raw.speed)
+  };
+}
+
+// Sum of the legs between consecutive fixes, skipping glitches
+function trackDistanceKm(points) {
+  let total = 0;
+  let prev = null;
+  for (const point of points) {
+    if (point.accuracy != null && point.accuracy > LOCATION_MAX_ACCURACY_M) continue;
+    if (prev) {
+      const km = haversineKm(prev, point);
+      const hours = (point.at - prev.at) / 3600000;
+      if (hours > 0 && km / hours > TRIP_MAX_SPEED_KMH) continue;
+      total += km;
+    }
+    prev = point;
+  }
+  return total;
+}
+
+async function completionDistanceFields(booking) {
+  try {
+    const track = await TripTrack.findOne({ booking: booking._id }).lean();
+    if (!track || track.points.length < 2) return {};
+    return { actualDistanceKm: Math.round(trackDistanceKm(track.points) * 100) / 100 };
+  } catch (err) {
+    // Completing the trip matters more than the distance figure
+    console.error('[LOCATION] Could not compute trip distance:', err.message);
+    return {};
+  }
+}
+
+// Body: { points: [{ lat, lng, accuracy, heading, speed, at }] } or a single point
+app.post('/api/driver/location', authenticate, authorize('driver'), async (req, res) => {
+  const body = req.body || {};
+  const raw = Array.isArray(body.points) ? body.points : [body];
+  if (raw.length > LOCATION_BATCH_MAX) return res.status(400).json({ error: `At most ${LOCATION_BATCH_MAX} points per request` });
+
+  const now = Date.now();
+  const points = raw.map(p => parseLocationPing(p, now)).filter(Boolean).sort((a, b) => a.at - b.at);
+  if (!points.length) return res.status(400).json({ error: 'No valid points (lat, lng and a recent at are required)' });
+
+  try {
+    const latest = points[points.length - 1];
+    // Only move the marker forward in time; a delayed batch must not overwrite a newer fix
+    const profile = await DriverProfile.findOneAndUpdate(
+      { user: req.user.id, $or: [{ locationAt: null }, { locationAt: { $lt: latest.at } }] },
+      {
+        $set: {
+          location: { type: 'Point', coordinates: [latest.lng, latest.lat] },
+          locationAccuracy: latest.accuracy,
+          locationHeading: latest.heading,
+          locationSpeed: latest.speed,
+          locationAt: latest.at,
+          lastSeenAt: new Date(now)
+        }
+      },
+      { new: true }
+    );
+    if (!profile && !await DriverProfile.exists({ user: req.user.id })) {
+      return res.status(409).json({ error: 'Save your driver profile first' });
+    }
+
+    let recorded = 0;
+    const trip = await Booking.findOne({ driver: req.user.id, status: 'in_progress' });
+    if (trip) {
+      const started = (trip.statusHistory || []).filter(h => h.to === 'in_progress').pop();
+      const since = started ? started.at : trip.updatedAt;
+      const crumbs = points
+        .filter(p => p.at >= since && (p.accuracy == null || p.accuracy <= LOCATION_MAX_ACCURACY_M))
+        .map(({ lat, lng, at, accuracy, speed }) => ({ lat, lng, at, accuracy, speed }));
+      if (crumbs.length) {
+        await TripTrack.updateOne(
+          { booking: trip._id },
+          {
+            $setOnInsert: { driver: req.user.id, createdAt: new Date() },
+            $set: { updatedAt: new Date() },
+            $push: { points: { $each: crumbs, $sort: { at: 1 }, $slice: -TRIP_TRACK_MAX_POINTS } }
+          },
+          { upsert: true }
+        );
+        recorded = crumbs.length;
+      }
+    }
+
+    res.json({ success: true, accepted: points.length, rejected: raw.length - points.length, recorded, bookingId: trip ? trip._id : null });
+  } catch (error) {
+    console.error('[LOCATION] Ingest error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Breadcrumb trail of a trip, for the admin, the assigned driver and the customer
+app.get('/api/bookings/:id/track', authenticate, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Booking not found' });
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) return res.status(404).json({ error: 'Booking not found' });
+    if (!canViewBooking(req.user, booking)) return res.status(403).json({ error: 'Forbidden' });
+
+    const track = await TripTrack.findOne({ booking: booking._id }).lean();
+    const points = track ? track.points : [];
+    res.json({
+      bookingId: booking._id,
+      status: booking.status,
+      points: points.map(p => ({ lat: p.lat, lng: p.lng, at: p.at })),
+      distanceKm: booking.actualDistanceKm != null ? booking.actualDistanceKm : Math.round(trackDistanceKm(points) * 100) / 100
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Online drivers and where they are. Query: near=lat,lng&radiusKm=10 to limit to an area (nearest first).
+app.get('/api/admin/driver-locations', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const filter = { online: true };
+    if (req.query.near) {
+      const [lat, lng] = String(req.query.near).split(',').map(Number);
+      if (!Number.isFinite(lat) || !Number.isFinite(lng)) return res.status(400).json({ error: 'near must be lat,lng' });
+      const radiusKm = parseFloat(req.query.radiusKm) || 10;
+      filter.location = { $nearSphere: { $geometry: { type: 'Point', coordinates: [lng, lat] }, $maxDistance: radiusKm * 1000 } };
+    }
+
+    const profiles = await DriverProfile.find(filter).limit(500).populate('user', 'name phone');
+    const busy = await Booking.find(
+      { driver: { $in: profiles.map(p => p.user && p.user._id) }, status: { $in: ACTIVE_TRIP_STATUSES } },
+      { driver: 1, status: 1 }
+    );
+    const tripByDriver = new Map(busy.map(b => [b.driver.toString(), b]));
+    const staleBefore = Date.now() - LOCATION_STALE_SECONDS * 1000;
+
+    res.json({
+      drivers: profiles.filter(p => p.user).map(p => {
+        const trip = tripByDriver.get(p.user._id.toString());
+        const coords = p.location && p.location.coordinates;
+        return {
+          id: p.user._id,
+          name: p.user.name,
+          phone: p.user.phone,
+          vehicle: p.vehicle,
+          location: coords && coords.length === 2 ? { lat: coords[1], lng: coords[0] } : null,
+          accuracy: p.locationAccuracy,
+          heading: p.locationHeading,
+          speed: p.locationSpeed,
+          locationAt: p.locationAt,
+          stale: !p.locationAt || p.locationAt.getTime() < staleBefore,
+          trip: trip ? { bookingId: trip._id, status: trip.status } : null
+        };
+      })
+    });
+  } catch (error) {
+    console.error('[LOCATION] Driver locations error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ Driver Availability ============
+// A driver is `offline`, `available`, `on_break` or `busy` (on a trip, derived from their bookings).
+// The driver page checks in every minute; online drivers not seen for DRIVER_CHECKIN_TIMEOUT_SECONDS,
+// or whose working hours have ended, are switched offline by a periodic sweep.
+const DRIVER_AVAILABILITY = ['offline', 'available', 'on_break', 'busy'];
+const DRIVER_CHECKIN_TIMEOUT_SECONDS = parseInt(process.env.DRIVER_CHECKIN_TIMEOUT_SECONDS || '180', 10);
+const DRIVER_SWEEP_MS = 60 * 1000;
+
+function withinWorkingHours(profile, now = new Date()) {
+  if (!profile.workingHours || !profile.workingHours.length) return true;
+  const at = localTimeParts(now);
+  return profile.workingHours.some(w => timeWindowCovers(w, at));
+}
+
+function driverAvailability(profile, onTrip) {
+  if (onTrip) return 'busy';
+  if (!profile || !profile.online) return 'offline';
+  return profile.onBreak ? 'on_break' : 'available';
+}
+
+// Validate [{ days: [0-6], start: 'HH:MM', end: 'HH:MM' }]; throws 400
+function parseWorkingHours(value) {
+  if (!Array.isArray(value)) throw httpError(400, 'workingHours must be an array');
+  return value.map(w => {
+    if (!w || !HHMM_PATTERN.test(w.start || '') || !HHMM_PATTERN.test(w.end || '') || w.start === w.end) {
+      throw httpError(400, 'Each shift needs different start and end times as HH:MM');
+    }
+    const days = Array.isArray(w.days) ? w.days.map(Number) : [];
+    if (days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) throw httpError(400, 'Shift days must be 0-6 (0 = Sunday)');
+    return { days, start: w.start, end: w.end };
+  });
+}
+
+async function driverStatusView(profile) {
+  const onTrip = profile ? !!await Booking.exists({ driver: profile.user, status: { $in: ACTIVE_TRIP_STATUSES } }) : false;
+  return {
+    ...driverProfileView(profile),
+    availability: driverAvailability(profile, onTrip),
+    withinWorkingHours: profile ? withinWorkingHours(profile) : true,
+    checkinTimeoutSeconds: DRIVER_CHECKIN_TIMEOUT_SECONDS
+  };
+}
+
+// Take drivers offline who stopped checking in or whose shift is over. Safe to run on every instance.
+async function sweepDriverAvailability() {
+  if (mongoose.connection.readyState !== 1) return;
+  const now = new Date();
+  const stale = await DriverProfile.updateMany(
+    { online: true, $or: [{ lastSeenAt: null }, { lastSeenAt: { $lt: new Date(now.getTime() - DRIVER_CHECKIN_TIMEOUT_SECONDS * 1000) } }] },
+    { $set: { online: false, onBreak: false, onlineChangedAt: now, offlineReason: 'no_checkin' } }
+  );
+  if (stale.modifiedCount) console.log(`[DRIVERS] ${stale.modifiedCount} driver(s) went offline after missing check-ins`);
+
+  const scheduled = await DriverProfile.find({ online: true, 'workingHours.0': { $exists: true } }, { workingHours: 1, user: 1 });
+  const ended = scheduled.filter(p => !withinWorkingHours(p, now)).map(p => p._id);
+  if (ended.length) {
+    await DriverProfile.updateMany({ _id: { $in: ended }, online: true }, { $set: { online: false, onBreak: false, onlineChangedAt: now, offlineReason: 'shift_ended' } });
+    console.log(`[DRIVERS] ${ended.length} driver(s) went offline at the end of their shift`);
+  }
+}
+
+setInterval(() => {
+  sweepDriverAvailability().catch(e => console.error('[DRIVERS] Availability sweep error:', e && e.message ? e.message : e));
+}, DRIVER_SWEEP_MS).unref();
+
+app.get('/api/driver/status', authenticate, authorize('driver'), async (req, res) => {
+  try {
+    res.json(await driverStatusView(await DriverProfile.findOne({ user: req.user.id })));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: { status: 'online' | 'on_break' | 'offline' } (or the older { online: true|false }).
+// Going offline is always allowed; the others need an eligible driver inside their working hours.
+app.post('/api/driver/status', authenticate, authorize('driver'), async (req, res, next) => {
+  const body = req.body || {};
+  const status = body.status || (body.online ? 'online' : 'offline');
+  if (!['online', 'on_break', 'offline'].includes(status)) return res.status(400).json({ error: 'status must be online, on_break or offline' });
+  req.requestedStatus = status;
+  if (status === 'offline') return next();
+  requireActiveDriver(req, res, next);
+}, async (req, res) => {
+  const status = req.requestedStatus;
+  try {
+    if (status !== 'offline' && !withinWorkingHours(req.driverProfile)) {
+      return res.status(403).json({ error: 'You are outside your working hours', code: 'OUTSIDE_WORKING_HOURS', workingHours: req.driverProfile.workingHours });
+    }
+    const now = new Date();
+    const profile = await DriverProfile.findOneAndUpdate(
+      { user: req.user.id },
+      {
+        $set: {
+          online: status !== 'offline',
+          onBreak: status === 'on_break',
+          onlineChangedAt: now,
+          lastSeenAt: now,
+          offlineReason: status === 'offline' ? 'driver' : null
+        }
+      },
+      { new: true }
+    );
+    if (profile) console.log(`[DRIVERS] Driver ${req.user.id} is now ${status}`);
+    res.json(await driverStatusView(profile));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// The driver page calls this every minute while open; the response tells it if it was taken offline
+app.post('/api/driver/heartbeat', authenticate, authorize('driver'), async (req, res) => {
+  try {
+    const profile = await DriverProfile.findOneAndUpdate({ user: req.user.id }, { $set: { lastSeenAt: new Date() } }, { new: true });
+    res.json(await driverStatusView(profile));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: { workingHours: [{ days: [1,2,3,4,5], start: '06:00', end: '14:00' }] }; [] removes the restriction
+app.put('/api/driver/working-hours', authenticate, authorize('driver'), async (req, res) => {
+  try {
+    const workingHours = parseWorkingHours((req.body || {}).workingHours);
+    const profile = await DriverProfile.findOneAndUpdate({ user: req.user.id }, { $set: { workingHours, updatedAt: new Date() } }, { new: true });
+    if (!profile) return res.status(409).json({ error: 'Save your driver profile first' });
+    res.json(await driverStatusView(profile));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+app.put('/api/admin/drivers/:userId/working-hours', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const profile = await findDriverProfile(req.params.userId);
+    profile.workingHours = parseWorkingHours((req.body || {}).workingHours);
+    profile.updatedAt = new Date();
+    await profile.save();
+    console.log(`[DRIVERS] Working hours of driver ${profile.user} set by admin ${req.user.id}`);
+    res.json(await driverStatusView(profile));
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Live counts for the dashboard, plus each online or busy driver's availability
+app.get('/api/admin/driver-availability', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const [profiles, onTrip, approved] = await Promise.all([
+      DriverProfile.find({ status: 'approved', online: true }).populate('user', 'name phone'),
+      Booking.distinct('driver', { driver: { $ne: null }, status: { $in: ACTIVE_TRIP_STATUSES } }),
+      DriverProfile.countDocuments({ status: 'approved' })
+    ]);
+    const busy = new Set(onTrip.map(String));
+    const drivers = profiles.filter(p => p.user).map(p => ({
+      id: p.user._id,
+      name: p.user.name,
+      phone: p.user.phone,
+      availability: driverAvailability(p, busy.has(String(p.user._id))),
+      lastSeenAt: p.lastSeenAt,
+      withinWorkingHours: withinWorkingHours(p)
+    }));
+    const counts = Object.fromEntries(DRIVER_AVAILABILITY.map(a => [a, 0]));
+    drivers.forEach(d => { counts[d.availability] += 1; });
+    // Drivers who went offline mid-trip are still busy
+    const onlineIds = new Set(drivers.map(d => String(d.id)));
+    const offlineOnTrip = [...busy].filter(id => !onlineIds.has(id)).length;
+    counts.busy += offlineOnTrip;
+    counts.offline = Math.max(0, approved - drivers.length - offlineOnTrip);
+
+    res.json({ counts, drivers });
+  } catch (error) {
+    console.error('[DRIVERS] Availability error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ Dispatch ============
+// When a booking is created (or confirmed, with DISPATCH_ON=confirmed) the dispatcher ranks online,
+// approved drivers near the pickup and offers the ride to the best one. The offer lapses after
+// DISPATCH_OFFER_SECONDS (a queued `dispatch_timeout` job); on reject or timeout the next driver is
+// offered it. With nobody left, or after DISPATCH_MAX_OFFERS offers, the booking is escalated to the
+// admins and opened to every driver as before. DISPATCH_STRATEGY=off keeps assignment manual.
+const DISPATCH_STRATEGIES = ['nearest', 'eta', 'off'];
+const DISPATCH_STRATEGY = DISPATCH_STRATEGIES.includes((process.env.DISPATCH_STRATEGY || '').toLowerCase())
+  ? process.env.DISPATCH_STRATEGY.toLowerCase() : 'nearest';
+const DISPATCH_ON = (process.env.DISPATCH_ON || 'created').toLowerCase() === 'confirmed' ? 'confirmed' : 'created';
+const DISPATCH_OFFER_SECONDS = parseInt(process.env.DISPATCH_OFFER_SECONDS || '30', 10);
+const DISPATCH_MAX_OFFERS = parseInt(process.env.DISPATCH_MAX_OFFERS || '5', 10);
+const DISPATCH_RADIUS_KM = parseFloat(process.env.DISPATCH_RADIUS_KM || '15');
+const DISPATCH_ETA_CANDIDATES = 5; // nearest drivers whose road ETA is looked up with the eta strategy
+
+console.log(`[STARTUP] Dispatch: ${DISPATCH_STRATEGY} on ${DISPATCH_ON}, ${DISPATCH_OFFER_SECONDS}s offers`);
+
+// The dispatcher needs coordinates for the pickup
+function dispatchApplies(booking) {
+  return DISPATCH_STRATEGY !== 'off' && booking.pickupLat != null && booking.pickupLng != null;
+}
+
+// Drivers who could take the booking now, best first: { driver, distanceKm, etaMin }
+async function rankDispatchCandidates(booking, excludedDriverIds) {
+  const pickup = { lat: booking.pickupLat, lng: booking.pickupLng };
+  const [busy, holdingOffers] = await Promise.all([
+    Booking.distinct('driver', { driver: { $ne: null }, status: { $in: ACTIVE_TRIP_STATUSES } }),
+    Booking.distinct('dispatch.offeredTo', { 'dispatch.state': 'offered', _id: { $ne: booking._id } })
+  ]);
+  const skip = new Set([...excludedDriverIds, ...busy, ...holdingOffers].map(String));
+
+  const profiles = await DriverProfile.find({
+    status: 'approved',
+    online: true,
+    onBreak: { $ne: true },
+    locationAt: { $gte: new Date(Date.now() - LOCATION_STALE_SECONDS * 1000) },
+    location: {
+      $nearSphere: {
+        $geometry: { type: 'Point', coordinates: [pickup.lng, pickup.lat] },
+        $maxDistance: DISPATCH_RADIUS_KM * 1000
+      }
+    }
+  }).limit(50);
+
+  let candidates = profiles
+    .filter(p => !skip.has(String(p.user)) && driverIneligibility(p).length === 0 && withinWorkingHours(p))
+    .map(p => {
+      const position = { lat: p.location.coordinates[1], lng: p.location.coordinates[0] };
+      return { driver: p.user, position, distanceKm: Math.round(haversineKm(position, pickup) * 100) / 100 };
+    });
+
+  if (DISPATCH_STRATEGY === 'eta' && candidates.length > 1) {
+    candidates = candidates.slice(0, DISPATCH_ETA_CANDIDATES);
+    await Promise.all(candidates.map(async c => {
+      const route = await getRoute(c.position, pickup);
+      c.etaMin = Math.round(route.durationMin);
+    }));
+    candidates.sort((a, b) => a.etaMin - b.etaMin);
+  }
+  return candidates;
+}
+
+// Settle the driver's open offer on a booking. Resolves to the booking when that offer was still
+// the current one (so the caller may move on to the next driver), otherwise null.
+async function closeDispatchOffer(bookingId, driverId, outcome, attempt) {
+  const filter = {
+    _id: bookingId,
+    'dispatch.state': 'offered',
+    'dispatch.offeredTo': driverId,
+    'dispatch.offers': { $elemMatch: { driver: driverId, outcome: null } }
+  };
+  if (attempt) filter['dispatch.attempt'] = attempt;
+  return Booking.findOneAndUpdate(filter, {
+    $set: {
+      'dispatch.state': outcome === 'accepted' ? 'accepted' : 'searching',
+      'dispatch.offeredTo': null,
+      'dispatch.offerExpiresAt': null,
+      'dispatch.offers.$.outcome': outcome,
+      'dispatch.offers.$.respondedAt': new Date()
+    }
+  }, { new: true });
+}
+
+async function escalateDispatch(booking, reason) {
+  const saved = await Booking.findOneAndUpdate(
+    { _id: booking._id, 'dispatch.state': { $in: DISPATCH_ACTIVE_STATES } },
+    { $set: { 'dispatch.state': 'escalated', 'dispatch.offeredTo': null, 'dispatch.offerExpiresAt': null, 'dispatch.escalatedAt': new Date(), 'dispatch.escalationReason': reason } },
+    { new: true }
+  );
+  if (!saved) return null;
+
+  console.log(`[DISPATCH] Booking ${saved._id} escalated: ${reason}`);
+  // Admins must step in; drivers can now pick it from the open requests again
+  try { sendSseEvent('booking_dispatch_escalated', saved.toObject()); } catch (e) { /* ignore */ }
+  sendPushToRole('admin', {
+    title: `No driver for booking #${saved._id.toString().slice(-8)}`,
+    body: `${reason}. ${saved.pickup} → ${saved.destination}`,
+    url: '/admin/',
+    tag: `booking-${saved._id}`
+  }).catch(e => console.error('[PUSH] Escalation push failed:', e && e.message ? e.message : e));
+  return saved;
+}
+
+// Offer the booking to the next best driver, or escalate when there is none
+async function offerNextDriver(bookingId) {
+  const booking = await Booking.findById(bookingId);
+  if (!booking || !booking.dispatch || booking.dispatch.state !== 'searching') return null;
+  if (booking.driver || !OFFERABLE_STATUSES.includes(booking.status)) {
+    await Booking.updateOne({ _id: booking._id, 'dispatch.state': 'searching' }, { $set: { 'dispatch.state': 'stopped' } });
+    return null;
+  }
+
+  const round = booking.dispatch.offers.filter(o => !booking.dispatch.startedAt || o.offeredAt >= booking.dispatch.startedAt);
+  if (round.length >= DISPATCH_MAX_OFFERS) return escalateDispatch(booking, `No driver accepted after ${round.length} offers`);
+
+  const excluded = [...round.map(o => o.driver), ...(booking.rejectedBy || [])];
+  const [next] = await rankDispatchCandidates(booking, excluded);
+  if (!next) return escalateDispatch(booking, round.length ? 'No more drivers available' : 'No available drivers nearby');
+
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + DISPATCH_OFFER_SECONDS * 1000);
+  const attempt = (booking.dispatch.attempt || 0) + 1;
+  const saved = await Booking.findOneAndUpdate(
+    // Bookings from before dispatch existed have no attempt counter yet
+    { _id: booking._id, 'dispatch.state': 'searching', 'dispatch.attempt': booking.dispatch.attempt || { $in: [0, null] }, driver: null },
+    {
+      $set: { 'dispatch.state': 'offered', 'dispatch.attempt': attempt, 'dispatch.offeredTo': next.driver, 'dispatch.offerExpiresAt': expiresAt },
+      $push: { 'dispatch.offers': { attempt, driver: next.driver, distanceKm: next.distanceKm, etaMin: next.etaMin, offeredAt: now, expiresAt } }
+    },
+    { new: true }
+  );
+  if (!saved) return null; // accepted, cancelled or offered elsewhere in the meantime
+
+  await enqueueJob('dispatch_timeout', { bookingId: String(saved._id), driverId: String(next.driver), attempt }, {
+    runAt: expiresAt,
+    uniqueKey: `dispatch:${saved._id}:${attempt}`,
+    bookingId: saved._id
+  });
+
+  console.log(`[DISPATCH] Booking ${saved._id} offered to driver ${next.driver} (${next.distanceKm} km${next.etaMin != null ? `, ${next.etaMin} min` : ''}), attempt ${attempt}`);
+  try {
+    sendSseEvent('booking_offered', saved.toObject(), user => {
+      if (user.role === 'admin') return saved.toObject();
+      return user.role === 'driver' && user.id === String(next.driver) ? toDriverView(saved, user.id) : null;
+    });
+  } catch (e) { /* ignore */ }
+  sendPushToUser(next.driver, {
+    title: 'New ride offer',
+    body: `${saved.pickup} → ${saved.destination}. Accept within ${DISPATCH_OFFER_SECONDS} seconds.`,
+    url: '/driver/',
+    tag: `offer-${saved._id}`
+  }).catch(e => console.error('[PUSH] Offer push failed:', e && e.message ? e.message : e));
+  return saved;
+}
+
+// payload: { bookingId, driverId, attempt }; a no-op when the offer was answered in time
+registerJobHandler('dispatch_timeout', async (payload) => {
+  const expired = await closeDispatchOffer(payload.bookingId, payload.driverId, 'expired', payload.attempt);
+  if (!expired) return;
+  console.log(`[DISPATCH] Offer of booking ${payload.bookingId} to driver ${payload.driverId} expired`);
+  await offerNextDriver(payload.bookingId);
+});
+
+// Begin offering an open, unassigned booking that is not already being dispatched.
+// Resolves to the booking once the first offer is out (or it was escalated), null when it could not start.
+async function startDispatch(bookingId) {
+  const started = await Booking.findOneAndUpdate(
+    { _id: bookingId, driver: null, status: { $in: OFFERABLE_STATUSES }, 'dispatch.state': { $nin: DISPATCH_ACTIVE_STATES } },
+    { $set: { 'dispatch.state': 'searching', 'dispatch.startedAt': new Date(), 'dispatch.escalatedAt': null, 'dispatch.escalationReason': null } },
+    { new: true }
+  );
+  if (!started) return null;
+  return await offerNextDriver(bookingId) || started;
+}
+
+// (Re)start dispatch for an open booking, e.g. after it was escalated
+app.post('/api/admin/bookings/:id/dispatch', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Booking not found' });
+    const booking = await Booking.findById(req.params.id);
+    if (!booking) return res.status(404).json({ error: 'Booking not found' });
+    if (!dispatchApplies(booking)) {
+      return res.status(409).json({ error: DISPATCH_STRATEGY === 'off' ? 'Automatic dispatch is turned off' : 'Booking has no pickup coordinates' });
+    }
+
+    const started = await startDispatch(booking._id);
+    if (!started) return res.status(409).json({ error: 'Booking is already assigned, closed or being dispatched' });
+
+    console.log(`[DISPATCH] Dispatch restarted for booking ${booking._id} by admin ${req.user.id}`);
+    const saved = await Booking.findById(booking._id);
+    res.json({ success: true, dispatch: saved.dispatch });
+  } catch (error) {
+    console.error('[DISPATCH] Restart error:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// ============ Scheduled Rides ============
+// Bookings carry a pickup time (`scheduledAt`). Future rides get queued jobs: reminders to the
+// customer and assigned driver, an alert to admins if nobody is assigned close to pickup, and the
+// start of dispatch DISPATCH_LEAD_MINUTES before pickup (drivers can still accept them earlier).
+const BOOKING_MIN_LEAD_MINUTES = parseInt(process.env.BOOKING_MIN_LEAD_MINUTES || '0', 10);
+const BOOKING_MAX_DAYS_AHEAD = parseInt(process.env.BOOKING_MAX_DAYS_AHEAD || '30', 10);
+const BOOKING_PAST_GRACE_MINUTES = 5; // "now" from a form with minute precision is already in the past
+const REMINDER_LEAD_MINUTES = (process.env.REMINDER_LEAD_MINUTES || '1440,30')
+  .split(',').map(v => parseInt(v, 10)).filter(n => n > 0);
+const UNASSIGNED_ALERT_MINUTES = parseInt(process.env.UNASSIGNED_ALERT_MINUTES || '30', 10);
+const DISPATCH_LEAD_MINUTES = parseInt(process.env.DISPATCH_LEAD_MINUTES || '60', 10);
+const SCHEDULED_JOB_TYPES = ['booking_reminder', 'unassigned_alert', 'dispatch_start'];
+
+// Parse the form's date and time into the pickup instant and check the booking window; throws 400
+function validateScheduledAt(date, time, now = new Date()) {
+  const scheduledAt = parseLocalDateTime(date, time);
+  if (!scheduledAt) throw httpError(400, 'Pickup date must be YYYY-MM-DD and time HH:MM');
+  const earliest = now.getTime() + (BOOKING_MIN_LEAD_MINUTES ? BOOKING_MIN_LEAD_MINUTES * 60000 : -BOOKING_PAST_GRACE_MINUTES * 60000);
+  if (scheduledAt.getTime() < earliest) {
+    throw httpError(400, BOOKING_MIN_LEAD_MINUTES
+      ? `Pickup must be at least ${BOOKING_MIN_LEAD_MINUTES} minutes from now`
+      : 'Pickup time is in the past');
+  }
+  if (scheduledAt.getTime() > now.getTime() + BOOKING_MAX_DAYS_AHEAD * 24 * 3600000) {
+    throw httpError(400, `Rides can be booked at most ${BOOKING_MAX_DAYS_AHEAD} days ahead`);
+  }
+  return scheduledAt;
+}
+
+// Immediate rides (and scheduled ones close to pickup) are dispatched straight away
+function dispatchDue(booking, now = Date.now()) {
+  return !booking.scheduledAt || booking.scheduledAt.getTime() - now <= DISPATCH_LEAD_MINUTES * 60000;
+}
+
+// Queue the time-based jobs for a booking. The jobs re-check the booking when they run.
+async function scheduleBookingJobs(booking) {
+  if (!booking.scheduledAt) return;
+  const pickupMs = booking.scheduledAt.getTime();
+  const payload = extra => ({ bookingId: String(booking._id), scheduledAt: booking.scheduledAt.toISOString(), ...extra });
+  const soon = Date.now() + 60 * 1000;
+  const jobs = [];
+
+  for (const minutes of REMINDER_LEAD_MINUTES) {
+    const runAt = new Date(pickupMs - minutes * 60000);
+    if (runAt.getTime() > soon) {
+      jobs.push(enqueueJob('booking_reminder', payload({ minutes }), { runAt, bookingId: booking._id, uniqueKey: `reminder:${booking._id}:${pickupMs}:${minutes}` }));
+    }
+  }
+  const alertAt = new Date(pickupMs - UNASSIGNED_ALERT_MINUTES * 60000);
+  if (alertAt.getTime() > soon) {
+    jobs.push(enqueueJob('unassigned_alert', payload({}), { runAt: alertAt, bookingId: booking._id, uniqueKey: `unassigned:${booking._id}:${pickupMs}` }));
+  }
+  if (dispatchApplies(booking) && !dispatchDue(booking)) {
+    const runAt = new Date(pickupMs - DISPATCH_LEAD_MINUTES * 60000);
+    jobs.push(enqueueJob('dispatch_start', payload({}), { runAt, bookingId: booking._id, uniqueKey: `dispatch-start:${booking._id}:${pickupMs}` }));
+  }
+  await Promise.all(jobs);
+}
+
+// Drop a finished booking's pending reminders and alerts
+async function cancelBookingJobs(bookingId) {
+  const now = new Date();
+  const result = await Job.updateMany(
+    { bookingId, type: { $in: SCHEDULED_JOB_TYPES }, status: 'queued' },
+    { $set: { status: 'cancelled', updatedAt: now, expiresAt: new Date(now.getTime() + JOB_RETENTION_DAYS * 24 * 3600 * 1000) } }
+  );
+  if (result.modifiedCount) console.log(`[SCHEDULE] Cancelled ${result.modifiedCount} job(s) for booking ${bookingId}`);
+}
+
+// Load the booking a scheduled job is about, or null when the job no longer applies
+async function loadScheduledBooking(payload, statuses) {
+  const booking = await Booking.findById(payload.bookingId);
+  if (!booking || !statuses.includes(booking.status)) return null;
+  // The pickup time moved since the job was queued
+  if (!booking.scheduledAt || booking.scheduledAt.toISOString() !== payload.scheduledAt) return null;
+  return booking;
+}
+
+// payload: { bookingId, scheduledAt, minutes }
+registerJobHandler('booking_reminder', async (payload) => {
+  const booking = await loadScheduledBooking(payload, ['pending', 'confirmed', 'assigned']);
+  if (!booking) return;
+  const route = `${booking.pickup} → ${booking.destination}`;
+  const when = `${booking.date} ${booking.time}`.trim();
+
+  await notifyBookingCustomer('booking_reminder', booking);
+  const pushes = [sendPushToUser(booking.user, { title: 'Your ride is coming up', body: `${when}: ${route}`, url: '/', tag: `booking-${booking._id}` })];
+  if (booking.driver) {
+    pushes.push(sendPushToUser(booking.driver, { title: 'Upcoming pickup', body: `${when}: ${route}`, url: '/driver/', tag: `booking-${booking._id}` }));
+  }
+  await Promise.all(pushes);
+  console.log(`[SCHEDULE] Sent ${payload.minutes}-minute reminder for booking ${booking._id}`);
+});
+
+// payload: { bookingId, scheduledAt }
+registerJobHandler('unassigned_alert', async (payload) => {
+  const booking = await loadScheduledBooking(payload, OFFERABLE_STATUSES);
+  if (!booking || booking.driver) return;
+  const minutes = Math.max(0, Math.round((booking.scheduledAt.getTime() - Date.now()) / 60000));
+  console.log(`[SCHEDULE] Booking ${booking._id} has no driver ${minutes} minutes before pickup`);
+  try {
+    sendSseEvent('booking_unassigned_alert', booking.toObject(), user => user.role === 'admin' ? booking.toObject() : null);
+  } catch (e) { /* ignore */ }
+  await sendPushToRole('admin', {
+    title: `No driver yet for booking #${booking._id.toString().slice(-8)}`,
+    body: `Pickup in ${minutes} min: ${booking.pickup} → ${booking.destination}`,
+    url: '/admin/',
+    tag: `booking-${booking._id}`
+  });
+});
+
+// payload: { bookingId, scheduledAt }
+registerJobHandler('dispatch_start', async (payload) => {
+  const booking = await loadScheduledBooking(payload, DISPATCH_ON === 'confirmed' ? ['confirmed'] : OFFERABLE_STATUSES);
+  if (!booking || booking.driver || !dispatchApplies(booking)) return;
+  if (await startDispatch(booking._id)) console.log(`[DISPATCH] Started dispatch for scheduled booking ${booking._id}`);
+});
+
+// Open rides with a pickup in the next `hours` (default 24), soonest first, flagging those without a driver
+app.get('/api/admin/bookings/upcoming', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const hours = Math.min(Math.max(parseFloat(req.query.hours) || 24, 1), 24 * BOOKING_MAX_DAYS_AHEAD);
+    const now = new Date();
+    const bookings = await Booking.find({
+      status: { $in: [...OFFERABLE_STATUSES, 'assigned'] },
+      scheduledAt: { $gte: new Date(now.getTime() - BOOKING_PAST_GRACE_MINUTES * 60000), $lte: new Date(now.getTime() + hours * 3600000) }
+    }).sort({ scheduledAt: 1 }).limit(500);
+    res.json({
+      bookings: bookings.map(b => ({ ...b.toObject(), unassigned: !b.driver })),
+      unassigned: bookings.filter(b => !b.driver).length
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ Recurring Bookings ============
+// A series describes a repeated trip (e.g. weekdays at 07:30). The generator materialises its
+// occurrences as ordinary bookings up to SERIES_HORIZON_DAYS ahead, so they go through confirmation,
+// reminders and dispatch like any other booking. Each date is generated once, so cancelling one of
+// the bookings cancels just that date; dates can also be skipped or moved ahead of time.
+const SERIES_STATUSES = ['active', 'paused', 'cancelled'];
+const SERIES_HORIZON_DAYS = parseInt(process.env.SERIES_HORIZON_DAYS || '7', 10);
+const SERIES_GENERATE_MS = 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+// Occurrences in these states have no driver committed yet and follow series edits
+const SERIES_EDITABLE_STATUSES = ['pending', 'confirmed'];
+
+const bookingSeriesSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  status: { type: String, enum: SERIES_STATUSES, default: 'active', index: true },
+  // Copied onto every occurrence
+  name: String,
+  phone: String,
+  whatsapp: { type: String, default: null },
+  email: String,
+  pickup: { type: String, required: true },
+  destination: { type: String, required: true },
+  pickupLat: Number,
+  pickupLng: Number,
+  destLat: Number,
+  destLng: Number,
+  serviceType: String,
+  notes: String,
+  paymentMethod: { type: String, enum: PAYMENT_METHODS, default: 'cash' },
+  // Rule: weekdays (0 = Sunday) at a local time, from startDate until endDate (inclusive, optional)
+  days: [{ type: Number, min: 0, max: 6 }],
+  time: { type: String, required: true },
+  startDate: { type: String, required: true },
+  endDate: { type: String, default: null },
+  skipDates: [String],
+  // A different pickup time on one date
+  exceptions: [{ _id: false, date: String, time: String }],
+  // Last date occurrences have been generated for
+  generatedUntil: { type: String, default: null },
+  cancelledAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+const BookingSeries = mongoose.model('BookingSeries', bookingSeriesSchema);
+
+// Calendar date ("YYYY-MM-DD") of `date` in the service timezone
+function localDateString(date = new Date()) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: SERVICE_TIMEZONE, year: 'numeric', month: '2-digit', day: '2-digit'
+  }).formatToParts(date);
+  const get = type => (parts.find(p => p.type === type) || {}).value;
+  return `${get('year')}-${get('month')}-${get('day')}`;
+}
+
+function addDays(dateString, days) {
+  const d = new Date(`${dateString}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function isValidDateString(value) {
+  if (!DATE_PATTERN.test(value || '')) return false;
+  const d = new Date(`${value}T00:00:00Z`);
+  return !isNaN(d.getTime()) && d.toISOString().slice(0, 10) === value;
+}
+
+// Pickup time of the series on `date`, or null when it does not run that day
+function seriesTimeOn(series, date) {
+  if (series.status !== 'active') return null;
+  if (date < series.startDate || (series.endDate && date > series.endDate)) return null;
+  if ((series.skipDates || []).includes(date)) return null;
+  const exception = (series.exceptions || []).find(e => e.date === date);
+  if (exception) return exception.time;
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return (series.days || []).includes(weekday) ? series.time : null;
+}
+
+// [{ date, time }] of the series between two dates (inclusive)
+function seriesOccurrences(series, from, to) {
+  const list = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const time = seriesTimeOn(series, date);
+    if (time) list.push({ date, time });
+  }
+  return list;
+}
+
+// Validate the rule and trip fields of a create/update body. With `existing`, omitted fields keep
+// their current values. Returns the fields to set; throws 400.
+function parseSeriesInput(body, existing) {
+  const fields = {};
+  const current = existing || {};
+
+  if (body.days !== undefined || !existing) {
+    const days = Array.isArray(body.days) ? [...new Set(body.days.map(Number))].sort((a, b) => a - b) : [];
+    if (!days.length || days.some(d => !Number.isInteger(d) || d < 0 || d > 6)) {
+      throw httpError(400, 'days must list weekdays 0-6 (0 = Sunday)');
+    }
+    fields.days = days;
+  }
+  if (body.time !== undefined || !existing) {
+    if (!HHMM_PATTERN.test(body.time || '')) throw httpError(400, 'time must be HH:MM');
+    fields.time = body.time;
+  }
+  if (body.startDate !== undefined || !existing) {
+    const startDate = body.startDate || localDateString();
+    if (!isValidDateString(startDate)) throw httpError(400, 'startDate must be YYYY-MM-DD');
+    if (startDate < localDateString()) throw httpError(400, 'startDate is in the past');
+    if (startDate > localDateString(new Date(Date.now() + BOOKING_MAX_DAYS_AHEAD * 24 * 3600000))) {
+      throw httpError(400, `A series must start within ${BOOKING_MAX_DAYS_AHEAD} days`);
+    }
+    fields.startDate = startDate;
+  }
+  if (body.endDate !== undefined) {
+    if (body.endDate !== null && body.endDate !== '' && !isValidDateString(body.endDate)) throw httpError(400, 'endDate must be YYYY-MM-DD or null');
+    fields.endDate = body.endDate || null;
+  }
+  const startDate = fields.startDate || current.startDate;
+  const endDate = fields.endDate !== undefined ? fields.endDate : current.endDate;
+  if (endDate && endDate < startDate) throw httpError(400, 'endDate is before startDate');
+
+  if (body.skipDates !== undefined) {
+    if (!Array.isArray(body.skipDates) || !body.skipDates.every(isValidDateString)) {
+      throw httpError(400, 'skipDates must be a list of YYYY-MM-DD dates');
+    }
+    fields.skipDates = [...new Set(body.skipDates)].sort();
+  }
+  if (body.exceptions !== undefined) {
+    if (!Array.isArray(body.exceptions) || !body.exceptions.every(e => e && isValidDateString(e.date) && HHMM_PATTERN.test(e.time || ''))) {
+      throw httpError(400, 'exceptions must be a list of { date: YYYY-MM-DD, time: HH:MM }');
+    }
+    fields.exceptions = body.exceptions.map(e => ({ date: e.date, time: e.time }));
+  }
+
+  // The route changes as a whole, like on the booking form
+  const routeFields = ['pickup', 'destination', 'pickupLat', 'pickupLng', 'destLat', 'destLng'];
+  if (!existing || routeFields.some(f => body[f] !== undefined)) {
+    if (routeFields.some(f => body[f] === undefined || body[f] === null || body[f] === '')) {
+      throw httpError(400, 'pickup, destination and their coordinates are required');
+    }
+    const coords = ['pickupLat', 'pickupLng', 'destLat', 'destLng'].map(f => parseFloat(body[f]));
+    if (coords.some(n => !Number.isFinite(n))) throw httpError(400, 'Coordinates must be numbers');
+    Object.assign(fields, {
+      pickup: String(body.pickup),
+      destination: String(body.destination),
+      pickupLat: coords[0], pickupLng: coords[1], destLat: coords[2], destLng: coords[3]
+    });
+  }
+  if (body.serviceType !== undefined) fields.serviceType = body.serviceType || '';
+  if (body.notes !== undefined) fields.notes = body.notes || '';
+  if (body.paymentMethod !== undefined) {
+    if (!PAYMENT_METHODS.includes(body.paymentMethod)) throw httpError(400, `paymentMethod must be one of: ${PAYMENT_METHODS.join(', ')}`);
+    fields.paymentMethod = body.paymentMethod;
+  }
+  return fields;
+}
+
+function seriesView(series) {
+  const s = series.toObject ? series.toObject() : series;
+  delete s.__v;
+  return s;
+}
+
+// Admins see every series; everyone else only their own (404 otherwise)
+async function findAccessibleSeries(req) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) throw httpError(404, 'Series not found');
+  const series = await BookingSeries.findById(req.params.id);
+  if (!series || (req.user.role !== 'admin' && series.user.toString() !== req.user.id)) {
+    throw httpError(404, 'Series not found');
+  }
+  return series;
+}
+
+// Price an occurrence as the fare engine would quote it for that pickup time
+async function seriesOccurrenceFare(series, pickupAt) {
+  const rule = await getFareRule(series.serviceType);
+  const route = await getRoute({ lat: series.pickupLat, lng: series.pickupLng }, { lat: series.destLat, lng: series.destLng });
+  const fare = computeFare(rule, { distanceKm: route.distanceKm, durationMin: route.durationMin, pickupAt });
+  return {
+    estimatedPrice: `${formatMoney(fare.priceRange.lower, fare.currency)} - ${formatMoney(fare.priceRange.upper, fare.currency)}`,
+    priceRange: fare.priceRange,
+    fare: {
+      quoteId: null,
+      currency: fare.currency,
+      distanceKm: route.distanceKm,
+      durationMin: route.durationMin,
+      breakdown: fare.breakdown,
+      isPeakHour: fare.isPeakHour,
+      total: fare.total,
+      waitingPerMinute: rule.waitingPerMinute,
+      freeWaitingMinutes: rule.freeWaitingMinutes
+    }
+  };
+}
+
+// Route, time and price fields of the occurrence on `date`
+async function seriesOccurrenceFields(series, date, time) {
+  const scheduledAt = parseLocalDateTime(date, time);
+  return Object.assign({
+    pickup: series.pickup,
+    destination: series.destination,
+    pickupLat: series.pickupLat,
+    pickupLng: series.pickupLng,
+    destLat: series.destLat,
+    destLng: series.destLng,
+    serviceType: series.serviceType || '',
+    notes: series.notes || '',
+    paymentMethod: series.paymentMethod || 'cash',
+    date,
+    time,
+    scheduledAt
+  }, await seriesOccurrenceFare(series, scheduledAt));
+}
+
+// Create the bookings of an active series up to the horizon. Dates that already have a booking
+// (including cancelled ones) are left alone. Resolves to the new bookings.
+async function generateSeriesBookings(series, now = new Date()) {
+  if (series.status !== 'active') return [];
+  const horizon = localDateString(new Date(now.getTime() + SERIES_HORIZON_DAYS * 24 * 3600000));
+  const from = localDateString(now) > series.startDate ? localDateString(now) : series.startDate;
+  if (from > horizon) return [];
+
+  const occurrences = seriesOccurrences(series, from, horizon);
+  const existing = new Set((await Booking.find({ series: series._id, seriesDate: { $gte: from } }, { seriesDate: 1 })).map(b => b.seriesDate));
+  const created = [];
+
+  for (const { date, time } of occurrences) {
+    if (existing.has(date)) continue;
+    const fields = await seriesOccurrenceFields(series, date, time);
+    if (!fields.scheduledAt || fields.scheduledAt.getTime() < now.getTime() + BOOKING_MIN_LEAD_MINUTES * 60000) continue;
+
+    const booking = new Booking(Object.assign(fields, {
+      user: series.user,
+      name: series.name,
+      phone: series.phone,
+      email: series.email,
+      whatsapp: series.whatsapp,
+      series: series._id,
+      seriesDate: date,
+      status: 'pending'
+    }));
+    try {
+      created.push(await saveNewBooking(booking));
+    } catch (err) {
+      if (err && err.code === 11000) continue; // another instance got there first
+      throw err;
+    }
+  }
+
+  await BookingSeries.updateOne({ _id: series._id }, { $set: { generatedUntil: horizon } });
+  if (created.length) console.log(`[SERIES] Generated ${created.length} booking(s) for series ${series._id}`);
+  return created;
+}
+
+async function generateAllSeries() {
+  if (mongoose.connection.readyState !== 1) return;
+  const today = localDateString();
+  const active = await BookingSeries.find({ status: 'active', $or: [{ endDate: null }, { endDate: { $gte: today } }] });
+  for (const series of active) {
+    try {
+      await generateSeriesBookings(series);
+    } catch (e) {
+      console.error(`[SERIES] Generating series ${series._id} failed:`, e && e.message ? e.message : e);
+    }
+  }
+}
+
+setInterval(() => {
+  generateAllSeries().catch(e => console.error('[SERIES] Generator error:', e && e.message ? e.message : e));
+}, SERIES_GENERATE_MS).unref();
+
+// Bring the series' future bookings in line after it changed: occurrences whose date no longer runs
+// are cancelled, the rest get the new time, route and price. Bookings a driver already has are
+// left for the customer or an admin to handle; they are returned as `kept`.
+async function syncSeriesBookings(series, actor, note) {
+  const bookings = await Booking.find({
+    series: series._id,
+    seriesDate: { $gte: localDateString() },
+    status: { $in: [...SERIES_EDITABLE_STATUSES, 'assigned'] }
+  });
+  const result = { updated: 0, cancelled: 0, kept: [] };
+
+  for (const booking of bookings) {
+    const time = seriesTimeOn(series, booking.seriesDate);
+    if (booking.status === 'assigned' || booking.driver) {
+      if (!time || time !== booking.time) result.kept.push(booking._id);
+      continue;
+    }
+    if (!time) {
+      await cancelBooking(booking._id, actor, { reason: 'series_changed', note, waiveFee: true });
+      result.cancelled++;
+      continue;
+    }
+    const fields = await seriesOccurrenceFields(series, booking.seriesDate, time);
+    const moved = !booking.scheduledAt || booking.scheduledAt.getTime() !== fields.scheduledAt.getTime();
+    const saved = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: booking.status, driver: null },
+      { $set: Object.assign(fields, { updatedAt: new Date() }) },
+      { new: true }
+    );
+    if (!saved) { result.kept.push(booking._id); continue; }
+    result.updated++;
+    try { sendSseEvent('booking_updated', saved.toObject()); } catch (e) { /* ignore */ }
+    if (moved) {
+      await cancelBookingJobs(saved._id);
+      await scheduleBookingJobs(saved);
+    }
+  }
+  return result;
+}
+
+// Body: the trip as for POST /api/bookings (without date/time/quoteId) plus
+// { days: [1,2,3,4,5], time: "07:30", startDate?, endDate?, skipDates?, exceptions? }
+app.post('/api/booking-series', authenticate, rateLimit('bookings', RATE_LIMITS.bookings, req => req.user.id, 'Too many bookings. Please try again later.'), async (req, res) => {
+  const body = req.body || {};
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({ error: 'Database connection unavailable. Please try again.' });
+  }
+  if (body.clientEmail && !EMAIL_PATTERN.test(String(body.clientEmail).trim())) {
+    return res.status(400).json({ error: 'Invalid email address' });
+  }
+
+  try {
+    const account = await User.findById(req.user.id);
+    if (!account) return res.status(401).json({ error: 'Account not found' });
+    if (REQUIRE_PHONE_VERIFICATION && account.role === 'client' && account.phoneVerified === false) {
+      return res.status(403).json({ error: 'Please verify your phone number before booking', code: 'PHONE_NOT_VERIFIED' });
+    }
+
+    const series = await BookingSeries.create(Object.assign(parseSeriesInput(body), {
+      user: account._id,
+      createdBy: account._id,
+      // Same contact rules as single bookings
+      name: body.clientName || account.name || 'Anonymous',
+      phone: (req.user.role === 'client' ? account.phone : (body.clientPhone || account.phone)) || 'N/A',
+      email: (body.clientEmail ? String(body.clientEmail).trim().toLowerCase() : account.email) || '',
+      whatsapp: req.user.role === 'client' ? account.whatsappPhone : null
+    }));
+    console.log(`[SERIES] Series ${series._id} created by ${req.user.role} ${req.user.id}`);
+
+    const bookings = await generateSeriesBookings(series);
+    res.json({ success: true, series: seriesView(await BookingSeries.findById(series._id)), bookingIds: bookings.map(b => b._id) });
+  } catch (error) {
+    if (!error.statusCode) console.error('[SERIES] Error creating series:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// The caller's series (admins: everyone's, optionally ?user=<id>); ?status=active,paused
+app.get('/api/booking-series', authenticate, async (req, res) => {
+  try {
+    const filter = req.user.role === 'admin' ? {} : { user: req.user.id };
+    if (req.user.role === 'admin' && req.query.user && mongoose.Types.ObjectId.isValid(req.query.user)) filter.user = req.query.user;
+    const statuses = String(req.query.status || '').split(',').filter(s => SERIES_STATUSES.includes(s));
+    if (statuses.length) filter.status = { $in: statuses };
+    const series = await BookingSeries.find(filter).sort({ createdAt: -1 }).limit(200);
+    res.json({ series: series.map(seriesView) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// One series with its upcoming bookings and the dates still to be generated (next 30 days)
+app.get('/api/booking-series/:id', authenticate, async (req, res) => {
+  try {
+    const series = await findAccessibleSeries(req);
+    const today = localDateString();
+    const bookings = await Booking.find({ series: series._id, seriesDate: { $gte: today } }).sort({ seriesDate: 1 });
+    const booked = new Set(bookings.map(b => b.seriesDate));
+    const planned = seriesOccurrences(series, today > series.startDate ? today : series.startDate, addDays(today, 30))
+      .filter(o => !booked.has(o.date));
+    res.json({ series: seriesView(series), bookings, planned });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Change the rule, trip or status ('active' | 'paused') of a series. Future bookings without a
+// driver follow the change; those with one are listed in `kept`.
+app.patch('/api/booking-series/:id', authenticate, async (req, res) => {
+  const body = req.body || {};
+  try {
+    const series = await findAccessibleSeries(req);
+    if (series.status === 'cancelled') return res.status(409).json({ error: 'Series is cancelled' });
+
+    const fields = parseSeriesInput(body, series);
+    if (body.status !== undefined) {
+      if (!['active', 'paused'].includes(body.status)) return res.status(400).json({ error: 'status must be active or paused' });
+      fields.status = body.status;
+    }
+    series.set(Object.assign(fields, { updatedAt: new Date() }));
+    await series.save();
+    console.log(`[SERIES] Series ${series._id} updated by ${req.user.role} ${req.user.id}`);
+
+    const sync = await syncSeriesBookings(series, req.user, 'Series changed');
+    const bookings = await generateSeriesBookings(series);
+    res.json({ success: true, series: seriesView(series), ...sync, created: bookings.length });
+  } catch (error) {
+    if (!error.statusCode) console.error('[SERIES] Error updating series:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Change one date of a series. Body: { skip: true } to skip it, { skip: false } to run it again,
+// or { time: "HH:MM" } to move that day's pickup ({ time: null } reverts to the series time).
+app.put('/api/booking-series/:id/occurrences/:date', authenticate, async (req, res) => {
+  const body = req.body || {};
+  const date = req.params.date;
+  try {
+    const series = await findAccessibleSeries(req);
+    if (series.status === 'cancelled') return res.status(409).json({ error: 'Series is cancelled' });
+    if (!isValidDateString(date) || date < localDateString()) return res.status(400).json({ error: 'date must be today or later, as YYYY-MM-DD' });
+    if (body.time !== undefined && body.time !== null && !HHMM_PATTERN.test(body.time)) return res.status(400).json({ error: 'time must be HH:MM' });
+
+    const booking = await Booking.findOne({ series: series._id, seriesDate: date });
+    if (booking && !SERIES_EDITABLE_STATUSES.includes(booking.status) && body.skip !== true) {
+      return res.status(409).json({ error: `The booking for ${date} is already ${booking.status}; change or cancel that booking instead`, bookingId: booking._id });
+    }
+
+    const skipDates = new Set(series.skipDates || []);
+    if (body.skip === true) skipDates.add(date);
+    if (body.skip === false) skipDates.delete(date);
+    let exceptions = series.exceptions || [];
+    if (body.time !== undefined) {
+      exceptions = exceptions.filter(e => e.date !== date);
+      if (body.time) exceptions.push({ date, time: body.time });
+    }
+
+    series.set({ skipDates: [...skipDates].sort(), exceptions, updatedAt: new Date() });
+    await series.save();
+    console.log(`[SERIES] Series ${series._id} occurrence ${date} changed by ${req.user.role} ${req.user.id}`);
+
+    const sync = await syncSeriesBookings(series, req.user, `Occurrence ${date} changed`);
+    const bookings = await generateSeriesBookings(series);
+    res.json({ success: true, series: seriesView(series), ...sync, created: bookings.length });
+  } catch (error) {
+    if (!error.statusCode) console.error('[SERIES] Error changing occurrence:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// End a series and cancel its future bookings that have not started yet
+app.post('/api/booking-series/:id/cancel', authenticate, async (req, res) => {
+  try {
+    const series = await findAccessibleSeries(req);
+    if (series.status === 'cancelled') return res.json({ success: true, series: seriesView(series), cancelled: 0 });
+
+    const now = new Date();
+    series.set({ status: 'cancelled', cancelledAt: now, updatedAt: now });
+    await series.save();
+
+    const open = await Booking.find({ series: series._id, status: { $in: [...SERIES_EDITABLE_STATUSES, 'assigned', 'driver_en_route'] } });
+    let cancelled = 0;
+    for (const booking of open) {
+      try {
+        // Ending a series is not a late cancellation of each ride; no fee is charged
+        await cancelBooking(booking._id, req.user, { reason: 'series_cancelled', waiveFee: true });
+        cancelled++;
+      } catch (e) {
+        console.warn(`[SERIES] Could not cancel booking ${booking._id}:`, e.message);
+      }
+    }
+    console.log(`[SERIES] Series ${series._id} cancelled by ${req.user.role} ${req.user.id} (${cancelled} booking(s) cancelled)`);
+    res.json({ success: true, series: seriesView(series), cancelled });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// ============ Cancellations ============
+// Clients, drivers and admins cancel through POST /api/bookings/:id/cancel with a reason code. The
+// booking is kept (status cancelled_by_client / cancelled_by_driver / cancelled) with a
+// `cancellation` record. Clients may owe a fee under the policy below; drivers and admins never
+// charge one (admins may apply it with `applyFee`).
+const CANCELLATION_REASONS = {
+  client: ['change_of_plans', 'found_other_transport', 'driver_late', 'driver_asked', 'wrong_details', 'price_too_high', 'other'],
+  driver: ['client_unreachable', 'client_asked', 'vehicle_problem', 'unsafe_pickup', 'other'],
+  admin: ['customer_request', 'driver_request', 'no_driver_available', 'duplicate', 'fraud', 'other']
+};
+// Recorded by the server itself, never accepted from a request: a series was edited so the date no
+// longer runs, or the whole series was ended. Both cancel without a fee.
+const CANCELLATION_INTERNAL_REASONS = ['series_changed', 'series_cancelled'];
+const CANCELLATION_STATUS_BY_ROLE = { client: 'cancelled_by_client', driver: 'cancelled_by_driver', admin: 'cancelled' };
+const CANCELLATION_STATUSES = Object.values(CANCELLATION_STATUS_BY_ROLE);
+
+// Amounts are in the booking's fare currency. The highest applicable fee is charged.
+const DEFAULT_CANCELLATION_POLICY = {
+  freeUntilAssigned: process.env.CANCELLATION_FREE_UNTIL_ASSIGNED !== 'false', // no fee while no driver is assigned
+  assignedFee: parseInt(process.env.CANCELLATION_ASSIGNED_FEE || '0', 10), // driver assigned or on the way
+  arrivedFee: parseInt(process.env.CANCELLATION_ARRIVED_FEE || '10000', 10), // driver waiting at pickup
+  lateWindowMinutes: parseInt(process.env.CANCELLATION_LATE_WINDOW_MINUTES || '30', 10), // close to the pickup time
+  lateFee: parseInt(process.env.CANCELLATION_LATE_FEE || '5000', 10)
+};
+
+async function getCancellationPolicy() {
+  const saved = await AppSetting.findOne({ key: 'cancellationPolicy' }).lean();
+  return Object.assign({}, DEFAULT_CANCELLATION_POLICY, saved ? saved.value : {});
+}
+
+// Fee a client would pay to cancel `booking` now: { fee, currency, rule } (rule null when free)
+function cancellationFee(booking, policy, now = new Date()) {
+  const currency = (booking.fare && booking.fare.currency) || 'UGX';
+  if (policy.freeUntilAssigned && !booking.driver) return { fee: 0, currency, rule: null };
+
+  const candidates = [];
+  if (booking.status === 'arrived') candidates.push({ fee: policy.arrivedFee, rule: 'after_arrival' });
+  if (booking.driver && ['assigned', 'driver_en_route'].includes(booking.status)) {
+    candidates.push({ fee: policy.assignedFee, rule: 'after_assignment' });
+  }
+  if (booking.scheduledAt && policy.lateWindowMinutes > 0 &&
+      booking.scheduledAt.getTime() - now.getTime() <= policy.lateWindowMinutes * 60000) {
+    candidates.push({ fee: policy.lateFee, rule: 'late_cancellation' });
+  }
+  const best = candidates.filter(c => c.fee > 0).sort((a, b) => b.fee - a.fee)[0];
+  return best ? { fee: best.fee, currency, rule: best.rule } : { fee: 0, currency, rule: null };
+}
+
+// Cancel on behalf of `actor` (req.user claims). `reason` is a code from CANCELLATION_REASONS for the
+// actor's role or from CANCELLATION_INTERNAL_REASONS. `waiveFee` skips the client fee policy.
+// Returns the saved booking.
+async function cancelBooking(bookingId, actor, { reason, note, applyFee, waiveFee } = {}) {
+  const code = reason || 'other';
+  if (!(CANCELLATION_REASONS[actor.role] || []).includes(code) && !CANCELLATION_INTERNAL_REASONS.includes(code)) {
+    throw httpError(400, `Unknown cancellation reason: ${code}`);
+  }
+  if (!mongoose.Types.ObjectId.isValid(bookingId)) throw httpError(404, 'Booking not found');
+  const booking = await Booking.findById(bookingId);
+  if (!booking) throw httpError(404, 'Booking not found');
+  const to = CANCELLATION_STATUS_BY_ROLE[actor.role];
+  if (!to) throw httpError(403, 'Forbidden');
+
+  const charged = !waiveFee && (actor.role === 'client' || (actor.role === 'admin' && applyFee));
+  const { fee, currency, rule } = charged ? cancellationFee(booking, await getCancellationPolicy()) : { fee: 0, currency: null, rule: null };
+
+  return transitionBooking(booking._id, to, actor, {
+    note: note ? `${code}: ${note}` : code,
+    extra: {
+      cancellation: {
+        by: actor.id || null,
+        role: actor.role,
+        reason: code,
+        note: note || '',
+        at: new Date(),
+        fee,
+        currency: currency || (booking.fare && booking.fare.currency) || 'UGX',
+        feeRule: rule,
+        waived: false
+      }
+    }
+  });
+}
+
+// Reason codes the caller can pick and the fee they would pay right now
+app.get('/api/bookings/:id/cancellation-fee', authenticate, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Booking not found' });
+    const booking = await Booking.findById(req.params.id);
+    if (!booking || !canViewBooking(req.user, booking)) return res.status(404).json({ error: 'Booking not found' });
+
+    const to = CANCELLATION_STATUS_BY_ROLE[req.user.role];
+    const allowed = canTransition(booking.status, to, req.user.role) &&
+      (req.user.role !== 'driver' || (booking.driver && booking.driver.toString() === req.user.id));
+    const quote = req.user.role === 'client' ? cancellationFee(booking, await getCancellationPolicy()) : { fee: 0, currency: (booking.fare && booking.fare.currency) || 'UGX', rule: null };
+    res.json({ canCancel: !!allowed, status: booking.status, reasons: CANCELLATION_REASONS[req.user.role] || [], ...quote });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: { reason, note?, applyFee? (admin) }. Notes are required with reason "other".
+app.post('/api/bookings/:id/cancel', authenticate, async (req, res) => {
+  const { reason, note, applyFee } = req.body || {};
+  const reasons = CANCELLATION_REASONS[req.user.role] || [];
+  if (!reasons.includes(reason)) {
+    return res.status(400).json({ error: `reason must be one of: ${reasons.join(', ')}`, reasons });
+  }
+  const text = note ? String(note).trim().slice(0, 500) : '';
+  if (reason === 'other' && !text) return res.status(400).json({ error: 'Please describe the reason' });
+
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Booking not found' });
+    const saved = await cancelBooking(req.params.id, req.user, { reason, note: text, applyFee: !!applyFee });
+    console.log(`[BOOKING] Booking ${saved._id} cancelled by ${req.user.role} ${req.user.id} (${reason}, fee ${saved.cancellation.fee})`);
+    res.json({ success: true, booking: saved, cancellation: saved.cancellation });
+  } catch (error) {
+    if (!error.statusCode) console.error('[BOOKING] Error cancelling booking:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Drop a cancellation fee (admin)
+app.post('/api/bookings/:id/cancellation/waive', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Booking not found' });
+    const saved = await Booking.findOneAndUpdate(
+      { _id: req.params.id, 'cancellation.fee': { $gt: 0 } },
+      { $set: { 'cancellation.waived': true, 'cancellation.waivedBy': req.user.id, 'cancellation.waivedAt': new Date(), updatedAt: new Date() } },
+      { new: true }
+    );
+    if (!saved) return res.status(409).json({ error: 'Booking has no cancellation fee' });
+    console.log(`[BOOKING] Cancellation fee for booking ${saved._id} waived by admin ${req.user.id}`);
+    try { sendSseEvent('booking_updated', saved.toObject()); } catch (e) { /* ignore */ }
+    res.json({ success: true, cancellation: saved.cancellation });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/admin/cancellation-policy', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    res.json({ policy: await getCancellationPolicy(), reasons: CANCELLATION_REASONS, internalReasons: CANCELLATION_INTERNAL_REASONS });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Omitted fields keep their current value
+app.put('/api/admin/cancellation-policy', authenticate, authorize('admin'), async (req, res) => {
+  const body = req.body || {};
+  const changes = {};
+  for (const field of ['assignedFee', 'arrivedFee', 'lateWindowMinutes', 'lateFee']) {
+    if (body[field] === undefined) continue;
+    const n = Number(body[field]);
+    if (!Number.isFinite(n) || n < 0) return res.status(400).json({ error: `${field} must be a non-negative number` });
+    changes[field] = n;
+  }
+  if (body.freeUntilAssigned !== undefined) changes.freeUntilAssigned = !!body.freeUntilAssigned;
+
+  try {
+    const policy = Object.assign(await getCancellationPolicy(), changes);
+    await AppSetting.updateOne({ key: 'cancellationPolicy' }, { $set: { value: policy, updatedAt: new Date() } }, { upsert: true });
+    console.log(`[BOOKING] Cancellation policy updated by ${req.user.id}`);
+    res.json({ success: true, policy });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cancellations per reason and who cancelled, with fees, for bookings cancelled in [from, to)
+app.get('/api/admin/cancellations', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 30 * 24 * 3600000);
+    if (isNaN(from.getTime()) || isNaN(to.getTime())) return res.status(400).json({ error: 'from and to must be dates' });
+
+    const byReason = await Booking.aggregate([
+      { $match: { status: { $in: CANCELLATION_STATUSES }, 'cancellation.at': { $gte: from, $lt: to } } },
+      {
+        $group: {
+          _id: { role: '$cancellation.role', reason: '$cancellation.reason' },
+          count: { $sum: 1 },
+          fees: { $sum: { $cond: ['$cancellation.waived', 0, '$cancellation.fee'] } },
+          waived: { $sum: { $cond: ['$cancellation.waived', 1, 0] } }
+        }
+      },
+      { $sort: { count: -1 } }
+    ]);
+    res.json({
+      from,
+      to,
+      total: byReason.reduce((n, r) => n + r.count, 0),
+      fees: byReason.reduce((n, r) => n + r.fees, 0),
+      byReason: byReason.map(r => ({ role: r._id.role, reason: r._id.reason, count: r.count, fees: r.fees, waived: r.waived }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ Payments ============
+// A Payment is one attempt to collect money for a booking: the fare once the trip is completed, or
+// a cancellation fee. Mobile money (MTN MoMo, Airtel Money) works collect-and-callback: the provider
+// prompts the payer's phone and later calls /api/payments/callback/<provider> with the outcome; a
+// status check job covers missed callbacks. Cash is recorded by the driver on completion.
+// Providers are picked with MTN_MOMO_PROVIDER / AIRTEL_MONEY_PROVIDER; a method without one is
+// unavailable. `mock` talks to scripts/mock_payment_provider.js and only exists with PAYMENT_MOCK_ENABLED=true.
+const PAYMENT_STATUSES = ['initiated', 'pending', 'succeeded', 'failed', 'refunded'];
+const PAYMENT_MOCK_ENABLED = process.env.PAYMENT_MOCK_ENABLED === 'true';
+const MOBILE_MONEY_PROVIDERS = {
+  mtn_momo: (process.env.MTN_MOMO_PROVIDER || (PAYMENT_MOCK_ENABLED ? 'mock' : '')).toLowerCase(),
+  airtel_money: (process.env.AIRTEL_MONEY_PROVIDER || (PAYMENT_MOCK_ENABLED ? 'mock' : '')).toLowerCase()
+};
+const MOCK_PAYMENT_URL = (process.env.MOCK_PAYMENT_URL || 'http://localhost:4100').replace(/\/+$/, '');
+// The well-known default secret is only accepted outside production; without a secret signed callbacks are refused
+const PAYMENT_WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET ||
+  (PAYMENT_MOCK_ENABLED && process.env.NODE_ENV !== 'production' ? 'mock-payment-secret' : '');
+const PAYMENT_CALLBACK_BASE_URL = (process.env.PAYMENT_CALLBACK_BASE_URL || process.env.DOMAIN || `http://localhost:${PORT}`).replace(/\/+$/, '');
+const PAYMENT_TIMEOUT_MINUTES = parseInt(process.env.PAYMENT_TIMEOUT_MINUTES || '10', 10);
+const PAYMENT_CHECK_SECONDS = 60;
+const PAYMENT_SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000;
+const PAYMENT_REQUEST_TIMEOUT_MS = 15000;
+
+if (PAYMENT_MOCK_ENABLED && !PAYMENT_WEBHOOK_SECRET) {
+  console.error('[STARTUP] PAYMENT_MOCK_ENABLED is set in production without PAYMENT_WEBHOOK_SECRET; refusing to start');
+  process.exit(1);
+}
+
+const paymentSchema = new mongoose.Schema({
+  booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', required: true, index: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  purpose: { type: String, enum: ['fare', 'cancellation_fee'], default: 'fare' },
+  method: { type: String, enum: PAYMENT_METHODS, required: true },
+  provider: String,
+  amount: { type: Number, required: true },
+  currency: { type: String, default: 'UGX' },
+  // Payer's number for mobile money
+  phone: { type: String, default: null },
+  status: { type: String, enum: PAYMENT_STATUSES, default: 'initiated', index: true },
+  providerRef: { type: String, default: null, index: true },
+  failureReason: { type: String, default: null },
+  initiatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  // Driver or admin who took the cash
+  collectedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  refundRef: { type: String, default: null },
+  refundReason: { type: String, default: null },
+  refundedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  history: [{ _id: false, status: String, at: { type: Date, default: Date.now }, note: String }],
+  completedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+function paymentSignature(timestamp, rawBody) {
+  return crypto.createHmac('sha256', PAYMENT_WEBHOOK_SECRET).update(`${timestamp}.${rawBody}`).digest('hex');
+}
+
+// JSON request to a payment provider; throws with the provider's message on failure
+async function paymentRequest(url, { method = 'GET', headers = {}, body } = {}) {
+  const response = await fetch(url, {
+    method,
+    headers: Object.assign(body !== undefined ? { 'Content-Type': 'application/json' } : {}, headers),
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+    signal: AbortSignal.timeout(PAYMENT_REQUEST_TIMEOUT_MS)
+  });
+  const text = await response.text();
+  let data = null;
+  try { data = text ? JSON.parse(text) : null; } catch (e) { data = null; }
+  if (!response.ok) throw new Error(`Payment provider HTTP ${response.status}: ${text.slice(0, 200)}`);
+  return data || {};
+}
+
+// OAuth tokens per provider, reused until shortly before they expire
+const paymentTokens = new Map();
+async function cachedPaymentToken(name, fetchToken) {
+  const cached = paymentTokens.get(name);
+  if (cached && cached.expiresAt > Date.now()) return cached.token;
+  const { token, expiresIn } = await fetchToken();
+  paymentTokens.set(name, { token, expiresAt: Date.now() + Math.max(60, (expiresIn || 3600) - 60) * 1000 });
+  return token;
+}
+
+// Each provider has:
+//   collect(payment, callbackUrl) -> { providerRef }   ask the payer to approve
+//   status(payment) -> { status: 'pending'|'succeeded'|'failed', reason }
+//   refund(payment) -> { refundRef }                    optional; otherwise refunds are manual
+//   parseCallback(req) -> { paymentId | providerRef, trusted, status, reason }
+// Callbacks that are not `trusted` (unsigned) are confirmed with status() before anything changes.
+const paymentProviders = {
+  // Local stand-in for a mobile money API (scripts/mock_payment_provider.js). Signs its callbacks.
+  mock: {
+    async collect(payment, callbackUrl) {
+      const data = await paymentRequest(`${MOCK_PAYMENT_URL}/collections`, {
+        method: 'POST',
+        body: { reference: String(payment._id), amount: payment.amount, currency: payment.currency, phone: payment.phone, callbackUrl }
+      });
+      return { providerRef: data.transactionId };
+    },
+    async status(payment) {
+      const data = await paymentRequest(`${MOCK_PAYMENT_URL}/collections/${encodeURIComponent(payment.providerRef)}`);
+      return { status: data.status, reason: data.reason || null };
+    },
+    async refund(payment) {
+      const data = await paymentRequest(`${MOCK_PAYMENT_URL}/refunds`, {
+        method: 'POST',
+        body: { transactionId: payment.providerRef, amount: payment.amount }
+      });
+      if (data.status !== 'succeeded') throw new Error(data.reason || 'Refund was not accepted');
+      return { refundRef: data.refundId };
+    },
+    parseCallback(req) {
+      if (!PAYMENT_WEBHOOK_SECRET) return null;
+      const timestamp = Number(req.get('X-Timestamp'));
+      const given = Buffer.from(String(req.get('X-Signature') || ''));
+      const expected = Buffer.from(paymentSignature(timestamp, req.rawBody || ''));
+      const fresh = Number.isFinite(timestamp) && Math.abs(Date.now() - timestamp) <= PAYMENT_SIGNATURE_TOLERANCE_MS;
+      if (!fresh || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+      const body = req.body || {};
+      return { paymentId: body.reference, providerRef: body.transactionId, trusted: true, status: body.status, reason: body.reason || null };
+    }
+  },
+
+  // MTN MoMo Collection API (requesttopay). MTN does not sign callbacks, so they only prompt a status check.
+  mtn: {
+    async token() {
+      return cachedPaymentToken('mtn', async () => {
+        const basic = Buffer.from(`${process.env.MTN_MOMO_API_USER}:${process.env.MTN_MOMO_API_KEY}`).toString('base64');
+        const data = await paymentRequest(`${mtnBaseUrl()}/collection/token/`, {
+          method: 'POST',
+          headers: { Authorization: `Basic ${basic}`, 'Ocp-Apim-Subscription-Key': process.env.MTN_MOMO_SUBSCRIPTION_KEY }
+        });
+        return { token: data.access_token, expiresIn: data.expires_in };
+      });
+    },
+    async headers() {
+      if (!process.env.MTN_MOMO_API_USER || !process.env.MTN_MOMO_API_KEY || !process.env.MTN_MOMO_SUBSCRIPTION_KEY) {
+        throw new Error('MTN_MOMO_API_USER / MTN_MOMO_API_KEY / MTN_MOMO_SUBSCRIPTION_KEY not configured');
+      }
+      return {
+        Authorization: `Bearer ${await this.token()}`,
+        'X-Target-Environment': process.env.MTN_MOMO_ENVIRONMENT || 'sandbox',
+        'Ocp-Apim-Subscription-Key': process.env.MTN_MOMO_SUBSCRIPTION_KEY
+      };
+    },
+    async collect(payment, callbackUrl) {
+      const reference = crypto.randomUUID();
+      await paymentRequest(`${mtnBaseUrl()}/collection/v1_0/requesttopay`, {
+        method: 'POST',
+        headers: Object.assign(await this.headers(), { 'X-Reference-Id': reference, 'X-Callback-Url': callbackUrl }),
+        body: {
+          amount: String(payment.amount),
+          currency: payment.currency,
+          externalId: String(payment._id),
+          payer: { partyIdType: 'MSISDN', partyId: payment.phone.replace(/^\+/, '') },
+          payerMessage: `Teleka booking ${String(payment.booking).slice(-8)}`,
+          payeeNote: String(payment._id)
+        }
+      });
+      return { providerRef: reference };
+    },
+    async status(payment) {
+      const data = await paymentRequest(`${mtnBaseUrl()}/collection/v1_0/requesttopay/${payment.providerRef}`, { headers: await this.headers() });
+      const status = { SUCCESSFUL: 'succeeded', FAILED: 'failed', REJECTED: 'failed', TIMEOUT: 'failed' }[data.status] || 'pending';
+      return { status, reason: data.reason ? String(data.reason.message || data.reason) : null };
+    },
+    parseCallback(req) {
+      const body = req.body || {};
+      return { paymentId: body.externalId, trusted: false };
+    }
+  },
+
+  // Airtel Money Collections API (merchant payments). Callbacks are confirmed with a status check.
+  airtel: {
+    async token() {
+      return cachedPaymentToken('airtel', async () => {
+        const data = await paymentRequest(`${airtelBaseUrl()}/auth/oauth2/token`, {
+          method: 'POST',
+          body: { client_id: process.env.AIRTEL_CLIENT_ID, client_secret: process.env.AIRTEL_CLIENT_SECRET, grant_type: 'client_credentials' }
+        });
+        return { token: data.access_token, expiresIn: data.expires_in };
+      });
+    },
+    async headers(currency) {
+      if (!process.env.AIRTEL_CLIENT_ID || !process.env.AIRTEL_CLIENT_SECRET) throw new Error('AIRTEL_CLIENT_ID / AIRTEL_CLIENT_SECRET not configured');
+      return { Authorization: `Bearer ${await this.token()}`, 'X-Country': process.env.AIRTEL_COUNTRY || 'UG', 'X-Currency': currency };
+    },
+    async collect(payment) {
+      const country = process.env.AIRTEL_COUNTRY || 'UG';
+      const countryCode = process.env.AIRTEL_COUNTRY_CODE || '256';
+      const data = await paymentRequest(`${airtelBaseUrl()}/merchant/v1/payments/`, {
+        method: 'POST',
+        headers: await this.headers(payment.currency),
+        body: {
+          reference: `Teleka booking ${String(payment.booking).slice(-8)}`,
+          subscriber: { country, currency: payment.currency, msisdn: payment.phone.replace(/^\+/, '').replace(new RegExp(`^${countryCode}`), '') },
+          transaction: { amount: payment.amount, country, currency: payment.currency, id: String(payment._id) }
+        }
+      });
+      if (data.status && data.status.success === false) throw new Error(data.status.message || 'Airtel rejected the payment');
+      return { providerRef: String(payment._id) };
+    },
+    async status(payment) {
+      const data = await paymentRequest(`${airtelBaseUrl()}/standard/v1/payments/${payment.providerRef}`, { headers: await this.headers(payment.currency) });
+      const transaction = (data.data && data.data.transaction) || {};
+      const status = { TS: 'succeeded', TF: 'failed', TE: 'failed' }[transaction.status] || 'pending';
+      return { status, reason: transaction.message || null };
+    },
+    parseCallback(req) {
+      const transaction = (req.body || {}).transaction || {};
+      return { paymentId: transaction.id, trusted: false };
+    }
+  }
+};
+
+// The mock provider accepts any payer and settles on request, so it is never registered by default
+if (!PAYMENT_MOCK_ENABLED) delete paymentProviders.mock;
+for (const [method, name] of Object.entries(MOBILE_MONEY_PROVIDERS)) {
+  if (name && !paymentProviders[name]) console.warn(`[STARTUP] Payments: unknown or disabled provider "${name}" for ${method}`);
+}
+console.log(`[STARTUP] Payments: mtn_momo via ${MOBILE_MONEY_PROVIDERS.mtn_momo || 'none'}, airtel_money via ${MOBILE_MONEY_PROVIDERS.airtel_money || 'none'}`);
+
+function mtnBaseUrl() {
+  return (process.env.MTN_MOMO_BASE_URL || 'https://sandbox.momodeveloper.mtn.com').replace(/\/+$/, '');
+}
+
+function airtelBaseUrl() {
+  return (process.env.AIRTEL_MONEY_BASE_URL || 'https://openapiuat.airtel.africa').replace(/\/+$/, '');
+}
+
+function paymentView(payment) {
+  const p = payment.toObject ? payment.toObject() : Object.assign({}, payment);
+  delete p.__v;
+  return p;
+}
+
+// What is owed on a booking right now: { amount, currency, purpose } or null
+function bookingAmountDue(booking) {
+  const fare = booking.fare || {};
+  const currency = fare.currency || 'UGX';
+  if (booking.status === 'completed') {
+    const amount = fare.finalTotal != null ? fare.finalTotal : fare.total;
+    return amount > 0 ? { amount, currency, purpose: 'fare' } : null;
+  }
+  const c = booking.cancellation;
+  if (CANCELLATION_STATUSES.includes(booking.status) && c && c.fee > 0 && !c.waived) {
+    return { amount: c.fee, currency: c.currency || currency, purpose: 'cancellation_fee' };
+  }
+  return null;
+}
+
+// Tell everyone who can see the booking about a payment change
+async function publishPayment(payment) {
+  const booking = await Booking.findById(payment.booking);
+  if (!booking) return;
+  const view = paymentView(payment);
+  try {
+    sendSseEvent(`payment_${payment.status}`, view, user => canViewBooking(user, booking) ? view : null);
+  } catch (e) { /* ignore */ }
+
+  const ref = `#${booking._id.toString().slice(-8)}`;
+  const amount = formatMoney(payment.amount, payment.currency);
+  const tag = `payment-${payment._id}`;
+  const jobs = [];
+  if (payment.status === 'succeeded') {
+    jobs.push(sendPushToUser(booking.user, { title: `Payment received for ${ref}`, body: `${amount} via ${payment.method.replace('_', ' ')}`, url: '/', tag }));
+    if (booking.driver) jobs.push(sendPushToUser(booking.driver, { title: `Trip ${ref} paid`, body: amount, url: '/driver/', tag }));
+  } else if (payment.status === 'failed') {
+    jobs.push(sendPushToUser(booking.user, { title: `Payment for ${ref} failed`, body: payment.failureReason || 'Please try again', url: '/', tag }));
+  } else if (payment.status === 'refunded') {
+    jobs.push(sendPushToUser(booking.user, { title: `Refund for ${ref}`, body: `${amount} refunded`, url: '/', tag }));
+  }
+  await Promise.all(jobs);
+}
+
+// Move an open payment to its outcome once. Resolves to the updated payment, or null if it was already settled.
+async function settlePayment(paymentId, status, { reason, note, extra } = {}) {
+  const now = new Date();
+  const payment = await Payment.findOneAndUpdate(
+    { _id: paymentId, status: { $in: ['initiated', 'pending'] } },
+    {
+      $set: Object.assign({ status, failureReason: status === 'failed' ? (reason || 'Payment failed') : null, completedAt: now, updatedAt: now }, extra || {}),
+      $push: { history: { status, at: now, note: note || reason || '' } }
+    },
+    { new: true }
+  );
+  if (!payment) return null;
+
+  if (status === 'succeeded') {
+    await Booking.updateOne({ _id: payment.booking }, { $set: { paymentStatus: 'paid', paymentMethod: payment.method, updatedAt: now } });
+  } else {
+    // Only fall back to unpaid if no other payment settled the booking meanwhile
+    await Booking.updateOne({ _id: payment.booking, paymentStatus: 'pending' }, { $set: { paymentStatus: 'unpaid', updatedAt: now } });
+  }
+  console.log(`[PAYMENTS] Payment ${payment._id} ${status}${reason ? ` (${reason})` : ''}`);
+  publishPayment(payment).catch(e => console.error('[PAYMENTS] Notify error:', e && e.message ? e.message : e));
+  return payment;
+}
+
+// Start a mobile money collection for what the booking owes. Throws 409 when nothing is due or a
+// payment is already under way.
+async function initiatePayment(booking, { method, phone, actor }) {
+  const provider = paymentProviders[MOBILE_MONEY_PROVIDERS[method]];
+  if (!provider) throw httpError(400, `Payment method not available: ${method}`);
+  const due = bookingAmountDue(booking);
+  if (!due) throw httpError(409, 'Nothing is due on this booking');
+  if (booking.paymentStatus === 'paid') throw httpError(409, 'Booking is already paid');
+  const number = normalizePhone(phone || booking.phone);
+  if (!number) throw httpError(400, 'A mobile money number is required');
+
+  const open = await Payment.findOne({ booking: booking._id, status: { $in: ['initiated', 'pending'] } });
+  if (open && open.method !== 'cash') throw httpError(409, 'A payment is already in progress for this booking');
+  // Paying by phone instead of the cash the driver was expecting
+  if (open) await settlePayment(open._id, 'failed', { reason: 'Replaced by a mobile money payment' });
+
+  const payment = await Payment.create({
+    booking: booking._id,
+    user: booking.user,
+    purpose: due.purpose,
+    method,
+    provider: MOBILE_MONEY_PROVIDERS[method],
+    amount: due.amount,
+    currency: due.currency,
+    phone: number,
+    initiatedBy: actor ? actor.id : null,
+    history: [{ status: 'initiated', note: actor ? `by ${actor.role}` : 'automatic' }]
+  });
+
+  try {
+    const callbackUrl = `${PAYMENT_CALLBACK_BASE_URL}/api/payments/callback/${payment.provider}`;
+    const { providerRef } = await provider.collect(payment, callbackUrl);
+    const now = new Date();
+    const pending = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: 'initiated' },
+      { $set: { status: 'pending', providerRef, updatedAt: now }, $push: { history: { status: 'pending', at: now, note: 'Awaiting approval on the phone' } } },
+      { new: true }
+    );
+    await Booking.updateOne({ _id: booking._id, paymentStatus: { $ne: 'paid' } }, { $set: { paymentStatus: 'pending', paymentMethod: method, updatedAt: now } });
+    await enqueueJob('payment_status_check', { paymentId: String(payment._id) }, {
+      runAt: new Date(Date.now() + PAYMENT_CHECK_SECONDS * 1000),
+      bookingId: booking._id,
+      uniqueKey: `payment-check:${payment._id}:1`
+    });
+    console.log(`[PAYMENTS] Payment ${payment._id} requested from ${number} via ${payment.provider} for booking ${booking._id}`);
+    // The callback may have arrived before we stored the reference
+    return pending || await Payment.findById(payment._id);
+  } catch (err) {
+    console.error(`[PAYMENTS] Collect via ${payment.provider} failed:`, err.message);
+    return await settlePayment(payment._id, 'failed', { reason: 'Could not reach the payment provider' }) || payment;
+  }
+}
+
+// Cash bookings owe the driver once the trip is completed; mobile money bookings prompt the payer
+async function requestPaymentOnCompletion(booking) {
+  const due = bookingAmountDue(booking);
+  if (!due || booking.paymentStatus === 'paid') return;
+  if (booking.paymentMethod && booking.paymentMethod !== 'cash') {
+    await initiatePayment(booking, { method: booking.paymentMethod, phone: booking.phone });
+    return;
+  }
+  await Payment.create({
+    booking: booking._id,
+    user: booking.user,
+    purpose: due.purpose,
+    method: 'cash',
+    provider: 'cash',
+    amount: due.amount,
+    currency: due.currency,
+    status: 'pending',
+    history: [{ status: 'pending', note: 'Cash due to the driver' }]
+  });
+  await Booking.updateOne({ _id: booking._id, paymentStatus: 'unpaid' }, { $set: { paymentStatus: 'pending', updatedAt: new Date() } });
+}
+
+// payload: { paymentId, check }. Polls the provider until the payment settles or times out.
+registerJobHandler('payment_status_check', async (payload) => {
+  const payment = await Payment.findById(payload.paymentId);
+  if (!payment || payment.status !== 'pending' || payment.method === 'cash') return;
+  const provider = paymentProviders[payment.provider];
+  const result = provider ? await provider.status(payment) : { status: 'pending' };
+
+  if (result.status === 'succeeded' || result.status === 'failed') {
+    await settlePayment(payment._id, result.status, { reason: result.reason, note: 'Status check' });
+    return;
+  }
+  if (Date.now() - payment.createdAt.getTime() > PAYMENT_TIMEOUT_MINUTES * 60000) {
+    await settlePayment(payment._id, 'failed', { reason: 'Not approved in time' });
+    return;
+  }
+  const check = (payload.check || 1) + 1;
+  await enqueueJob('payment_status_check', { paymentId: payload.paymentId, check }, {
+    runAt: new Date(Date.now() + PAYMENT_CHECK_SECONDS * 1000),
+    bookingId: payment.booking,
+    uniqueKey: `payment-check:${payment._id}:${check}`
+  });
+});
+
+// Provider callbacks. The body is kept raw (see the middleware at the top) so signatures can be checked.
+async function handlePaymentCallback(req, res) {
+  const provider = paymentProviders[req.params.provider];
+  if (!provider || !Object.values(MOBILE_MONEY_PROVIDERS).includes(req.params.provider)) {
+    return res.status(404).json({ error: 'Unknown payment provider' });
+  }
+  try {
+    const raw = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+    req.rawBody = raw;
+    try { req.body = raw ? JSON.parse(raw) : {}; } catch (e) { return res.status(400).json({ error: 'Invalid JSON' }); }
+
+    const callback = provider.parseCallback(req);
+    if (!callback) {
+      console.warn(`[PAYMENTS] Rejected ${req.params.provider} callback with a bad signature`);
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
 
-  const [originLat, originLng] = origin.split(',').map(Number);
-  const [destLat, destLng] = destination.split(',').map(Number);
+    let payment = null;
+    if (callback.paymentId && mongoose.Types.ObjectId.isValid(callback.paymentId)) payment = await Payment.findById(callback.paymentId);
+    if (!payment && callback.providerRef) payment = await Payment.findOne({ provider: req.params.provider, providerRef: callback.providerRef });
+    if (!payment || payment.provider !== req.params.provider) return res.status(404).json({ error: 'Payment not found' });
+    if (!['initiated', 'pending'].includes(payment.status)) return res.json({ received: true, status: payment.status });
+
+    // Unsigned callbacks only tell us to look; the provider's own status is what counts.
+    // Before collect() returns, the reference is not stored yet and the check waits for the status job.
+    let result = callback;
+    if (!callback.trusted) result = payment.providerRef ? await provider.status(payment) : { status: 'pending' };
+    if (result.status === 'succeeded' || result.status === 'failed') {
+      const extra = !payment.providerRef && callback.providerRef ? { providerRef: callback.providerRef } : undefined;
+      payment = await settlePayment(payment._id, result.status, { reason: result.reason, note: 'Provider callback', extra }) || payment;
+    }
+    res.json({ received: true, status: payment.status });
+  } catch (error) {
+    console.error('[PAYMENTS] Callback error:', error.message);
+    res.status(500).json({ error: 'Callback processing failed' });
+  }
+}
+app.post('/api/payments/callback/:provider', handlePaymentCallback);
+// MTN delivers requesttopay callbacks with PUT
+app.put('/api/payments/callback/:provider', handlePaymentCallback);
+
+async function findVisibleBooking(req) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) throw httpError(404, 'Booking not found');
+  const booking = await Booking.findById(req.params.id);
+  if (!booking || !canViewBooking(req.user, booking)) throw httpError(404, 'Booking not found');
+  return booking;
+}
 
-  const dlat = destLat - originLat;
-  const dlng = destLng - originLng;
-  const distanceKm = Math.sqrt(dlat * dlat + dlng * dlng) * 111;
+// Body: { method: 'mtn_momo' | 'airtel_money', phone? } (the booking's phone by default). Client or admin.
+app.post('/api/bookings/:id/payments', authenticate, authorize('client', 'admin'), async (req, res) => {
+  const { method, phone } = req.body || {};
+  if (!MOBILE_MONEY_PROVIDERS[method]) {
+    return res.status(400).json({ error: `method must be one of: ${Object.keys(MOBILE_MONEY_PROVIDERS).join(', ')}` });
+  }
+  try {
+    const booking = await findVisibleBooking(req);
+    const payment = await initiatePayment(booking, { method, phone, actor: req.user });
+    res.status(payment.status === 'failed' ? 502 : 200).json({ success: payment.status !== 'failed', payment: paymentView(payment) });
+  } catch (error) {
+    if (!error.statusCode) console.error('[PAYMENTS] Error starting payment:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
 
-  const baseFare = 5000;
-  const perKmRate = 1000;
-  const lowPrice = Math.round(baseFare + distanceKm * perKmRate * 0.9);
-  const highPrice = Math.round(baseFare + distanceKm * perKmRate * 1.1);
+// The assigned driver (or an admin) confirms the cash was received. Body: { amount? } (defaults to what is due).
+app.post('/api/bookings/:id/payments/cash', authenticate, authorize('driver', 'admin'), async (req, res) => {
+  try {
+    const booking = await findVisibleBooking(req);
+    if (req.user.role === 'driver' && (!booking.driver || booking.driver.toString() !== req.user.id)) {
+      return res.status(403).json({ error: 'Forbidden' });
+    }
+    if (booking.paymentStatus === 'paid') return res.status(409).json({ error: 'Booking is already paid' });
+    const due = bookingAmountDue(booking);
+    if (!due) return res.status(409).json({ error: 'Nothing is due on this booking' });
+    const amount = req.body && req.body.amount !== undefined ? Number(req.body.amount) : due.amount;
+    if (!Number.isFinite(amount) || amount < due.amount) {
+      return res.status(400).json({ error: `Collect the full ${formatMoney(due.amount, due.currency)}` });
+    }
 
-  res.json({
-    distance: { value: distanceKm * 1000 },
-    duration: { value: Math.max(600, distanceKm * 60) },
-    priceRange: {
-      lower: lowPrice,
-      upper: highPrice
-    },
-    isPeakHour: false,
-    traffic_level: 'Low'
-  });
+    const open = await Payment.findOne({ booking: booking._id, status: { $in: ['initiated', 'pending'] } });
+    if (open && open.method !== 'cash') return res.status(409).json({ error: 'A mobile money payment is in progress for this booking' });
+    const payment = open || await Payment.create({
+      booking: booking._id,
+      user: booking.user,
+      purpose: due.purpose,
+      method: 'cash',
+      provider: 'cash',
+      amount: due.amount,
+      currency: due.currency,
+      status: 'pending',
+      history: [{ status: 'pending', note: `Recorded by ${req.user.role}` }]
+    });
+    const settled = await settlePayment(payment._id, 'succeeded', { note: `Cash received by ${req.user.role}`, extra: { collectedBy: req.user.id } });
+    if (!settled) return res.status(409).json({ error: 'Payment was updated by someone else; please refresh' });
+    res.json({ success: true, payment: paymentView(settled) });
+  } catch (error) {
+    if (!error.statusCode) console.error('[PAYMENTS] Error recording cash:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
 });
 
-// Create booking
-app.post('/api/bookings', async (req, res) => {
-  const { pickup, destination, pickupLat, pickupLng, destLat, destLng, priceRange, clientName, clientPhone, notes, serviceType, date, time, estimatedPrice } = req.body;
-  
-  console.log(`[BOOKING] New booking from ${clientName} (${clientPhone})`);
-  console.log(`[BOOKING] MongoDB connection state: ${mongoose.connection.readyState} (0=disconnected, 1=connected, 2=connecting, 3=disconnecting)`);
+app.get('/api/bookings/:id/payments', authenticate, async (req, res) => {
+  try {
+    const booking = await findVisibleBooking(req);
+    const payments = await Payment.find({ booking: booking._id }).sort({ createdAt: -1 });
+    res.json({ paymentStatus: booking.paymentStatus, paymentMethod: booking.paymentMethod, due: bookingAmountDue(booking), payments: payments.map(paymentView) });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
 
-  if (!pickup || !destination || !pickupLat || !pickupLng || !destLat || !destLng) {
-    return res.status(400).json({ error: 'Missing required booking fields' });
+// One payment; ?refresh=true asks the provider for the latest status of a pending one
+app.get('/api/payments/:id', authenticate, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Payment not found' });
+    let payment = await Payment.findById(req.params.id);
+    const booking = payment ? await Booking.findById(payment.booking) : null;
+    if (!payment || !booking || !canViewBooking(req.user, booking)) return res.status(404).json({ error: 'Payment not found' });
+
+    const provider = paymentProviders[payment.provider];
+    if (req.query.refresh === 'true' && payment.status === 'pending' && provider && payment.providerRef) {
+      const result = await provider.status(payment);
+      if (result.status === 'succeeded' || result.status === 'failed') {
+        payment = await settlePayment(payment._id, result.status, { reason: result.reason, note: 'Status check' }) || await Payment.findById(payment._id);
+      }
+    }
+    res.json({ payment: paymentView(payment) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
+});
 
-  // Check DB connection before attempting save
-  if (mongoose.connection.readyState !== 1) {
-    console.error('[BOOKING] MongoDB not ready (state:', mongoose.connection.readyState, ')');
-    return res.status(503).json({ error: 'Database connection unavailable. Please try again.' });
+// Refund a succeeded payment (admin). Body: { reason, manual? }. Cash, and providers without a
+// refund API, are marked refunded with `manual: true` once the money was returned by hand.
+app.post('/api/payments/:id/refund', authenticate, authorize('admin'), async (req, res) => {
+  const { reason, manual } = req.body || {};
+  if (!reason || !String(reason).trim()) return res.status(400).json({ error: 'reason is required' });
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Payment not found' });
+    const payment = await Payment.findById(req.params.id);
+    if (!payment) return res.status(404).json({ error: 'Payment not found' });
+    if (payment.status !== 'succeeded') return res.status(409).json({ error: 'Only succeeded payments can be refunded' });
+
+    const provider = paymentProviders[payment.provider];
+    let refundRef = null;
+    if (!manual) {
+      if (!provider || !provider.refund) return res.status(409).json({ error: 'This payment must be refunded by hand; send manual: true once done' });
+      try {
+        ({ refundRef } = await provider.refund(payment));
+      } catch (err) {
+        console.error(`[PAYMENTS] Refund via ${payment.provider} failed:`, err.message);
+        return res.status(502).json({ error: `Refund failed: ${err.message}` });
+      }
+    }
+
+    const now = new Date();
+    const refunded = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: 'succeeded' },
+      {
+        $set: { status: 'refunded', refundRef, refundReason: String(reason).trim(), refundedBy: req.user.id, updatedAt: now },
+        $push: { history: { status: 'refunded', at: now, note: manual ? 'Refunded by hand' : `Refund ${refundRef}` } }
+      },
+      { new: true }
+    );
+    if (!refunded) return res.status(409).json({ error: 'Payment was updated by someone else; please refresh' });
+    await Booking.updateOne({ _id: payment.booking }, { $set: { paymentStatus: 'refunded', updatedAt: now } });
+    console.log(`[PAYMENTS] Payment ${payment._id} refunded by admin ${req.user.id}`);
+    publishPayment(refunded).catch(e => console.error('[PAYMENTS] Notify error:', e && e.message ? e.message : e));
+    res.json({ success: true, payment: paymentView(refunded) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
   }
+});
 
+// ?status=pending&method=cash&page=1&limit=50, with per-status counts (admin)
+app.get('/api/admin/payments', authenticate, authorize('admin'), async (req, res) => {
   try {
-    const booking = new Booking({
-      name: clientName || 'Anonymous',
-      phone: clientPhone || 'N/A',
-      email: clientPhone || 'N/A',
-      pickup,
-      destination,
-      pickupLat: parseFloat(pickupLat),
-      pickupLng: parseFloat(pickupLng),
-      destLat: parseFloat(destLat),
-      destLng: parseFloat(destLng),
-      serviceType: serviceType || '',
-      date: date || '',
-      time: time || '',
-      estimatedPrice: estimatedPrice || '',
-      notes: notes || '',
-      status: 'pending',
-      priceRange: priceRange || { lower: 0, upper: 0 }
-    });
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const filter = {};
+    if (PAYMENT_STATUSES.includes(req.query.status)) filter.status = req.query.status;
+    if (PAYMENT_METHODS.includes(req.query.method)) filter.method = req.query.method;
+
+    const [payments, total, grouped] = await Promise.all([
+      Payment.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      Payment.countDocuments(filter),
+      Payment.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+    ]);
+    const counts = Object.fromEntries(PAYMENT_STATUSES.map(s => [s, 0]));
+    grouped.forEach(g => { counts[g._id] = g.count; });
+    res.json({ payments: payments.map(paymentView), total, page, limit, counts });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const saved = await booking.save();
-    console.log(`[BOOKING] Booking ${saved._id} created. Status: ${saved.status}`);
+// ============ Receipts ============
+// Every completed trip gets one numbered receipt: a snapshot of the route, driver, vehicle and
+// itemised fare taken at completion, so later edits to the booking or fare rules do not change it.
+// It is emailed (PDF attached) through the job queue and can be downloaded as JSON, HTML or PDF.
+// Numbers come from an atomic counter, so they never repeat; a failed insert leaves a gap instead.
+// Fares are quoted tax-inclusive; RECEIPT_TAX_RATE only splits the tax out on the receipt.
+const RECEIPT_NUMBER_PREFIX = process.env.RECEIPT_NUMBER_PREFIX || 'TLK';
+const RECEIPT_SEQUENCE_KEY = 'receiptSequence';
+const RECEIPT_TAX_NAME = process.env.RECEIPT_TAX_NAME || 'VAT';
+const RECEIPT_TAX_RATE = parseFloat(process.env.RECEIPT_TAX_RATE || '18');
+// Printed on receipts when set, e.g. the company's TIN
+const RECEIPT_TAX_ID = process.env.RECEIPT_TAX_ID || '';
+// Fare lines in the order they are printed; zero amounts are left off
+const RECEIPT_ITEMS = ['flatFare', 'baseFare', 'distanceCharge', 'timeCharge', 'peakSurcharge', 'minimumFareAdjustment', 'waitingCharge', 'rounding'];
+
+const receiptSchema = new mongoose.Schema({
+  number: { type: String, required: true, unique: true },
+  sequence: { type: Number, required: true },
+  booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', required: true, unique: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true },
+  customer: { name: String, phone: String, email: String },
+  trip: {
+    pickup: String,
+    destination: String,
+    serviceType: String,
+    distanceKm: Number,
+    durationMin: Number,
+    waitingMinutes: Number,
+    startedAt: Date,
+    completedAt: Date
+  },
+  driverName: { type: String, default: null },
+  vehicle: { make: String, model: String, colour: String, plate: String },
+  currency: { type: String, default: 'UGX' },
+  items: [{ _id: false, code: String, amount: Number }],
+  tax: { name: String, rate: Number, amount: Number },
+  netAmount: Number,
+  total: { type: Number, required: true },
+  // Payment method when issued; views show the booking's current method and status
+  paymentMethod: String,
+  emailedTo: { type: String, default: null },
+  emailedAt: { type: Date, default: null },
+  issuedAt: { type: Date, default: Date.now, index: true }
+});
 
-    // Broadcast new booking to SSE clients
-    try { sendSseEvent('booking_created', saved.toObject()); } catch (e) { /* ignore */ }
+const Receipt = mongoose.model('Receipt', receiptSchema);
 
-    // Notify admin by email (best-effort) without blocking the HTTP response.
-    // Send asynchronously and log any errors — prevents client hanging on failed SMTP.
+async function nextReceiptSequence() {
+  for (let attempt = 0; ; attempt++) {
     try {
-      sendAdminEmail(saved).catch(e => console.error('[BOOKING] Error sending admin email:', e && e.message ? e.message : e));
-    } catch (e) {
-      console.error('[BOOKING] Error scheduling admin email:', e && e.message ? e.message : e);
+      const setting = await AppSetting.findOneAndUpdate(
+        { key: RECEIPT_SEQUENCE_KEY },
+        { $inc: { value: 1 }, $set: { updatedAt: new Date() } },
+        { upsert: true, new: true }
+      );
+      return setting.value;
+    } catch (err) {
+      // Two first-ever receipts can race to create the counter; the loser just increments it
+      if (!(err && err.code === 11000) || attempt > 0) throw err;
     }
+  }
+}
 
+function formatReceiptNumber(sequence) {
+  return `${RECEIPT_NUMBER_PREFIX}-${String(sequence).padStart(6, '0')}`;
+}
 
-    res.json({
-      success: true,
-      bookingId: saved._id,
-      message: 'Booking created successfully'
-    });
-  } catch (error) {
-    console.error('[BOOKING] Error creating booking:', error.message);
-    console.error('[BOOKING] Error stack:', error.stack);
-    
-    // Provide helpful client error message based on error type
-    let clientMessage = 'Sorry, there was an error submitting your booking. Please try again.';
-    if (error.message && error.message.includes('buffering timed out')) {
-      clientMessage = 'Database connection is slow. Please refresh and try again.';
-    } else if (error.code === 'ECONNREFUSED') {
-      clientMessage = 'Connection error. Please check your internet and try again.';
+// Receipt fields for a completed booking, without the number
+async function receiptSnapshot(booking) {
+  const fare = booking.fare || {};
+  const breakdown = fare.breakdown || {};
+  const [driver, profile] = booking.driver
+    ? await Promise.all([User.findById(booking.driver), DriverProfile.findOne({ user: booking.driver })])
+    : [null, null];
+  const history = booking.statusHistory || [];
+  const started = history.find(h => h.to === 'in_progress');
+  const completed = history.filter(h => h.to === 'completed').pop();
+
+  const total = (fare.finalTotal != null ? fare.finalTotal : fare.total) || 0;
+  const taxAmount = RECEIPT_TAX_RATE > 0 ? Math.round(total * RECEIPT_TAX_RATE / (100 + RECEIPT_TAX_RATE)) : 0;
+  const vehicle = profile && profile.vehicle ? profile.vehicle : {};
+
+  return {
+    booking: booking._id,
+    user: booking.user || null,
+    customer: {
+      name: booking.name,
+      phone: booking.phone && booking.phone !== 'N/A' ? booking.phone : null,
+      email: booking.email && booking.email !== 'N/A' ? booking.email : null
+    },
+    trip: {
+      pickup: booking.pickup,
+      destination: booking.destination,
+      serviceType: booking.serviceType || 'standard',
+      distanceKm: fare.distanceKm != null ? Math.round(fare.distanceKm * 10) / 10 : null,
+      durationMin: fare.durationMin != null ? Math.round(fare.durationMin) : null,
+      waitingMinutes: fare.waitingMinutes || 0,
+      startedAt: started ? started.at : null,
+      completedAt: completed ? completed.at : booking.updatedAt
+    },
+    driverName: driver ? driver.name : null,
+    vehicle: { make: vehicle.make, model: vehicle.model, colour: vehicle.colour, plate: vehicle.plate },
+    currency: fare.currency || 'UGX',
+    items: RECEIPT_ITEMS
+      .map(code => ({ code, amount: (code === 'waitingCharge' ? fare.waitingCharge : breakdown[code]) || 0 }))
+      .filter(item => item.amount !== 0),
+    tax: taxAmount ? { name: RECEIPT_TAX_NAME, rate: RECEIPT_TAX_RATE, amount: taxAmount } : undefined,
+    netAmount: total - taxAmount,
+    total,
+    paymentMethod: booking.paymentMethod || 'cash'
+  };
+}
+
+// Issue the receipt for a completed booking once. Resolves to { receipt, created }.
+async function issueReceipt(booking) {
+  const existing = await Receipt.findOne({ booking: booking._id });
+  if (existing) return { receipt: existing, created: false };
+  if (booking.status !== 'completed') throw httpError(409, 'Receipts are issued once the trip is completed');
+  // Only bookings made before the fare engine lack a fare
+  if (!booking.fare || booking.fare.total == null) throw httpError(409, 'This trip has no fare to put on a receipt');
+
+  const snapshot = await receiptSnapshot(booking);
+  const sequence = await nextReceiptSequence();
+  try {
+    const receipt = await Receipt.create(Object.assign(snapshot, { sequence, number: formatReceiptNumber(sequence) }));
+    console.log(`[RECEIPTS] Issued ${receipt.number} for booking ${booking._id}`);
+    return { receipt, created: true };
+  } catch (err) {
+    // Issued concurrently by another request or instance
+    const other = err && err.code === 11000 ? await Receipt.findOne({ booking: booking._id }) : null;
+    if (other) return { receipt: other, created: false };
+    throw err;
+  }
+}
+
+// Template values under `receipt` (plus the snapshot's completion time) for the receipt templates.
+// `booking` supplies the current payment method and status.
+function receiptTemplateFields(receipt, booking, locale) {
+  const lang = resolveLocale(locale);
+  const formatDate = (d) => d ? new Date(d).toLocaleString(DATE_LOCALES[lang], { timeZone: SERVICE_TIMEZONE }) : '';
+  const money = (amount) => formatMoney(amount, receipt.currency);
+  const trip = receipt.trip || {};
+  const vehicle = receipt.vehicle || {};
+  const vehicleName = [vehicle.colour, vehicle.make, vehicle.model].filter(Boolean).join(' ');
+  const method = booking.paymentMethod || receipt.paymentMethod || 'cash';
+  const status = booking.paymentStatus || 'unpaid';
+
+  return {
+    completedAt: formatDate(trip.completedAt),
+    receipt: {
+      number: receipt.number,
+      issuedAt: formatDate(receipt.issuedAt),
+      startedAt: formatDate(trip.startedAt),
+      taxId: RECEIPT_TAX_ID || null,
+      driver: receipt.driverName || null,
+      vehicle: [vehicleName, vehicle.plate].filter(Boolean).join(', ') || null,
+      distanceKm: trip.distanceKm || null,
+      durationMin: trip.durationMin || null,
+      waitingMinutes: trip.waitingMinutes || 0,
+      items: Object.fromEntries((receipt.items || []).map(item => [item.code, money(item.amount)])),
+      tax: receipt.tax && receipt.tax.amount ? { name: receipt.tax.name, rate: receipt.tax.rate, amount: money(receipt.tax.amount) } : null,
+      net: money(receipt.netAmount != null ? receipt.netAmount : receipt.total),
+      total: money(receipt.total),
+      payment: {
+        [method]: true,
+        paid: status === 'paid',
+        refunded: status === 'refunded',
+        due: status !== 'paid' && status !== 'refunded'
+      }
     }
-    
-    res.status(500).json({ error: clientMessage, detail: error.message });
+  };
+}
+
+// Every variant of the receipt notification for one receipt, in `locale`
+function renderReceipt(receipt, booking, locale) {
+  return renderNotification('receipt', locale, bookingTemplateContext(booking, locale, receiptTemplateFields(receipt, booking, locale)));
+}
+
+// Characters Helvetica's WinAnsiEncoding has outside Latin-1
+const PDF_WIN_ANSI = {
+  '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93,
+  '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97
+};
+
+// PDF string literal in WinAnsi; anything the font cannot show prints as '?'
+function pdfString(text) {
+  let out = '';
+  for (const ch of text) {
+    const mapped = PDF_WIN_ANSI[ch];
+    let code = mapped || ch.codePointAt(0);
+    if (!mapped && (code < 0x20 || (code >= 0x7f && code < 0xa0) || code > 0xff)) code = 0x3f;
+    const c = String.fromCharCode(code);
+    out += c === '(' || c === ')' || c === '\\' ? `\\${c}` : c;
+  }
+  return `(${out})`;
+}
+
+function wrapText(text, width) {
+  const lines = [];
+  for (const paragraph of text.split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(' ')) {
+      if (line && line.length + word.length + 1 > width) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = line ? `${line} ${word}` : word;
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+// A4 PDF of a bold title and plain text in Helvetica, continuing onto more pages as needed.
+// Hand-written so receipts need no PDF library; enough for text documents only.
+function renderTextPdf(title, text) {
+  const top = 792;
+  const bottom = 50;
+  const pages = [];
+  let ops = [`BT /F2 16 Tf 50 ${top} Td ${pdfString(title)} Tj ET`];
+  let y = top - 32;
+  for (const line of wrapText(text, 95)) {
+    if (y < bottom) {
+      pages.push(ops);
+      ops = [];
+      y = top;
+    }
+    if (line) ops.push(`BT /F1 10 Tf 50 ${y} Td ${pdfString(line)} Tj ET`);
+    y -= 14;
+  }
+  pages.push(ops);
+
+  // Object n is objects[n - 1]; the page tree (2) is filled in once the pages are numbered
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    null,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+  ];
+  const kids = [];
+  for (const pageOps of pages) {
+    const stream = pageOps.join('\n');
+    objects.push(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${objects.length} 0 R >>`);
+    kids.push(`${objects.length} 0 R`);
+  }
+  objects[1] = `<< /Type /Pages /Kids [${kids.join(' ')}] /Count ${kids.length} >>`;
+
+  // Every character is a single byte (latin1), so string lengths are byte offsets
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+function receiptPdf(rendered) {
+  return renderTextPdf(rendered.subject, rendered.text);
+}
+
+// Queue the receipt email with the PDF attached. Without `to` it goes to the customer (if they take
+// email) once per receipt, and a text summary follows on the channels they opted into.
+async function sendReceipt(receipt, booking, { to } = {}) {
+  const contact = await bookingContact(booking);
+  const rendered = renderReceipt(receipt, booking, contact.locale);
+  const email = to || (contact.prefs.email ? contact.email : null);
+
+  if (email) {
+    const message = {
+      from: mailFromAddress(),
+      to: email,
+      subject: rendered.subject,
+      text: rendered.text,
+      html: rendered.html,
+      attachments: [{ filename: `${receipt.number}.pdf`, content: receiptPdf(rendered).toString('base64'), encoding: 'base64', contentType: 'application/pdf' }]
+    };
+    await enqueueJob('email', message, { bookingId: booking._id, uniqueKey: to ? undefined : `receipt-email:${receipt._id}` });
+    await Receipt.updateOne({ _id: receipt._id }, { $set: { emailedTo: email, emailedAt: new Date() } });
+    console.log(`[RECEIPTS] Queued ${receipt.number} for ${email}`);
+  }
+  if (to) return;
+
+  const jobs = [];
+  if (rendered.sms && contact.prefs.sms && contact.phone) jobs.push(deliverTextMessage('sms', contact.phone, rendered.sms, booking._id));
+  if (rendered.sms && contact.prefs.whatsapp && contact.whatsapp) jobs.push(deliverTextMessage('whatsapp', contact.whatsapp, rendered.sms, booking._id));
+  await Promise.all(jobs);
+}
+
+async function issueReceiptOnCompletion(booking) {
+  const { receipt, created } = await issueReceipt(booking);
+  if (created) await sendReceipt(receipt, booking);
+}
+
+function receiptView(receipt, booking) {
+  const r = receipt.toObject ? receipt.toObject() : Object.assign({}, receipt);
+  delete r.__v;
+  if (booking) {
+    r.paymentMethod = booking.paymentMethod || r.paymentMethod;
+    r.paymentStatus = booking.paymentStatus;
+  }
+  return r;
+}
+
+// The receipt for a completed trip (client or admin). ?format=html|pdf returns the document,
+// otherwise JSON; ?locale= overrides the customer's language. Trips completed before receipts
+// existed get theirs issued here.
+app.get('/api/bookings/:id/receipt', authenticate, authorize('client', 'admin'), async (req, res) => {
+  try {
+    const booking = await findVisibleBooking(req);
+    const { receipt } = await issueReceipt(booking);
+    if (req.query.format !== 'html' && req.query.format !== 'pdf') {
+      return res.json({ receipt: receiptView(receipt, booking) });
+    }
+
+    const locale = req.query.locale ? resolveLocale(req.query.locale) : (await bookingContact(booking)).locale;
+    const rendered = renderReceipt(receipt, booking, locale);
+    if (req.query.format === 'html') return res.type('html').send(rendered.html);
+    res.set('Content-Disposition', `attachment; filename="${receipt.number}.pdf"`);
+    res.type('pdf').send(receiptPdf(rendered));
+  } catch (error) {
+    if (!error.statusCode) console.error('[RECEIPTS] Error loading receipt:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
-// Get all bookings (admin)
-app.get('/api/bookings', async (req, res) => {
+// Email the receipt again. Body: { email? } (the customer's address by default), e.g. for expenses.
+app.post('/api/bookings/:id/receipt/email', authenticate, authorize('client', 'admin'), async (req, res) => {
+  const email = req.body && req.body.email ? String(req.body.email).trim() : null;
+  if (email && !EMAIL_PATTERN.test(email)) return res.status(400).json({ error: 'Invalid email address' });
   try {
-    const bookings = await Booking.find().sort({ createdAt: -1 });
-    console.log(`[ADMIN] Fetching ${bookings.length} bookings`);
-    
-    res.json(bookings.map(b => ({
-      _id: b._id,
-      id: b._id.toString(),
-      name: b.name,
-      phone: b.phone,
-      pickup: b.pickup,
-      destination: b.destination,
-      date: b.date,
-      time: b.time,
-      serviceType: b.serviceType,
-      status: b.status,
-      estimatedPrice: b.estimatedPrice,
-      createdAt: b.createdAt,
-      priceRange: b.priceRange || { lower: 0, upper: 0 }
-    })));
+    const booking = await findVisibleBooking(req);
+    const { receipt } = await issueReceipt(booking);
+    const to = email || (await bookingContact(booking)).email;
+    if (!to) return res.status(400).json({ error: 'No email address on this booking; please provide one' });
+    await sendReceipt(receipt, booking, { to });
+    res.json({ success: true, number: receipt.number, emailedTo: to });
   } catch (error) {
-    console.error('[ADMIN] Error fetching bookings:', error.message);
-    res.status(500).json({ error: error.message });
+    if (!error.statusCode) console.error('[RECEIPTS] Error emailing receipt:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
-// Get single booking
-app.get('/api/bookings/:id', async (req, res) => {
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD&page=1&limit=50 by issue date, with totals per currency (admin)
+app.get('/api/admin/receipts', authenticate, authorize('admin'), async (req, res) => {
   try {
-    const booking = await Booking.findById(req.params.id);
-    
-    if (!booking) {
-      return res.status(404).json({ error: 'Booking not found' });
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const filter = {};
+    for (const [param, op, time] of [['from', '$gte', '00:00'], ['to', '$lte', '23:59']]) {
+      if (!req.query[param]) continue;
+      const at = parseLocalDateTime(req.query[param], time);
+      if (!at) return res.status(400).json({ error: `${param} must be a date (YYYY-MM-DD)` });
+      filter.issuedAt = Object.assign(filter.issuedAt || {}, { [op]: op === '$lte' ? new Date(at.getTime() + 59999) : at });
     }
 
-    res.json(booking);
+    const [receipts, total, totals] = await Promise.all([
+      Receipt.find(filter).sort({ sequence: -1 }).skip((page - 1) * limit).limit(limit),
+      Receipt.countDocuments(filter),
+      Receipt.aggregate([
+        { $match: filter },
+        { $group: { _id: '$currency', count: { $sum: 1 }, total: { $sum: '$total' }, tax: { $sum: '$tax.amount' } } }
+      ])
+    ]);
+    res.json({
+      receipts: receipts.map(r => receiptView(r)),
+      total,
+      page,
+      limit,
+      totals: totals.map(t => ({ currency: t._id, count: t.count, total: t.total, tax: t.tax }))
+    });
   } catch (error) {
-    console.error('[BOOKING] Error fetching booking:', error.message);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Update booking status (PATCH)
-app.patch('/api/bookings/:id', async (req, res) => {
+// ============ Ratings ============
+// After a completed trip the client rates the driver and the driver rates the client, once each:
+// 1-5 stars, optional tags from the rated side's list and a comment. Each user's profile keeps the
+// average of the last RATING_AVERAGE_WINDOW ratings they received, recomputed from the ratings on
+// every new one. Ratings at or below RATING_LOW_STARS are flagged to admins.
+const RATING_TAGS = {
+  // What clients can say about drivers
+  driver: ['safe_driving', 'friendly', 'clean_vehicle', 'on_time', 'knows_the_way', 'late', 'unsafe_driving', 'rude', 'dirty_vehicle', 'wrong_route', 'overcharged'],
+  // What drivers can say about clients
+  client: ['polite', 'on_time', 'clear_pickup', 'late', 'rude', 'hard_to_reach', 'wrong_pickup', 'damaged_vehicle']
+};
+const RATING_AVERAGE_WINDOW = parseInt(process.env.RATING_AVERAGE_WINDOW || '100', 10);
+const RATING_LOW_STARS = parseInt(process.env.RATING_LOW_STARS || '2', 10);
+const RATING_COMMENT_MAX = 500;
+
+const ratingSchema = new mongoose.Schema({
+  booking: { type: mongoose.Schema.Types.ObjectId, ref: 'Booking', required: true },
+  rater: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  raterRole: { type: String, enum: ['client', 'driver'], required: true },
+  ratee: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  rateeRole: { type: String, enum: ['client', 'driver'], required: true },
+  stars: { type: Number, min: 1, max: 5, required: true },
+  tags: [String],
+  comment: { type: String, default: '' },
+  createdAt: { type: Date, default: Date.now }
+});
+// One rating per party per trip
+ratingSchema.index({ booking: 1, raterRole: 1 }, { unique: true });
+ratingSchema.index({ ratee: 1, createdAt: -1 });
+ratingSchema.index({ stars: 1, createdAt: -1 });
+
+const Rating = mongoose.model('Rating', ratingSchema);
+
+// Validate { stars, tags, comment } for rating someone with `rateeRole`; returns { rating } or { error }
+function parseRatingInput(body, rateeRole) {
+  const stars = Number(body.stars);
+  if (!Number.isInteger(stars) || stars < 1 || stars > 5) return { error: 'stars must be a whole number from 1 to 5' };
+  const tags = body.tags === undefined ? [] : body.tags;
+  if (!Array.isArray(tags)) return { error: 'tags must be an array' };
+  const unknown = tags.filter(t => !RATING_TAGS[rateeRole].includes(t));
+  if (unknown.length) return { error: `Unknown tags: ${unknown.join(', ')}. Allowed: ${RATING_TAGS[rateeRole].join(', ')}` };
+  const comment = body.comment === undefined || body.comment === null ? '' : String(body.comment).trim();
+  if (comment.length > RATING_COMMENT_MAX) return { error: `comment must be at most ${RATING_COMMENT_MAX} characters` };
+  return { rating: { stars, tags: [...new Set(tags)], comment } };
+}
+
+// Who `actor` would rate on this booking: { raterRole, rateeRole, ratee }. Throws when they cannot rate it.
+function ratingParties(booking, actor) {
+  if (actor.role === 'client') {
+    if (!canViewBooking(actor, booking)) throw httpError(404, 'Booking not found');
+    if (!booking.driver) throw httpError(409, 'This trip had no driver to rate');
+    return { raterRole: 'client', rateeRole: 'driver', ratee: booking.driver };
+  }
+  if (actor.role === 'driver') {
+    if (!booking.driver || booking.driver.toString() !== actor.id) throw httpError(404, 'Booking not found');
+    // Guest bookings have no account to attach a rating to
+    if (!booking.user) throw httpError(409, 'This customer has no account to rate');
+    return { raterRole: 'driver', rateeRole: 'client', ratee: booking.user };
+  }
+  throw httpError(403, 'Only the client and the driver can rate a trip');
+}
+
+// Recompute a user's rolling average from their latest ratings
+async function refreshUserRating(userId) {
+  const ratee = new mongoose.Types.ObjectId(String(userId));
+  const [recent, count] = await Promise.all([
+    Rating.aggregate([
+      { $match: { ratee } },
+      { $sort: { createdAt: -1 } },
+      { $limit: RATING_AVERAGE_WINDOW },
+      { $group: { _id: null, average: { $avg: '$stars' } } }
+    ]),
+    Rating.countDocuments({ ratee })
+  ]);
+  const average = recent.length ? Math.round(recent[0].average * 100) / 100 : null;
+  await User.updateOne({ _id: ratee }, { $set: { 'rating.average': average, 'rating.count': count, 'rating.updatedAt': new Date() } });
+  return { average, count };
+}
+
+function ratingView(rating) {
+  const r = rating.toObject ? rating.toObject() : Object.assign({}, rating);
+  delete r.__v;
+  return r;
+}
+
+// Body: { stars: 1-5, tags?: [...], comment? }. The client rates the driver, the driver rates the client.
+app.post('/api/bookings/:id/rating', authenticate, authorize('client', 'driver'), async (req, res) => {
   try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Booking not found' });
     const booking = await Booking.findById(req.params.id);
-    
-    if (!booking) {
-      return res.status(404).json({ error: 'Booking not found' });
-    }
+    if (!booking) return res.status(404).json({ error: 'Booking not found' });
+    const parties = ratingParties(booking, req.user);
+    if (booking.status !== 'completed') return res.status(409).json({ error: 'Trips can be rated once they are completed' });
 
-    const { status, driver } = req.body;
+    const { rating: input, error } = parseRatingInput(req.body || {}, parties.rateeRole);
+    if (error) return res.status(400).json({ error });
 
-    if (status) {
-      booking.status = status;
-      booking.updatedAt = Date.now();
-      console.log(`[BOOKING] Booking ${booking._id} status updated to: ${status}`);
+    let rating;
+    try {
+      rating = await Rating.create(Object.assign({ booking: booking._id, rater: req.user.id }, parties, input));
+    } catch (err) {
+      if (err && err.code === 11000) return res.status(409).json({ error: 'You have already rated this trip' });
+      throw err;
     }
+    await Booking.updateOne({ _id: booking._id }, { $set: { [parties.raterRole === 'client' ? 'rating.byClient' : 'rating.byDriver']: rating.stars } });
+    const summary = await refreshUserRating(parties.ratee);
+    console.log(`[RATINGS] Booking ${booking._id}: ${parties.raterRole} gave ${rating.stars} star(s)`);
 
-    if (driver) {
-      booking.driver = driver;
-      console.log(`[BOOKING] Booking ${booking._id} assigned to driver: ${driver}`);
+    if (rating.stars <= RATING_LOW_STARS) {
+      const view = ratingView(rating);
+      try { sendSseEvent('rating_low', view, user => user.role === 'admin' ? view : null); } catch (e) { /* ignore */ }
     }
-
-    const saved = await booking.save();
-    
-    // notify SSE clients about update
-    try { sendSseEvent('booking_updated', saved.toObject()); } catch (e) { /* ignore */ }
-
-    res.json({ success: true, booking: saved });
+    res.status(201).json({ success: true, rating: ratingView(rating), rateeRating: summary });
   } catch (error) {
-    console.error('[BOOKING] Error updating booking:', error.message);
-    res.status(500).json({ error: error.message });
+    if (!error.statusCode) console.error('[RATINGS] Error saving rating:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
-// Confirm booking (POST /api/bookings/:id/confirm)
-app.post('/api/bookings/:id/confirm', async (req, res) => {
+// The caller's own rating for a trip, whether they can still give one and the tags to pick from.
+// Admins get both ratings.
+app.get('/api/bookings/:id/rating', authenticate, async (req, res) => {
   try {
-    const booking = await Booking.findById(req.params.id);
+    const booking = await findVisibleBooking(req);
+    if (req.user.role === 'admin') {
+      const ratings = await Rating.find({ booking: booking._id });
+      return res.json({ ratings: ratings.map(ratingView) });
+    }
+    const parties = ratingParties(booking, req.user);
+    const mine = await Rating.findOne({ booking: booking._id, raterRole: parties.raterRole });
+    res.json({
+      rating: mine ? ratingView(mine) : null,
+      canRate: !mine && booking.status === 'completed',
+      tags: RATING_TAGS[parties.rateeRole]
+    });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
 
-    if (!booking) {
-      return res.status(404).json({ error: 'Booking not found' });
+// Low-rated trips, newest first (admin). Query: maxStars (default RATING_LOW_STARS), role (who was
+// rated: driver|client), userId (ratings one user received), from/to (YYYY-MM-DD), page, limit.
+app.get('/api/admin/ratings/low', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const maxStars = req.query.maxStars !== undefined ? parseInt(req.query.maxStars, 10) : RATING_LOW_STARS;
+    if (!Number.isInteger(maxStars) || maxStars < 1 || maxStars > 5) return res.status(400).json({ error: 'maxStars must be 1-5' });
+    const filter = { stars: { $lte: maxStars } };
+    if (req.query.role) {
+      if (!RATING_TAGS[req.query.role]) return res.status(400).json({ error: 'role must be driver or client' });
+      filter.rateeRole = req.query.role;
     }
+    if (req.query.userId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.userId)) return res.status(400).json({ error: 'Invalid userId' });
+      filter.ratee = req.query.userId;
+    }
+    for (const [param, op, time] of [['from', '$gte', '00:00'], ['to', '$lte', '23:59']]) {
+      if (!req.query[param]) continue;
+      const at = parseLocalDateTime(req.query[param], time);
+      if (!at) return res.status(400).json({ error: `${param} must be a date (YYYY-MM-DD)` });
+      filter.createdAt = Object.assign(filter.createdAt || {}, { [op]: op === '$lte' ? new Date(at.getTime() + 59999) : at });
+    }
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const [ratings, total] = await Promise.all([
+      Rating.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit)
+        .populate('booking', 'pickup destination date time status driver user')
+        .populate('rater', 'name phone role')
+        .populate('ratee', 'name phone role rating'),
+      Rating.countDocuments(filter)
+    ]);
+    res.json({ ratings: ratings.map(ratingView), total, page, limit, maxStars });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    booking.status = 'confirmed';
-    booking.updatedAt = Date.now();
-    const saved = await booking.save();
-    
-    console.log(`[BOOKING] Booking ${saved._id} confirmed via /confirm`);
+// ============ Driver Endpoints ============
+
+// Shape a booking for the driver app; contact details only once the ride is theirs
+function toDriverView(b, driverId) {
+  const isMine = b.driver && b.driver.toString() === driverId;
+  return {
+    _id: b._id,
+    id: b._id.toString(),
+    name: b.name,
+    phone: isMine ? b.phone : undefined,
+    whatsapp: isMine ? (b.whatsapp || b.phone) : undefined,
+    pickup: b.pickup,
+    destination: b.destination,
+    pickupLat: b.pickupLat,
+    pickupLng: b.pickupLng,
+    destLat: b.destLat,
+    destLng: b.destLng,
+    date: b.date,
+    time: b.time,
+    serviceType: b.serviceType,
+    status: b.status,
+    estimatedPrice: b.estimatedPrice,
+    priceRange: b.priceRange || { lower: 0, upper: 0 },
+    driverAcceptedAt: b.driverAcceptedAt,
+    paymentMethod: b.paymentMethod,
+    paymentStatus: b.paymentStatus,
+    // Set while the dispatcher is waiting for this driver to answer
+    offerExpiresAt: b.dispatch && b.dispatch.state === 'offered' && String(b.dispatch.offeredTo) === driverId ? b.dispatch.offerExpiresAt : undefined,
+    createdAt: b.createdAt
+  };
+}
+
+// List ride requests the driver can accept
+app.get('/api/driver/requests', authenticate, authorize('driver'), async (req, res) => {
+  try {
+    const bookings = await Booking.find(openRequestsFilter(req.user.id)).sort({ createdAt: -1 });
 
-    // broadcast update
-    try { sendSseEvent('booking_confirmed', saved.toObject()); } catch (e) { /* ignore */ }
+    console.log(`[DRIVER] ${bookings.length} open requests for driver ${req.user.id}`);
+    res.json(bookings.map(b => toDriverView(b, req.user.id)));
+  } catch (error) {
+    console.error('[DRIVER] Error fetching requests:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    // Send confirmation email to client asynchronously (don't block response)
+// Accept a ride request. The conditional update guarantees only one driver wins.
+app.post('/api/driver/requests/:id/accept', authenticate, authorize('driver'), requireActiveDriver, async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Booking not found' });
+  try {
+    if (!req.driverProfile.online) {
+      return res.status(403).json({ error: 'Go online to accept rides', code: 'DRIVER_OFFLINE' });
+    }
+    let saved;
     try {
-      sendClientConfirmationEmail(saved).catch(e => console.error('[BOOKING] Error sending client confirmation:', e && e.message ? e.message : e));
-    } catch (e) {
-      console.error('[BOOKING] Error scheduling client confirmation email:', e && e.message ? e.message : e);
+      saved = await transitionBooking(req.params.id, 'assigned', req.user, {
+        note: 'Accepted by driver',
+        extra: { driver: req.user.id, driverAcceptedAt: new Date() },
+        // While dispatch is running only the driver holding the offer may take the ride
+        match: { $or: openRequestsFilter(req.user.id).$or }
+      });
+    } catch (err) {
+      // Lost the race or the ride moved on: report it as taken rather than a lifecycle error
+      if (err.statusCode === 409) return res.status(409).json({ error: 'This ride is no longer available' });
+      throw err;
     }
 
-    res.json(saved);
+    await closeDispatchOffer(saved._id, req.user.id, 'accepted');
+    console.log(`[DRIVER] Booking ${saved._id} accepted by driver ${req.user.id}`);
+    res.json({ success: true, booking: toDriverView(saved, req.user.id) });
   } catch (error) {
-    console.error('[BOOKING] Error confirming booking:', error.message);
-    res.status(500).json({ error: error.message });
+    console.error('[DRIVER] Error accepting request:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 });
 
-// Delete booking
-app.delete('/api/bookings/:id', async (req, res) => {
+// Trips assigned to the driver that are not finished yet
+app.get('/api/driver/trips', authenticate, authorize('driver'), async (req, res) => {
   try {
-    const booking = await Booking.findByIdAndDelete(req.params.id);
-    
-    if (!booking) {
-      return res.status(404).json({ error: 'Booking not found' });
-    }
+    const bookings = await Booking.find({
+      driver: req.user.id,
+      status: { $in: ACTIVE_TRIP_STATUSES }
+    }).sort({ driverAcceptedAt: -1 });
 
-    console.log(`[BOOKING] Booking ${booking._id} deleted`);
-    res.json({ success: true, message: 'Booking deleted' });
+    res.json(bookings.map(b => toDriverView(b, req.user.id)));
   } catch (error) {
-    console.error('[BOOKING] Error deleting booking:', error.message);
+    console.error('[DRIVER] Error fetching trips:', error.message);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Clear all bookings (for testing/demo only - consider removing in production)
-app.post('/api/bookings/clear-all', async (req, res) => {
+// Reject a ride request so it is no longer offered to this driver
+app.post('/api/driver/requests/:id/reject', authenticate, authorize('driver'), requireActiveDriver, async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Booking not found' });
   try {
-    await Booking.deleteMany({});
-    console.log('[BOOKING] All bookings cleared');
-    res.json({ success: true, message: 'All bookings cleared' });
+    // Only rides this driver could currently accept can be turned down
+    const saved = await Booking.findOneAndUpdate(
+      Object.assign({ _id: req.params.id }, openRequestsFilter(req.user.id)),
+      { $addToSet: { rejectedBy: req.user.id } },
+      { new: true }
+    );
+
+    if (!saved) {
+      return res.status(404).json({ error: 'Booking not found' });
+    }
+
+    console.log(`[DRIVER] Booking ${saved._id} rejected by driver ${req.user.id}`);
+    if (await closeDispatchOffer(saved._id, req.user.id, 'rejected')) {
+      offerNextDriver(saved._id).catch(e => console.error('[DISPATCH] Error:', e && e.message ? e.message : e));
+    }
+    res.json({ success: true });
   } catch (error) {
-    console.error('[BOOKING] Error clearing bookings:', error.message);
+    console.error('[DRIVER] Error rejecting request:', error.message);
     res.status(500).json({ error: error.message });
   }
 });
 
+// ============ One-Time Codes ============
+// Short numeric codes for password reset, phone verification and passwordless client login.
+// Only an HMAC of the code is stored; codes expire, allow a few guesses and are single use.
+const OTP_PURPOSES = ['password_reset', 'phone_verify', 'login'];
+const OTP_LENGTH = 6;
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES || '10', 10);
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS || '5', 10);
+const OTP_RESEND_SECONDS = parseInt(process.env.OTP_RESEND_SECONDS || '60', 10);
+const OTP_LOGIN_ENABLED = (process.env.OTP_LOGIN_ENABLED || 'true').toLowerCase() !== 'false';
+
+const otpCodeSchema = new mongoose.Schema({
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  purpose: { type: String, enum: OTP_PURPOSES, required: true },
+  channel: { type: String, enum: ['sms', 'email'], required: true },
+  codeHash: { type: String, required: true },
+  attempts: { type: Number, default: 0 },
+  consumedAt: { type: Date, default: null },
+  expiresAt: { type: Date, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+otpCodeSchema.index({ user: 1, purpose: 1, createdAt: -1 });
+otpCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OtpCode = mongoose.model('OtpCode', otpCodeSchema);
+
+function hashOtp(code) {
+  return crypto.createHmac('sha256', JWT_SECRET).update(code).digest('hex');
+}
+
+// Generate a code for `purpose`, replacing any earlier one, and send it by SMS or email.
+// Throws 429 when a code was sent less than OTP_RESEND_SECONDS ago.
+async function issueOtp(user, purpose, channel) {
+  const recent = await OtpCode.findOne({ user: user._id, purpose, consumedAt: null }).sort({ createdAt: -1 });
+  if (recent && Date.now() - recent.createdAt.getTime() < OTP_RESEND_SECONDS * 1000) {
+    throw httpError(429, `Please wait ${OTP_RESEND_SECONDS} seconds before requesting another code`);
+  }
+
+  const code = crypto.randomInt(0, Math.pow(10, OTP_LENGTH)).toString().padStart(OTP_LENGTH, '0');
+  await OtpCode.deleteMany({ user: user._id, purpose });
+  await OtpCode.create({
+    user: user._id,
+    purpose,
+    channel,
+    codeHash: hashOtp(code),
+    expiresAt: new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000)
+  });
+
+  const locale = resolveLocale(user.locale);
+  const context = {
+    brand: process.env.FROM_EMAIL || 'Teleka Taxi',
+    domain: process.env.DOMAIN || `http://localhost:${PORT}`,
+    name: user.name,
+    code,
+    minutes: OTP_TTL_MINUTES,
+    purpose
+  };
+  // Sent directly rather than queued: a code that arrives after it expires is useless
+  if (channel === 'sms') {
+    await sendTextMessage('sms', user.phone, renderNotification('otp', locale, context).sms);
+  } else {
+    await sendTemplatedEmail(user.email, 'otp', locale, context, null);
+  }
+  console.log(`[OTP] ${purpose} code sent to user ${user._id} by ${channel}`);
+}
+
+// Check a code and mark it used; throws 400 for wrong/expired codes and 429 once attempts run out
+async function verifyOtp(user, purpose, code) {
+  const otp = await OtpCode.findOne({ user: user._id, purpose, consumedAt: null, expiresAt: { $gt: new Date() } }).sort({ createdAt: -1 });
+  if (!otp) throw httpError(400, 'Code expired or not found. Please request a new one.');
+
+  // Use up an attempt before comparing, atomically, so concurrent guesses cannot exceed the limit
+  const claimed = await OtpCode.findOneAndUpdate(
+    { _id: otp._id, consumedAt: null, attempts: { $lt: OTP_MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!claimed) throw httpError(429, 'Too many attempts. Please request a new code.');
+
+  const given = Buffer.from(hashOtp(String(code || '').trim()));
+  const expected = Buffer.from(claimed.codeHash);
+  if (!crypto.timingSafeEqual(given, expected)) throw httpError(400, 'Invalid code');
+
+  // Conditional update so a code cannot be redeemed twice by concurrent requests
+  const consumed = await OtpCode.findOneAndUpdate({ _id: otp._id, consumedAt: null }, { $set: { consumedAt: new Date() } });
+  if (!consumed) throw httpError(400, 'Code already used');
+}
+
+// Account for a phone number or email typed by the user
+function findUserByContact(identifier) {
+  const value = (identifier || '').toString().trim();
+  if (!value) return null;
+  if (value.includes('@')) return User.findOne({ email: { $in: [value, value.toLowerCase()] } });
+  const phones = [value];
+  const normalized = normalizePhone(value);
+  if (normalized && normalized !== value) phones.push(normalized);
+  return User.findOne({ phone: { $in: phones } });
+}
+
 // ============ Authentication Endpoints ============
 
+function publicUser(user) {
+  const rating = user.rating && user.rating.count ? { average: user.rating.average, count: user.rating.count } : null;
+  return { id: user._id, name: user.name, phone: user.phone, email: user.email, role: user.role, phoneVerified: user.phoneVerified === true, rating };
+}
+
 // Register
-app.post('/api/auth/register', async (req, res) => {
-  const { name, phone, email, password } = req.body;
+app.post('/api/auth/register', authRateLimit, async (req, res) => {
+  const { name, email, password } = req.body;
 
-  if (!phone || !password) {
+  if (!req.body.phone || !password) {
     return res.status(400).json({ error: 'Phone and password are required' });
   }
+  const phone = normalizePhone(req.body.phone);
+  if (!phone || !/^\+\d{9,15}$/.test(phone)) {
+    return res.status(400).json({ error: 'Invalid phone number' });
+  }
+  if (email && !EMAIL_PATTERN.test(String(email).trim())) {
+    return res.status(400).json({ error: 'Invalid email address' });
+  }
 
   try {
-    // Build query: check by phone or email (if provided)
-    const existsQuery = email ? { $or: [{ phone }, { email }] } : { phone };
+    // Build query: check by phone (as typed or normalized) or email (if provided)
+    const phones = [...new Set([String(req.body.phone).trim(), phone])];
+    const existsQuery = email ? { $or: [{ phone: { $in: phones } }, { email }] } : { phone: { $in: phones } };
 
     // Check if user already exists
     let user = await User.findOne(existsQuery);
@@ -808,30 +6160,23 @@ app.post('/api/auth/register', async (req, res) => {
       phone,
       email: email || undefined,
       password,
-      role: 'client'
+      role: 'client',
+      locale: resolveLocale(req.body.locale),
+      phoneVerified: false
     });
 
     const saved = await user.save();
     console.log(`[AUTH] New user registered: ${saved.phone} ${saved.email ? '<' + saved.email + '>' : ''}`);
 
-    // Create JWT token
-    const token = jwt.sign(
-      { id: saved._id.toString(), phone: saved.phone, role: saved.role },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRY }
-    );
+    // Verification code goes out in the background; the client can ask for another one
+    issueOtp(saved, 'phone_verify', 'sms').catch(e => console.error('[OTP] Failed to send verification code:', e && e.message ? e.message : e));
 
     res.json({
       success: true,
-      token,
-      user: {
-        id: saved._id,
-        name: saved.name,
-        phone: saved.phone,
-        email: saved.email,
-        role: saved.role
-      },
-      message: 'User registered successfully'
+      ...(await startSession(saved, req)),
+      user: publicUser(saved),
+      phoneVerificationRequired: true,
+      message: 'User registered successfully. Enter the code sent to your phone to verify it.'
     });
   } catch (error) {
     console.error('[AUTH] Register error:', error.stack || error.message);
@@ -840,7 +6185,7 @@ app.post('/api/auth/register', async (req, res) => {
 });
 
 // Login
-app.post('/api/auth/login', async (req, res) => {
+app.post('/api/auth/login', authRateLimit, async (req, res) => {
   const { identifier, password } = req.body;
   
   // Trim whitespace from inputs
@@ -854,90 +6199,26 @@ app.post('/api/auth/login', async (req, res) => {
     return res.status(400).json({ error: 'Identifier and password are required' });
   }
 
-  try {
-    // Master admin bypass: if the request uses the ADMIN_PASS, ensure admin exists and log in
-    const adminPass = process.env.ADMIN_PASS || 'Admin7763';
-    const adminName = (process.env.ADMIN_NAME || 'admin').toString();
-    const adminEmail = (process.env.ADMIN_EMAIL || 'emouisaac1@gmail.com').toString();
-    const adminPhone = (process.env.ADMIN_PHONE || '2567XXXXXXX').toString();
-
-    if (trimmedPassword === adminPass && (
-      trimmedIdentifier.toLowerCase() === adminName.toLowerCase() ||
-      trimmedIdentifier.toLowerCase() === adminEmail.toLowerCase() ||
-      trimmedIdentifier === adminPhone ||
-      trimmedIdentifier.toLowerCase() === 'admin'
-    )) {
-      console.log('[AUTH] Master admin credentials provided — ensuring admin user exists');
-
-      // Try to find an existing admin first
-      let admin = await User.findOne({ role: 'admin' });
-
-      // If no admin by role, try to find a user with the admin email/phone/name
-      if (!admin) {
-        admin = await User.findOne({
-          $or: [
-            { email: adminEmail },
-            { phone: adminPhone },
-            { name: { $regex: `^${adminName}$`, $options: 'i' } }
-          ]
-        });
-      }
-
-      if (admin) {
-        // Promote existing user to admin and ensure contact fields are present
-        admin.role = 'admin';
-        admin.email = admin.email || adminEmail;
-        admin.phone = admin.phone || adminPhone;
-        admin.name = admin.name || adminName;
-        // If password differs, overwrite so master pass always works (will be hashed by pre-save)
-        admin.password = admin.password ? admin.password : adminPass;
-        try {
-          await admin.save();
-          console.log('[AUTH] Promoted existing user to admin for master login:', { name: admin.name, email: admin.email, phone: admin.phone });
-        } catch (e) {
-          console.error('[AUTH] Error saving promoted admin user:', e.message);
-          // Continue — we'll still issue token if possible
-        }
-      } else {
-        // No matching user, create a new admin
-        admin = new User({ name: adminName, phone: adminPhone, email: adminEmail, password: adminPass, role: 'admin' });
-        try {
-          await admin.save();
-          console.log('[AUTH] Created admin user via master login:', { name: admin.name, email: admin.email, phone: admin.phone });
-        } catch (e) {
-          console.error('[AUTH] Error creating admin user via master login:', e.message);
-          // If duplicate key error occurs, try to find conflicting user and promote it
-          if (e.code === 11000) {
-            const conflict = await User.findOne({ $or: [{ email: adminEmail }, { phone: adminPhone }] });
-            if (conflict) {
-              conflict.role = 'admin';
-              conflict.name = conflict.name || adminName;
-              try { await conflict.save(); admin = conflict; console.log('[AUTH] Resolved duplicate by promoting conflicting user:', { id: conflict._id }); } catch (e2) { console.error('[AUTH] Failed to promote conflicting user:', e2.message); }
-            }
-          }
-        }
-      }
-
-      // Issue token for admin
-      const token = jwt.sign({ id: admin._id.toString(), phone: admin.phone, role: admin.role }, JWT_SECRET, { expiresIn: JWT_EXPIRY });
-      return res.json({ success: true, token, user: { id: admin._id, name: admin.name, phone: admin.phone, email: admin.email, role: admin.role } });
-    }
+  const locked = await loginLockout(trimmedIdentifier);
+  if (locked) {
+    console.log(`[AUTH] Login blocked for locked identifier: "${trimmedIdentifier}"`);
+    return rateLimitedResponse(res, locked.resetAt, 'Too many failed attempts. Please try again later or reset your password.');
+  }
 
+  try {
     // Find user by phone, email, or name (admin id)
     // Use regex for case-insensitive name matching
     const user = await User.findOne({ 
       $or: [
-        { phone: trimmedIdentifier }, 
+        { phone: { $in: [trimmedIdentifier, normalizePhone(trimmedIdentifier)].filter(Boolean) } }, 
         { email: trimmedIdentifier },
-        { name: { $regex: `^${trimmedIdentifier}$`, $options: 'i' } }
+        { name: { $regex: `^${escapeRegex(trimmedIdentifier)}$`, $options: 'i' } }
       ] 
     });
 
     if (!user) {
       console.log(`[AUTH] User not found for identifier: "${trimmedIdentifier}"`);
-      // List all users for debugging (remove in production)
-      const allUsers = await User.find({}, { name: 1, phone: 1, email: 1, role: 1 });
-      console.log('[AUTH] Available users:', allUsers.map(u => ({ name: u.name, phone: u.phone, email: u.email, role: u.role })));
+      await recordLoginFailure(trimmedIdentifier);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
@@ -959,6 +6240,7 @@ app.post('/api/auth/login', async (req, res) => {
           console.log('[AUTH] Legacy plaintext password match — migrating to bcrypt hash for user:', user._id);
           // Trigger pre-save hook to hash the new password
           user.password = trimmedPassword;
+          user.$locals.keepSessions = true;
           await user.save();
           isMatch = true;
         }
@@ -968,6 +6250,7 @@ app.post('/api/auth/login', async (req, res) => {
           if (md5 === user.password) {
             console.log('[AUTH] Legacy MD5 password match — migrating to bcrypt for user:', user._id);
             user.password = trimmedPassword; // will be hashed by pre-save
+            user.$locals.keepSessions = true;
             await user.save();
             isMatch = true;
           }
@@ -979,28 +6262,26 @@ app.post('/api/auth/login', async (req, res) => {
 
     if (!isMatch) {
       console.log(`[AUTH] Password mismatch for user: ${user.name}`);
+      await recordLoginFailure(trimmedIdentifier);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Create JWT token
-    const token = jwt.sign(
-      { id: user._id.toString(), phone: user.phone, role: user.role },
-      JWT_SECRET,
-      { expiresIn: JWT_EXPIRY }
-    );
+    await clearLoginFailures(trimmedIdentifier);
+
+    if (user.disabled) {
+      console.log(`[AUTH] Login refused for disabled account: ${user._id}`);
+      return res.status(403).json({ error: 'This account has been disabled. Please contact support.', code: 'ACCOUNT_DISABLED' });
+    }
+    if (user.mustResetPassword) {
+      return res.status(403).json({ error: 'Please reset your password to continue.', code: 'PASSWORD_RESET_REQUIRED' });
+    }
 
     console.log(`[AUTH] User logged in successfully: ${user.phone} (${user.role})`);
 
     res.json({
       success: true,
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        phone: user.phone,
-        email: user.email,
-        role: user.role
-      }
+      ...(await startSession(user, req)),
+      user: publicUser(user)
     });
   } catch (error) {
     console.error('[AUTH] Login error:', error);
@@ -1009,149 +6290,363 @@ app.post('/api/auth/login', async (req, res) => {
   }
 });
 
-// Ensure admin user exists on startup
-async function ensureAdminExists() {
+// Send (or resend) the phone verification code to the signed-in user
+app.post('/api/auth/verify-phone/send', authenticate, async (req, res) => {
   try {
-    const adminPass = process.env.ADMIN_PASS || 'Admin7763';
-    const adminEmail = process.env.ADMIN_EMAIL || 'emouisaac1@gmail.com';
-    const adminPhone = process.env.ADMIN_PHONE || '2567XXXXXXX';
-    const adminName = process.env.ADMIN_NAME || 'admin';
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (user.phoneVerified === true) return res.json({ success: true, alreadyVerified: true });
+    await issueOtp(user, 'phone_verify', 'sms');
+    res.json({ success: true, expiresInMinutes: OTP_TTL_MINUTES });
+  } catch (error) {
+    console.error('[OTP] Verify-phone send error:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
 
-    let admin = await User.findOne({ role: 'admin' });
-    
-    if (!admin) {
-      console.log('[STARTUP] Creating admin user...');
-      // Try to find any user with the admin email/phone/name and promote them
-      admin = await User.findOne({
-        $or: [
-          { email: adminEmail },
-          { phone: adminPhone },
-          { name: { $regex: `^${adminName}$`, $options: 'i' } }
-        ]
-      });
+// Body: { code }
+app.post('/api/auth/verify-phone', authenticate, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (user.phoneVerified === true) return res.json({ success: true, user: publicUser(user) });
+    await verifyOtp(user, 'phone_verify', (req.body || {}).code);
+    user.phoneVerified = true;
+    await user.save();
+    console.log(`[OTP] Phone verified for user ${user._id}`);
+    // A new access token carries the verified flag, which unlocks bookings made by phone before signup
+    const token = signAccessToken(user, req.user.sid);
+    res.json({ success: true, token, expiresIn: accessTokenExpiresIn(token), user: publicUser(user) });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
 
-      if (admin) {
-        admin.role = 'admin';
-        admin.email = admin.email || adminEmail;
-        admin.phone = admin.phone || adminPhone;
-        admin.name = admin.name || adminName;
-        // Do not overwrite password unless none exists
-        admin.password = admin.password ? admin.password : adminPass;
-        await admin.save();
-        console.log('[STARTUP] Promoted existing user to admin:', { email: admin.email, phone: admin.phone, name: admin.name });
-      } else {
-        admin = new User({
-          name: adminName,
-          phone: adminPhone,
-          email: adminEmail,
-          password: adminPass,
-          role: 'admin'
-        });
-        try {
-          await admin.save();
-          console.log('[STARTUP] Admin user created:', { email: adminEmail, phone: adminPhone, name: adminName });
-        } catch (e) {
-          console.error('[STARTUP] Failed creating admin; attempting to resolve duplicate:', e.message);
-          if (e.code === 11000) {
-            const conflict = await User.findOne({ $or: [{ email: adminEmail }, { phone: adminPhone }] });
-            if (conflict) {
-              conflict.role = 'admin';
-              conflict.name = conflict.name || adminName;
-              await conflict.save();
-              admin = conflict;
-              console.log('[STARTUP] Resolved duplicate by promoting conflicting user:', { id: conflict._id });
-            }
-          }
-        }
-      }
+// Body: { identifier } (phone or email). Always answers the same way so it cannot be used to
+// discover which accounts exist.
+app.post('/api/auth/password/forgot', authRateLimit, async (req, res) => {
+  const identifier = ((req.body || {}).identifier || '').toString().trim();
+  if (!identifier) return res.status(400).json({ error: 'Phone or email is required' });
+
+  try {
+    const user = await findUserByContact(identifier);
+    if (user) {
+      const channel = identifier.includes('@') && user.email ? 'email' : 'sms';
+      await issueOtp(user, 'password_reset', channel);
+    } else {
+      console.log('[OTP] Password reset requested for unknown identifier');
+    }
+    res.json({ success: true, message: 'If an account exists, a reset code has been sent.', expiresInMinutes: OTP_TTL_MINUTES });
+  } catch (error) {
+    if (error.statusCode === 429) return res.status(429).json({ error: error.message });
+    console.error('[OTP] Forgot-password error:', error.message);
+    res.status(500).json({ error: 'Could not send reset code' });
+  }
+});
+
+// Body: { identifier, code, password }
+app.post('/api/auth/password/reset', authRateLimit, async (req, res) => {
+  const { identifier, code, password } = req.body || {};
+  if (!identifier || !code || !password || !String(password).trim()) {
+    return res.status(400).json({ error: 'Identifier, code and new password are required' });
+  }
+
+  try {
+    const user = await findUserByContact(identifier);
+    if (!user) return res.status(400).json({ error: 'Code expired or not found. Please request a new one.' });
+    await verifyOtp(user, 'password_reset', code);
+    user.password = String(password).trim(); // hashed by pre-save
+    user.mustResetPassword = false;
+    // Receiving the code by SMS proves the phone too
+    if (user.phoneVerified !== true && !String(identifier).includes('@')) user.phoneVerified = true;
+    await user.save();
+    console.log(`[OTP] Password reset for user ${user._id}`);
+    res.json({ success: true, message: 'Password updated. You can now sign in.' });
+  } catch (error) {
+    if (!error.statusCode) console.error('[OTP] Password reset error:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Passwordless sign-in for clients. Body: { phone }
+app.post('/api/auth/otp/send', authRateLimit, async (req, res) => {
+  if (!OTP_LOGIN_ENABLED) return res.status(404).json({ error: 'Code sign-in is not enabled' });
+  const phone = ((req.body || {}).phone || '').toString().trim();
+  if (!phone) return res.status(400).json({ error: 'Phone is required' });
+
+  try {
+    const user = await findUserByContact(phone);
+    if (user && user.role === 'client' && !user.disabled) {
+      await issueOtp(user, 'login', 'sms');
     } else {
-      console.log('[STARTUP] Admin user already exists:', { email: admin.email, phone: admin.phone, name: admin.name });
+      console.log('[OTP] Login code requested for unknown or non-client phone');
+    }
+    res.json({ success: true, message: 'If this number has an account, a sign-in code has been sent.', expiresInMinutes: OTP_TTL_MINUTES });
+  } catch (error) {
+    if (error.statusCode === 429) return res.status(429).json({ error: error.message });
+    console.error('[OTP] Login code error:', error.message);
+    res.status(500).json({ error: 'Could not send sign-in code' });
+  }
+});
+
+// Body: { phone, code }
+app.post('/api/auth/otp/login', authRateLimit, async (req, res) => {
+  if (!OTP_LOGIN_ENABLED) return res.status(404).json({ error: 'Code sign-in is not enabled' });
+  const { phone, code } = req.body || {};
+  if (!phone || !code) return res.status(400).json({ error: 'Phone and code are required' });
+
+  try {
+    const user = await findUserByContact(phone);
+    if (!user || user.role !== 'client') return res.status(400).json({ error: 'Code expired or not found. Please request a new one.' });
+    await verifyOtp(user, 'login', code);
+    if (user.disabled) return res.status(403).json({ error: 'This account has been disabled. Please contact support.', code: 'ACCOUNT_DISABLED' });
+    if (user.phoneVerified !== true) {
+      user.phoneVerified = true;
+      await user.save();
+    }
+    console.log(`[AUTH] User logged in with code: ${user.phone}`);
+    res.json({ success: true, ...(await startSession(user, req)), user: publicUser(user) });
+  } catch (error) {
+    if (!error.statusCode) console.error('[OTP] Code login error:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Body: { refreshToken }. Returns a new access token and a new refresh token; the old one stops working.
+app.post('/api/auth/refresh', async (req, res) => {
+  const { refreshToken } = req.body || {};
+  if (!refreshToken) return res.status(400).json({ error: 'refreshToken is required' });
+  try {
+    const { user, ...tokens } = await rotateSession(refreshToken);
+    res.json({ success: true, ...tokens, user: publicUser(user) });
+  } catch (error) {
+    if (!error.statusCode) console.error('[AUTH] Refresh error:', error.message);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Sign out this device. Body: { refreshToken } and/or an access token (which may have expired).
+app.post('/api/auth/logout', async (req, res) => {
+  const [refreshSessionId, secret] = ((req.body || {}).refreshToken || '').toString().split('.');
+  let tokenSessionId = null;
+  try {
+    tokenSessionId = jwt.verify(getBearerToken(req), JWT_SECRET, { ignoreExpiration: true }).sid || null;
+  } catch (e) {
+    tokenSessionId = null;
+  }
+  const sessionId = tokenSessionId || refreshSessionId;
+  if (!sessionId || !mongoose.Types.ObjectId.isValid(sessionId)) {
+    return res.status(400).json({ error: 'refreshToken or access token is required' });
+  }
+
+  try {
+    const session = await Session.findById(sessionId);
+    // Only revoke when the caller proves it holds this session
+    const owns = session && (tokenSessionId === sessionId || (secret && hashRefreshSecret(secret) === session.tokenHash));
+    if (owns) await revokeSession(session._id, 'logout');
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[AUTH] Logout error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sign out every device, including this one
+app.post('/api/auth/logout-all', authenticate, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.id, 'logout_all');
+    res.json({ success: true, revoked });
+  } catch (error) {
+    console.error('[AUTH] Logout-all error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Devices currently signed in to the caller's account
+app.get('/api/auth/sessions', authenticate, async (req, res) => {
+  try {
+    const sessions = await Session.find({ user: req.user.id, revokedAt: null, expiresAt: { $gt: new Date() } }).sort({ lastUsedAt: -1 });
+    res.json({
+      sessions: sessions.map(s => ({
+        id: s._id,
+        userAgent: s.userAgent,
+        ip: s.ip,
+        createdAt: s.createdAt,
+        lastUsedAt: s.lastUsedAt,
+        current: s._id.toString() === req.user.sid
+      }))
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/auth/sessions/:id', authenticate, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return res.status(404).json({ error: 'Session not found' });
+    const session = await Session.findOne({ _id: req.params.id, user: req.user.id, revokedAt: null });
+    if (!session) return res.status(404).json({ error: 'Session not found' });
+    await revokeSession(session._id, 'logout');
+    res.json({ success: true });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Body: { currentPassword, newPassword }. Other devices are signed out; this one gets fresh tokens.
+app.post('/api/auth/password/change', authenticate, async (req, res) => {
+  const { currentPassword, newPassword } = req.body || {};
+  if (!currentPassword || !newPassword || !String(newPassword).trim()) {
+    return res.status(400).json({ error: 'Current and new password are required' });
+  }
+
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (!await user.comparePassword(String(currentPassword))) return res.status(401).json({ error: 'Current password is incorrect' });
+
+    user.password = String(newPassword).trim(); // hashed by pre-save; the post-save hook revokes all sessions
+    await user.save();
+    console.log(`[AUTH] Password changed for user ${user._id}`);
+    res.json({ success: true, ...(await startSession(user, req)), user: publicUser(user) });
+  } catch (error) {
+    console.error('[AUTH] Password change error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============ Admin Bootstrap ============
+// The first admin is created once, either from ADMIN_PHONE + ADMIN_PASS (seeded at startup when no admin
+// exists yet) or through POST /api/admin/bootstrap with a one-time token printed to the server log.
+// After that, admins are managed through /api/admin/users; ADMIN_PASS is never accepted at login.
+
+// Promote the account matching phone/email to admin, or create it. An existing password is only
+// replaced when `overwritePassword` is set.
+async function createOrPromoteAdmin({ name, phone, email, password }, { overwritePassword = false } = {}) {
+  const or = [];
+  if (phone) or.push({ phone });
+  if (email) or.push({ email });
+  let admin = or.length ? await User.findOne({ $or: or }) : null;
+
+  if (admin) {
+    if (admin.role !== 'admin') {
+      console.warn(`[ADMIN] Account ${admin._id} already uses this phone/email and is being promoted to admin`);
+    }
+    admin.role = 'admin';
+    admin.name = admin.name || name;
+    admin.email = admin.email || email;
+    admin.phone = admin.phone || phone;
+    if (password && (overwritePassword || !admin.password)) admin.password = password;
+    admin.disabled = false;
+    await admin.save();
+    console.log('[ADMIN] Promoted existing user to admin:', { id: admin._id, phone: admin.phone });
+    return admin;
+  }
+
+  admin = new User({ name: name || 'admin', phone, email: email || undefined, password, role: 'admin', phoneVerified: true });
+  await admin.save();
+  console.log('[ADMIN] Admin user created:', { id: admin._id, phone: admin.phone });
+  return admin;
+}
+
+function hashBootstrapToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// On startup with no admin: seed one from the environment, or arm the one-time bootstrap token
+async function prepareAdminBootstrap() {
+  try {
+    const admin = await User.findOne({ role: 'admin' });
+    if (admin) {
+      await AppSetting.deleteOne({ key: 'adminBootstrap' });
+      console.log('[STARTUP] Admin user exists:', { id: admin._id, name: admin.name });
+      return;
+    }
+
+    if (process.env.ADMIN_PHONE && process.env.ADMIN_PASS) {
+      // Registration is open, so someone may have signed up with this number first: the seeded account
+      // always gets ADMIN_PASS, and the password and role change end that user's existing sessions.
+      await createOrPromoteAdmin({
+        name: process.env.ADMIN_NAME || 'admin',
+        phone: normalizePhone(process.env.ADMIN_PHONE) || process.env.ADMIN_PHONE,
+        email: process.env.ADMIN_EMAIL,
+        password: process.env.ADMIN_PASS
+      }, { overwritePassword: true });
+      console.log('[STARTUP] First admin seeded from ADMIN_PHONE/ADMIN_PASS. Change the password after signing in; ADMIN_PASS is no longer used.');
+      return;
     }
+
+    const token = process.env.ADMIN_BOOTSTRAP_TOKEN || crypto.randomBytes(18).toString('base64url');
+    await AppSetting.findOneAndUpdate(
+      { key: 'adminBootstrap' },
+      { $set: { value: { tokenHash: hashBootstrapToken(token), createdAt: new Date() }, updatedAt: new Date() } },
+      { upsert: true }
+    );
+    console.log('[STARTUP] No admin account exists. Create one with POST /api/admin/bootstrap');
+    if (!process.env.ADMIN_BOOTSTRAP_TOKEN) console.log(`[STARTUP] One-time bootstrap token: ${token}`);
   } catch (err) {
-    console.error('[STARTUP] Error ensuring admin exists:', err.message);
+    console.error('[STARTUP] Admin bootstrap check failed:', err.message);
   }
 }
 
 // Call this after database connection is established
 mongoose.connection.on('connected', () => {
-  setTimeout(ensureAdminExists, 1000);
+  setTimeout(prepareAdminBootstrap, 1000);
+  setupWebPush().catch(e => console.error('[PUSH] Setup failed:', e && e.message ? e.message : e));
+  migrateLegacyEmailQueue().catch(e => console.error('[JOBS] Legacy queue migration failed:', e && e.message ? e.message : e));
+  generateAllSeries().catch(e => console.error('[SERIES] Generator error:', e && e.message ? e.message : e));
+});
+
+// Body: { token, name, phone, email?, password }. Only works while no admin exists.
+app.post('/api/admin/bootstrap', authRateLimit, async (req, res) => {
+  const { token, name, email, password } = req.body || {};
+  const phone = normalizePhone((req.body || {}).phone);
+  if (!token || !phone || !password || !String(password).trim()) {
+    return res.status(400).json({ error: 'token, phone and password are required' });
+  }
+
+  try {
+    if (await User.exists({ role: 'admin' })) return res.status(409).json({ error: 'An admin already exists' });
+
+    const setting = await AppSetting.findOne({ key: 'adminBootstrap' });
+    const expected = setting && setting.value && setting.value.tokenHash;
+    const given = hashBootstrapToken(String(token));
+    if (!expected || !crypto.timingSafeEqual(Buffer.from(given), Buffer.from(expected))) {
+      return res.status(403).json({ error: 'Invalid bootstrap token' });
+    }
+    // Consume the token before creating the account so it cannot be used twice
+    const consumed = await AppSetting.findOneAndDelete({ key: 'adminBootstrap', 'value.tokenHash': expected });
+    if (!consumed) return res.status(409).json({ error: 'Bootstrap already completed' });
+
+    const admin = await createOrPromoteAdmin({ name, phone, email, password: String(password).trim() }, { overwritePassword: true });
+    console.log(`[ADMIN] First admin bootstrapped: ${admin._id}`);
+    res.json({ success: true, ...(await startSession(admin, req)), user: publicUser(admin) });
+  } catch (error) {
+    console.error('[ADMIN] Bootstrap error:', error.message);
+    res.status(error.code === 11000 ? 409 : 500).json({ error: error.code === 11000 ? 'Phone or email already in use' : error.message });
+  }
 });
 
-// One-time maintenance endpoint: cleanup non-admin users and bookings
-// WARNING: This endpoint is intentionally powerful. Keep it temporary and remove after use.
-// Protect it with a secret: either `ADMIN_PASS` or `MAINTENANCE_SECRET` (env vars).
+// One-time maintenance endpoint: delete all non-admin users and all bookings. Admin accounts are kept.
+// WARNING: This endpoint is intentionally powerful. Protect it with MAINTENANCE_SECRET (disabled when unset).
 app.post('/api/maintenance/cleanup', async (req, res) => {
   const secret = (req.query.secret || req.headers['x-maintenance-secret'] || '').toString();
-  const allowed = process.env.MAINTENANCE_SECRET || process.env.ADMIN_PASS;
+  const allowed = process.env.MAINTENANCE_SECRET;
   if (!secret || !allowed || secret !== allowed) {
     return res.status(403).json({ error: 'Unauthorized. Provide the maintenance secret.' });
   }
 
   try {
-    // Delete all non-admin users
     const delUsers = await User.deleteMany({ role: { $ne: 'admin' } });
-    // Delete all bookings
     const delBookings = await Booking.deleteMany({});
-
-    // Ensure admin account exists and uses ADMIN_PASS
-    const adminPass = process.env.ADMIN_PASS || 'Admin7763';
-    const adminEmail = process.env.ADMIN_EMAIL || 'emouisaac1@gmail.com';
-    const adminPhone = process.env.ADMIN_PHONE || '2567XXXXXXX';
-    const adminName = process.env.ADMIN_NAME || 'admin';
-
-    let admin = await User.findOne({ role: 'admin' });
-    if (!admin) {
-      // Try to find any user with the admin email/phone/name and promote them to admin
-      admin = await User.findOne({
-        $or: [
-          { email: adminEmail },
-          { phone: adminPhone },
-          { name: { $regex: `^${adminName}$`, $options: 'i' } }
-        ]
-      });
-
-      if (admin) {
-        admin.role = 'admin';
-        admin.email = admin.email || adminEmail;
-        admin.phone = admin.phone || adminPhone;
-        admin.name = admin.name || adminName;
-        admin.password = admin.password ? admin.password : adminPass;
-        await admin.save();
-        console.log('[MAINT] Promoted existing user to admin:', adminEmail, adminPhone);
-      } else {
-        admin = new User({ name: adminName, phone: adminPhone, email: adminEmail, password: adminPass, role: 'admin' });
-        try {
-          await admin.save();
-          console.log('[MAINT] Created new admin user:', adminEmail, adminPhone);
-        } catch (e) {
-          console.error('[MAINT] Error creating admin during cleanup:', e.message);
-          if (e.code === 11000) {
-            const conflict = await User.findOne({ $or: [{ email: adminEmail }, { phone: adminPhone }] });
-            if (conflict) {
-              conflict.role = 'admin';
-              conflict.name = conflict.name || adminName;
-              await conflict.save();
-              admin = conflict;
-              console.log('[MAINT] Resolved duplicate by promoting conflicting user:', { id: conflict._id });
-            }
-          }
-        }
-      }
-    } else {
-      // update admin password (will be hashed by pre-save)
-      admin.password = adminPass;
-      admin.email = admin.email || adminEmail;
-      admin.phone = admin.phone || adminPhone;
-      admin.name = admin.name || adminName;
-      await admin.save();
-      console.log('[MAINT] Updated existing admin credentials.');
-    }
+    const admins = await User.countDocuments({ role: 'admin' });
+    console.log(`[MAINT] Cleanup removed ${delUsers.deletedCount} users and ${delBookings.deletedCount} bookings`);
 
     return res.json({
       success: true,
-      deletedUsers: delUsers.deletedCount != null ? delUsers.deletedCount : delUsers.n || 0,
-      deletedBookings: delBookings.deletedCount != null ? delBookings.deletedCount : delBookings.n || 0,
-      admin: { email: admin.email, phone: admin.phone, name: admin.name }
+      deletedUsers: delUsers.deletedCount,
+      deletedBookings: delBookings.deletedCount,
+      admins
     });
   } catch (err) {
     console.error('[MAINT] Cleanup error:', err.stack || err.message || err);
@@ -1159,15 +6654,8 @@ app.post('/api/maintenance/cleanup', async (req, res) => {
   }
 });
 
-// Debug endpoint: Get admin user info (protected by secret)
-app.get('/api/admin/info', async (req, res) => {
-  const secret = (req.query.secret || req.headers['x-admin-secret'] || '').toString();
-  const allowed = process.env.MAINTENANCE_SECRET || process.env.ADMIN_PASS;
-  
-  if (!secret || !allowed || secret !== allowed) {
-    return res.status(403).json({ error: 'Unauthorized' });
-  }
-
+// Debug endpoint: Get admin user info (maintenance secret or admin token)
+app.get('/api/admin/info', authorizeAdminOrSecret, async (req, res) => {
   try {
     const admin = await User.findOne({ role: 'admin' });
     if (!admin) {
@@ -1190,17 +6678,13 @@ app.get('/api/admin/info', async (req, res) => {
   }
 });
 
-// Debug endpoint: fetch a user by identifier (protected by secret) — useful to inspect stored password format
-app.get('/api/debug/user', async (req, res) => {
-  const secret = (req.query.secret || req.headers['x-admin-secret'] || '').toString();
-  const allowed = process.env.MAINTENANCE_SECRET || process.env.ADMIN_PASS;
-  if (!secret || !allowed || secret !== allowed) return res.status(403).json({ error: 'Unauthorized' });
-
+// Debug endpoint: fetch a user by identifier (maintenance secret or admin token) — useful to inspect stored password format
+app.get('/api/debug/user', authorizeAdminOrSecret, async (req, res) => {
   const identifier = (req.query.identifier || '').toString().trim();
   if (!identifier) return res.status(400).json({ error: 'Provide identifier query param' });
 
   try {
-    const user = await User.findOne({ $or: [{ phone: identifier }, { email: identifier }, { name: { $regex: `^${identifier}$`, $options: 'i' } }] });
+    const user = await User.findOne({ $or: [{ phone: identifier }, { email: identifier }, { name: { $regex: `^${escapeRegex(identifier)}$`, $options: 'i' } }] });
     if (!user) return res.status(404).json({ error: 'User not found' });
 
     const pwd = user.password || '';
@@ -1212,6 +6696,212 @@ app.get('/api/debug/user', async (req, res) => {
   }
 });
 
+// ============ User Administration ============
+const USER_ROLES = ['client', 'driver', 'admin'];
+
+function adminUserView(user) {
+  return {
+    ...publicUser(user),
+    locale: user.locale,
+    disabled: !!user.disabled,
+    disabledAt: user.disabledAt,
+    disabledReason: user.disabledReason,
+    mustResetPassword: !!user.mustResetPassword,
+    createdAt: user.createdAt
+  };
+}
+
+async function findManagedUser(id) {
+  if (!mongoose.isValidObjectId(id)) throw httpError(404, 'User not found');
+  const user = await User.findById(id);
+  if (!user) throw httpError(404, 'User not found');
+  return user;
+}
+
+// Refuse changes that would leave the system without an active admin
+async function assertNotLastAdmin(user) {
+  if (user.role !== 'admin' || user.disabled) return;
+  const others = await User.countDocuments({ role: 'admin', disabled: { $ne: true }, _id: { $ne: user._id } });
+  if (!others) throw httpError(409, 'Cannot remove the last active admin');
+}
+
+// Email the code when the user has an address, otherwise text it
+async function sendPasswordResetCode(user) {
+  await OtpCode.deleteMany({ user: user._id, purpose: 'password_reset' });
+  await issueOtp(user, 'password_reset', user.email ? 'email' : 'sms');
+}
+
+// List/search users. Query: q (name/phone/email), role, status=active|disabled|reset_required, page, limit
+app.get('/api/admin/users', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.role) {
+      if (!USER_ROLES.includes(req.query.role)) return res.status(400).json({ error: 'Unknown role' });
+      filter.role = req.query.role;
+    }
+    if (req.query.status === 'disabled') filter.disabled = true;
+    else if (req.query.status === 'active') filter.disabled = { $ne: true };
+    else if (req.query.status === 'reset_required') filter.mustResetPassword = true;
+    const q = (req.query.q || '').toString().trim();
+    if (q) {
+      const pattern = { $regex: escapeRegex(q), $options: 'i' };
+      filter.$or = [{ name: pattern }, { phone: pattern }, { email: pattern }];
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const [users, total] = await Promise.all([
+      User.find(filter).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit),
+      User.countDocuments(filter)
+    ]);
+    res.json({ users: users.map(adminUserView), total, page, limit });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/admin/users/:id', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const user = await findManagedUser(req.params.id);
+    const activeSessions = await Session.countDocuments({ user: user._id, revokedAt: null, expiresAt: { $gt: new Date() } });
+    res.json({ user: adminUserView(user), activeSessions });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Create an account (drivers by default). Without a password the user must set one with a reset code.
+app.post('/api/admin/users', authenticate, authorize('admin'), async (req, res) => {
+  const { name, email, password } = req.body || {};
+  const role = (req.body || {}).role || 'driver';
+  const phone = normalizePhone((req.body || {}).phone);
+  if (!USER_ROLES.includes(role)) return res.status(400).json({ error: 'Unknown role' });
+  if (!phone || !/^\+\d{9,15}$/.test(phone)) return res.status(400).json({ error: 'Invalid phone number' });
+  if (email && !EMAIL_PATTERN.test(String(email).trim())) return res.status(400).json({ error: 'Invalid email address' });
+
+  try {
+    const or = [{ phone }];
+    if (email) or.push({ email: String(email).trim() });
+    if (await User.exists({ $or: or })) return res.status(409).json({ error: 'Phone or email already in use' });
+
+    const generated = !password || !String(password).trim();
+    const user = new User({
+      name: name || phone,
+      phone,
+      email: email ? String(email).trim() : undefined,
+      password: generated ? crypto.randomBytes(24).toString('base64url') : String(password).trim(),
+      role,
+      locale: resolveLocale((req.body || {}).locale),
+      phoneVerified: true,
+      mustResetPassword: generated
+    });
+    await user.save();
+    console.log(`[ADMIN] ${req.user.id} created ${role} ${user._id}`);
+
+    if (generated) {
+      sendPasswordResetCode(user).catch(e => console.error('[OTP] Failed to send password code:', e && e.message ? e.message : e));
+    }
+    res.status(201).json({ success: true, user: adminUserView(user) });
+  } catch (error) {
+    console.error('[ADMIN] Create user error:', error.message);
+    res.status(error.code === 11000 ? 409 : 500).json({ error: error.code === 11000 ? 'Phone or email already in use' : error.message });
+  }
+});
+
+// Update profile fields and role. Role changes end the user's sessions (see the User save hooks).
+app.patch('/api/admin/users/:id', authenticate, authorize('admin'), async (req, res) => {
+  const body = req.body || {};
+  try {
+    const user = await findManagedUser(req.params.id);
+
+    if (body.role !== undefined && body.role !== user.role) {
+      if (!USER_ROLES.includes(body.role)) return res.status(400).json({ error: 'Unknown role' });
+      if (String(user._id) === req.user.id) return res.status(400).json({ error: 'You cannot change your own role' });
+      await assertNotLastAdmin(user);
+      user.role = body.role;
+    }
+    if (body.name !== undefined) user.name = String(body.name).trim() || user.name;
+    if (body.phone !== undefined) {
+      const phone = normalizePhone(body.phone);
+      if (!phone || !/^\+\d{9,15}$/.test(phone)) return res.status(400).json({ error: 'Invalid phone number' });
+      if (phone !== user.phone) {
+        user.phone = phone;
+        user.phoneVerified = false;
+      }
+    }
+    if (body.email !== undefined) {
+      const email = String(body.email || '').trim();
+      if (email && !EMAIL_PATTERN.test(email)) return res.status(400).json({ error: 'Invalid email address' });
+      user.email = email || undefined;
+    }
+    if (body.locale !== undefined) user.locale = resolveLocale(body.locale);
+
+    await user.save();
+    console.log(`[ADMIN] ${req.user.id} updated user ${user._id}`);
+    res.json({ success: true, user: adminUserView(user) });
+  } catch (error) {
+    if (error.code === 11000) return res.status(409).json({ error: 'Phone or email already in use' });
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Body: { reason? }. Disabling revokes every session; the account can no longer sign in.
+app.post('/api/admin/users/:id/disable', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const user = await findManagedUser(req.params.id);
+    if (String(user._id) === req.user.id) return res.status(400).json({ error: 'You cannot disable your own account' });
+    if (!user.disabled) {
+      await assertNotLastAdmin(user);
+      user.disabled = true;
+      user.disabledAt = new Date();
+      user.disabledReason = ((req.body || {}).reason || '').toString().trim().slice(0, 500) || null;
+      await user.save();
+      console.log(`[ADMIN] ${req.user.id} disabled user ${user._id}`);
+    }
+    res.json({ success: true, user: adminUserView(user) });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+app.post('/api/admin/users/:id/enable', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const user = await findManagedUser(req.params.id);
+    if (user.disabled) {
+      user.disabled = false;
+      user.disabledAt = null;
+      user.disabledReason = null;
+      await user.save();
+      console.log(`[ADMIN] ${req.user.id} enabled user ${user._id}`);
+    }
+    res.json({ success: true, user: adminUserView(user) });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Sign the user out everywhere and require a new password (set with a code sent to them) before the next login
+app.post('/api/admin/users/:id/force-password-reset', authenticate, authorize('admin'), async (req, res) => {
+  try {
+    const user = await findManagedUser(req.params.id);
+    user.mustResetPassword = true;
+    await user.save();
+    const revoked = await revokeUserSessions(user._id, 'password_reset_required');
+    console.log(`[ADMIN] ${req.user.id} forced a password reset for user ${user._id}`);
+
+    let codeSent = true;
+    try {
+      await sendPasswordResetCode(user);
+    } catch (err) {
+      codeSent = false;
+      console.error('[OTP] Failed to send password code:', err.message);
+    }
+    res.json({ success: true, user: adminUserView(user), revokedSessions: revoked, codeSent });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
 // Debug endpoint: test email configuration and send test email
 // (email test endpoint removed)
 
@@ -1219,7 +6909,17 @@ app.get('/api/debug/user', async (req, res) => {
 
 // ============ SSE Endpoint ============
 
-app.get('/sse/bookings', (req, res) => {
+// EventSource cannot send headers, so the token may also come as ?token=
+app.get('/sse/bookings', async (req, res) => {
+  const token = getBearerToken(req) || (req.query.token || '').toString();
+  if (!token) return res.status(401).json({ error: 'Authentication required' });
+  let user;
+  try {
+    user = await verifyAccessToken(token);
+  } catch (err) {
+    return res.status(err.statusCode || 401).json({ error: err.message });
+  }
+
   // set headers for SSE
   res.setHeader('Content-Type', 'text/event-stream');
   res.setHeader('Cache-Control', 'no-cache');
@@ -1229,12 +6929,27 @@ app.get('/sse/bookings', (req, res) => {
   // send a comment to keep connection alive initially
   res.write(': connected\n\n');
 
-  sseClients.push(res);
-  console.log('[SSE] Client connected. Total SSE clients:', sseClients.length);
+  // Replay what this user missed since the last event id they saw
+  const lastEventId = parseInt(req.headers['last-event-id'] || req.query.lastEventId, 10);
+  if (Number.isFinite(lastEventId)) {
+    const oldest = sseEventLog.length ? sseEventLog[0].id : sseEventSeq + 1;
+    if (lastEventId < oldest - 1) {
+      // Missed events are no longer in the log; the page should reload its data
+      res.write(`event: resync\ndata: {}\n\n`);
+    }
+    sseEventLog.filter(entry => entry.id > lastEventId).forEach(entry => {
+      const payload = entry.audience(user);
+      if (payload) writeSseEvent(res, entry, payload);
+    });
+  }
+
+  const client = { res, user, sid: user.sid };
+  sseClients.push(client);
+  console.log(`[SSE] ${user.role} ${user.id} connected. Total SSE clients:`, sseClients.length);
 
   // on client disconnect, remove from list
   req.on('close', () => {
-    const idx = sseClients.indexOf(res);
+    const idx = sseClients.indexOf(client);
     if (idx !== -1) sseClients.splice(idx, 1);
     console.log('[SSE] Client disconnected. Remaining:', sseClients.length);
   });
@@ -1242,6 +6957,9 @@ app.get('/sse/bookings', (req, res) => {
 
 // ============ Static Files & Routing ============
 
+// Uploaded documents and logs live under the project directory but are never public
+app.use(['/uploads', '/logs'], (req, res) => res.status(404).end());
+
 // Serve static files
 app.use(express.static(path.join(__dirname)));
 
@@ -1262,9 +6980,26 @@ app.use((req, res, next) => {
 
 // ============ Server Start ============
 
-app.listen(PORT, () => {
-  console.log(`\n[SERVER] Listening on http://localhost:${PORT}`);
-  console.log(`[SERVER] Client:  http://localhost:${PORT}`);
-  console.log(`[SERVER] Admin:   http://localhost:${PORT}/admin/`);
-  console.log(`[SERVER] Driver:  http://localhost:${PORT}/driver/\n`);
-});
+if (require.main === module) {
+  connectDatabase();
+  app.listen(PORT, () => {
+    console.log(`\n[SERVER] Listening on http://localhost:${PORT}`);
+    console.log(`[SERVER] Client:  http://localhost:${PORT}`);
+    console.log(`[SERVER] Admin:   http://localhost:${PORT}/admin/`);
+    console.log(`[SERVER] Driver:  http://localhost:${PORT}/driver/\n`);
+  });
+}
+
+// For the tests in test/
+module.exports = {
+  app,
+  Booking, BOOKING_TRANSITIONS, canTransition, transitionBooking,
+  AppSetting, cancellationFee, cancelBooking,
+  openRequestsFilter, ownBookingsFilter, bookingScopeFor, canViewBooking, toDriverView,
+  seriesTimeOn, seriesOccurrences, parseSeriesInput,
+  DriverProfile, Job, offerNextDriver, closeDispatchOffer,
+  Payment, paymentSignature,
+  OtpCode, hashOtp, verifyOtp,
+  Session, User, startSession, rotateSession,
+  FareQuote, FareRule, loadQuoteForBooking, claimQuote
+};
@@ -0,0 +1,96 @@
+// Session helper shared by the client, driver and admin pages. Load it before any script that calls
+// the API: it keeps the short-lived access token (`authToken`) fresh using the rotating
+// `refreshToken`, retries a request once after a 401, and signs the device out on the server.
+(function () {
+    const originalFetch = window.fetch.bind(window);
+    let refreshing = null;
+
+    function store(json) {
+        if (json.token) localStorage.setItem('authToken', json.token);
+        if (json.refreshToken) localStorage.setItem('refreshToken', json.refreshToken);
+        if (json.user) localStorage.setItem('authUser', JSON.stringify(json.user));
+    }
+
+    function clear() {
+        localStorage.removeItem('authToken');
+        localStorage.removeItem('refreshToken');
+        localStorage.removeItem('authUser');
+    }
+
+    function tokenExpiry(token) {
+        try {
+            const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+            return payload.exp * 1000;
+        } catch (e) {
+            return 0;
+        }
+    }
+
+    // Resolves true when a new access token is stored. Concurrent callers share one request.
+    function refresh() {
+        if (refreshing) return refreshing;
+        refreshing = (async () => {
+            const refreshToken = localStorage.getItem('refreshToken');
+            if (!refreshToken) return false;
+            try {
+                const res = await originalFetch('/api/auth/refresh', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ refreshToken })
+                });
+                if (res.ok) {
+                    store(await res.json());
+                    return true;
+                }
+                // Another tab may have rotated the token in the meantime
+                if (localStorage.getItem('refreshToken') !== refreshToken) return true;
+                if (res.status === 401) clear();
+                return false;
+            } catch (err) {
+                return false;
+            }
+        })().finally(() => { refreshing = null; });
+        return refreshing;
+    }
+
+    function hasAuthHeader(init) {
+        return !!(init && init.headers && new Headers(init.headers).get('Authorization'));
+    }
+
+    window.fetch = async function (input, init) {
+        const url = typeof input === 'string' ? input : (input && input.url) || '';
+        const res = await originalFetch(input, init);
+        if (res.status !== 401 || !hasAuthHeader(init) || url.includes('/api/auth/refresh')) return res;
+        if (!await refresh()) return res;
+
+        const headers = new Headers(init.headers);
+        headers.set('Authorization', `Bearer ${localStorage.getItem('authToken')}`);
+        return originalFetch(input, Object.assign({}, init, { headers }));
+    };
+
+    // Refresh shortly before the access token runs out so open pages keep working
+    setInterval(() => {
+        const token = localStorage.getItem('authToken');
+        if (token && localStorage.getItem('refreshToken') && tokenExpiry(token) - Date.now() < 60 * 1000) refresh();
+    }, 30 * 1000);
+
+    // Revoke this device's session (or all of the user's sessions) and clear local tokens
+    async function logout(allDevices) {
+        const token = localStorage.getItem('authToken');
+        const refreshToken = localStorage.getItem('refreshToken');
+        try {
+            // logout-all needs a live access token, so let it go through the refreshing fetch
+            const send = allDevices ? window.fetch : originalFetch;
+            await send(allDevices ? '/api/auth/logout-all' : '/api/auth/logout', {
+                method: 'POST',
+                headers: Object.assign({ 'Content-Type': 'application/json' }, token ? { 'Authorization': `Bearer ${token}` } : {}),
+                body: JSON.stringify({ refreshToken })
+            });
+        } catch (err) {
+            console.warn('Logout request failed:', err);
+        }
+        clear();
+    }
+
+    window.TelekaSession = { store, clear, refresh, logout };
+})();
@@ -0,0 +1,27 @@
+// Service worker: shows Web Push notifications sent by the server and
+// focuses (or opens) the relevant page when one is clicked.
+
+self.addEventListener('push', (event) => {
+    let data = {};
+    try { data = event.data ? event.data.json() : {}; } catch (e) { data = { title: 'Teleka Taxi', body: event.data && event.data.text() }; }
+
+    event.waitUntil(self.registration.showNotification(data.title || 'Teleka Taxi', {
+        body: data.body || '',
+        icon: '/ims/telicon.png',
+        badge: '/ims/telicon.png',
+        tag: data.tag,
+        data: { url: data.url || '/' }
+    }));
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = (event.notification.data && event.notification.data.url) || '/';
+
+    event.waitUntil(clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+        const target = new URL(url, self.location.origin).href;
+        const existing = windows.find(w => w.url.startsWith(target));
+        if (existing) return existing.focus();
+        return clients.openWindow(target);
+    }));
+});
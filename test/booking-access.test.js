@@ -0,0 +1,76 @@
+// Booking visibility: clients see their own bookings, drivers their trips and the open requests offered
+// to them, admins everything. The Mongo filters and the per-booking check must agree.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { matches } = require('./helpers');
+const { openRequestsFilter, ownBookingsFilter, bookingScopeFor, canViewBooking, toDriverView } = require('../server');
+
+const id = () => new mongoose.Types.ObjectId();
+const clientId = id();
+const driverId = id();
+const otherDriverId = id();
+const client = { id: String(clientId), role: 'client', phone: '+256700000001', phoneVerified: true };
+const driver = { id: String(driverId), role: 'driver' };
+const admin = { id: String(id()), role: 'admin' };
+
+const bookings = {
+  own: { _id: id(), user: clientId, driver: null, status: 'pending', phone: '+256700000001' },
+  legacyByPhone: { _id: id(), user: null, driver: null, status: 'completed', phone: '+256700000001' },
+  someoneElses: { _id: id(), user: id(), driver: null, status: 'pending', phone: '+256700000002' },
+  open: { _id: id(), user: id(), driver: null, status: 'confirmed', rejectedBy: [] },
+  rejected: { _id: id(), user: id(), driver: null, status: 'pending', rejectedBy: [driverId] },
+  offeredToDriver: { _id: id(), user: id(), driver: null, status: 'pending', dispatch: { state: 'offered', offeredTo: driverId } },
+  offeredToOther: { _id: id(), user: id(), driver: null, status: 'pending', dispatch: { state: 'offered', offeredTo: otherDriverId } },
+  dispatchExhausted: { _id: id(), user: id(), driver: null, status: 'pending', dispatch: { state: 'exhausted' } },
+  driversTrip: { _id: id(), user: id(), driver: driverId, status: 'in_progress' },
+  otherDriversTrip: { _id: id(), user: id(), driver: otherDriverId, status: 'assigned' },
+  finishedUnassigned: { _id: id(), user: id(), driver: null, status: 'cancelled' }
+};
+
+function visible(filter) {
+  return Object.keys(bookings).filter(name => matches(bookings[name], filter)).sort();
+}
+
+function viewable(user) {
+  return Object.keys(bookings).filter(name => canViewBooking(user, bookings[name])).sort();
+}
+
+test('clients see their own bookings and legacy ones for their verified phone', () => {
+  assert.deepStrictEqual(visible(bookingScopeFor(client)), ['legacyByPhone', 'own']);
+  assert.deepStrictEqual(viewable(client), ['legacyByPhone', 'own']);
+});
+
+test('an unverified phone does not unlock legacy bookings', () => {
+  for (const phoneVerified of [false, undefined]) {
+    const unverified = Object.assign({}, client, { phoneVerified });
+    assert.deepStrictEqual(visible(ownBookingsFilter(unverified)), ['own']);
+    assert.deepStrictEqual(viewable(unverified), ['own']);
+  }
+});
+
+test('drivers see their trips and open requests not rejected by them or offered to someone else', () => {
+  // Unassigned pending bookings of any client are open requests too
+  const expected = ['dispatchExhausted', 'driversTrip', 'offeredToDriver', 'open', 'own', 'someoneElses'];
+  assert.deepStrictEqual(visible(bookingScopeFor(driver)), expected);
+  assert.deepStrictEqual(viewable(driver), expected);
+});
+
+test('the open requests filter excludes trips that already have a driver', () => {
+  assert.deepStrictEqual(visible(openRequestsFilter(driver.id)), ['dispatchExhausted', 'offeredToDriver', 'open', 'own', 'someoneElses']);
+});
+
+test('admins see everything', () => {
+  const all = Object.keys(bookings).sort();
+  assert.deepStrictEqual(visible(bookingScopeFor(admin)), all);
+  assert.deepStrictEqual(viewable(admin), all);
+});
+
+test('drivers get the customer\'s contact details only for their own trips', () => {
+  const trip = Object.assign({ phone: '+256700000003', whatsapp: '+256700000004' }, bookings.driversTrip);
+  const request = Object.assign({ phone: '+256700000003' }, bookings.open);
+  assert.strictEqual(toDriverView(trip, driver.id).phone, '+256700000003');
+  assert.strictEqual(toDriverView(trip, driver.id).whatsapp, '+256700000004');
+  assert.strictEqual(toDriverView(request, driver.id).phone, undefined);
+  assert.strictEqual(toDriverView(request, driver.id).whatsapp, undefined);
+});
@@ -0,0 +1,92 @@
+// Booking lifecycle: each status change must be allowed for the caller's role and is recorded in the history.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { Booking, BOOKING_TRANSITIONS, canTransition, transitionBooking } = require('../server');
+const { fakeModel } = require('./helpers');
+
+const clientId = new mongoose.Types.ObjectId();
+const driverId = new mongoose.Types.ObjectId();
+const client = { id: String(clientId), role: 'client' };
+const driver = { id: String(driverId), role: 'driver' };
+const admin = { id: String(new mongoose.Types.ObjectId()), role: 'admin' };
+
+function booking(overrides = {}) {
+  return Object.assign({
+    _id: new mongoose.Types.ObjectId(),
+    user: clientId,
+    driver: driverId,
+    status: 'assigned',
+    pickup: 'Kampala',
+    destination: 'Entebbe',
+    statusHistory: []
+  }, overrides);
+}
+
+test('a trip runs assigned -> driver_en_route -> arrived -> in_progress -> completed by the driver only', () => {
+  const steps = ['assigned', 'driver_en_route', 'arrived', 'in_progress', 'completed'];
+  for (let i = 0; i < steps.length - 1; i++) {
+    assert.ok(canTransition(steps[i], steps[i + 1], 'driver'), `${steps[i]} -> ${steps[i + 1]}`);
+    assert.ok(!canTransition(steps[i], steps[i + 1], 'client'), `client ${steps[i]} -> ${steps[i + 1]}`);
+  }
+  assert.ok(!canTransition('assigned', 'in_progress', 'driver'));
+  assert.ok(!canTransition('driver_en_route', 'completed', 'driver'));
+});
+
+test('clients may cancel until the trip starts; drivers only once it is theirs', () => {
+  for (const from of ['pending', 'confirmed', 'assigned', 'driver_en_route', 'arrived']) {
+    assert.ok(canTransition(from, 'cancelled_by_client', 'client'), from);
+  }
+  assert.ok(!canTransition('in_progress', 'cancelled_by_client', 'client'));
+  assert.ok(!canTransition('pending', 'cancelled_by_driver', 'driver'));
+  assert.ok(canTransition('arrived', 'no_show', 'driver'));
+  assert.ok(!canTransition('driver_en_route', 'no_show', 'driver'));
+});
+
+test('admins may make any listed transition, but none out of a finished status', () => {
+  for (const [from, targets] of Object.entries(BOOKING_TRANSITIONS)) {
+    for (const to of Object.keys(targets)) assert.ok(canTransition(from, to, 'admin'), `${from} -> ${to}`);
+  }
+  for (const from of ['completed', 'cancelled', 'cancelled_by_client', 'cancelled_by_driver', 'no_show']) {
+    assert.ok(!canTransition(from, 'pending', 'admin'), from);
+    assert.ok(!canTransition(from, 'in_progress', 'admin'), from);
+  }
+  assert.ok(!canTransition('pending', 'bogus', 'admin'));
+});
+
+test('a transition updates the status and records who made it', async (t) => {
+  const [stored] = fakeModel(t, Booking, [booking()]);
+  const saved = await transitionBooking(stored._id, 'driver_en_route', driver, { note: 'On my way' });
+  assert.strictEqual(saved.status, 'driver_en_route');
+  assert.strictEqual(stored.statusHistory.length, 1);
+  const [entry] = stored.statusHistory;
+  assert.deepStrictEqual(
+    { from: entry.from, to: entry.to, actorId: entry.actorId, actorRole: entry.actorRole, note: entry.note },
+    { from: 'assigned', to: 'driver_en_route', actorId: driver.id, actorRole: 'driver', note: 'On my way' }
+  );
+  assert.ok(entry.at instanceof Date);
+});
+
+test('transitions that are not allowed are refused and change nothing', async (t) => {
+  const [stored] = fakeModel(t, Booking, [booking()]);
+  await assert.rejects(transitionBooking(stored._id, 'completed', driver), { statusCode: 409 });
+  await assert.rejects(transitionBooking(stored._id, 'driver_en_route', client), { statusCode: 409 });
+  await assert.rejects(transitionBooking(stored._id, 'bogus', admin), { statusCode: 400 });
+  assert.strictEqual(stored.status, 'assigned');
+  assert.strictEqual(stored.statusHistory.length, 0);
+});
+
+test('drivers may only progress their own trips, clients only their own bookings', async (t) => {
+  const [stored] = fakeModel(t, Booking, [booking()]);
+  const otherDriver = { id: String(new mongoose.Types.ObjectId()), role: 'driver' };
+  const otherClient = { id: String(new mongoose.Types.ObjectId()), role: 'client' };
+  await assert.rejects(transitionBooking(stored._id, 'driver_en_route', otherDriver), { statusCode: 403 });
+  await assert.rejects(transitionBooking(stored._id, 'cancelled_by_client', otherClient), { statusCode: 403 });
+  assert.strictEqual(stored.status, 'assigned');
+});
+
+test('unknown and malformed booking ids are not found', async (t) => {
+  fakeModel(t, Booking, []);
+  await assert.rejects(transitionBooking('not-an-id', 'cancelled', admin), { statusCode: 404 });
+  await assert.rejects(transitionBooking(new mongoose.Types.ObjectId(), 'cancelled', admin), { statusCode: 404 });
+});
@@ -0,0 +1,86 @@
+// Cancellation fees: free until a driver is assigned, then the highest applicable fee; the server's own
+// cancellations (series edits) never charge.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { AppSetting, Booking, cancellationFee, cancelBooking } = require('../server');
+const { fakeModel } = require('./helpers');
+
+const policy = { freeUntilAssigned: true, assignedFee: 3000, arrivedFee: 10000, lateWindowMinutes: 30, lateFee: 5000 };
+const now = new Date('2026-03-02T06:00:00Z');
+const minutesFromNow = n => new Date(now.getTime() + n * 60 * 1000);
+const clientId = new mongoose.Types.ObjectId();
+const client = { id: String(clientId), role: 'client' };
+const admin = { id: String(new mongoose.Types.ObjectId()), role: 'admin' };
+
+function booking(overrides = {}) {
+  return Object.assign({
+    _id: new mongoose.Types.ObjectId(),
+    user: clientId,
+    driver: new mongoose.Types.ObjectId(),
+    status: 'assigned',
+    scheduledAt: minutesFromNow(120),
+    fare: { total: 85000, currency: 'UGX' },
+    statusHistory: []
+  }, overrides);
+}
+
+test('no fee while no driver is assigned, even close to pickup', () => {
+  const quote = cancellationFee(booking({ driver: null, status: 'pending', scheduledAt: minutesFromNow(5) }), policy, now);
+  assert.deepStrictEqual(quote, { fee: 0, currency: 'UGX', rule: null });
+});
+
+test('the late fee applies without a driver when free-until-assigned is off', () => {
+  const quote = cancellationFee(booking({ driver: null, status: 'pending', scheduledAt: minutesFromNow(5) }), Object.assign({}, policy, { freeUntilAssigned: false }), now);
+  assert.deepStrictEqual(quote, { fee: 5000, currency: 'UGX', rule: 'late_cancellation' });
+});
+
+test('an assigned or en-route driver earns the assignment fee', () => {
+  assert.strictEqual(cancellationFee(booking(), policy, now).rule, 'after_assignment');
+  assert.strictEqual(cancellationFee(booking({ status: 'driver_en_route' }), policy, now).fee, 3000);
+});
+
+test('a driver waiting at pickup earns the arrival fee', () => {
+  assert.deepStrictEqual(cancellationFee(booking({ status: 'arrived' }), policy, now), { fee: 10000, currency: 'UGX', rule: 'after_arrival' });
+});
+
+test('the highest applicable fee wins', () => {
+  // Late (5000) beats assigned (3000); arrived (10000) beats late
+  assert.strictEqual(cancellationFee(booking({ scheduledAt: minutesFromNow(10) }), policy, now).rule, 'late_cancellation');
+  assert.strictEqual(cancellationFee(booking({ status: 'arrived', scheduledAt: minutesFromNow(10) }), policy, now).rule, 'after_arrival');
+});
+
+test('zero fees are not charged and the booking currency is kept', () => {
+  const free = Object.assign({}, policy, { assignedFee: 0 });
+  assert.deepStrictEqual(cancellationFee(booking({ fare: { currency: 'KES' } }), free, now), { fee: 0, currency: 'KES', rule: null });
+});
+
+test('a client cancellation records the fee from the saved policy', async (t) => {
+  fakeModel(t, AppSetting, [{ key: 'cancellationPolicy', value: { assignedFee: 4000 } }]);
+  const [stored] = fakeModel(t, Booking, [booking({ scheduledAt: new Date(Date.now() + 3 * 3600 * 1000) })]);
+  await cancelBooking(stored._id, client, { reason: 'change_of_plans' });
+  assert.strictEqual(stored.status, 'cancelled_by_client');
+  assert.deepStrictEqual(
+    { fee: stored.cancellation.fee, rule: stored.cancellation.feeRule, reason: stored.cancellation.reason },
+    { fee: 4000, rule: 'after_assignment', reason: 'change_of_plans' }
+  );
+});
+
+test('admins charge only when asked, and waived cancellations never charge', async (t) => {
+  fakeModel(t, AppSetting, []);
+  const [plain, charged, series] = fakeModel(t, Booking, [booking({ status: 'arrived' }), booking({ status: 'arrived' }), booking({ status: 'arrived' })]);
+  await cancelBooking(plain._id, admin, { reason: 'customer_request' });
+  await cancelBooking(charged._id, admin, { reason: 'customer_request', applyFee: true });
+  await cancelBooking(series._id, admin, { reason: 'series_cancelled', applyFee: true, waiveFee: true });
+  assert.strictEqual(plain.cancellation.fee, 0);
+  assert.strictEqual(charged.cancellation.fee, 10000);
+  assert.strictEqual(series.cancellation.fee, 0);
+  assert.strictEqual(series.cancellation.reason, 'series_cancelled');
+});
+
+test('reasons outside the role\'s list and the internal ones are refused', async (t) => {
+  const [stored] = fakeModel(t, Booking, [booking()]);
+  await assert.rejects(cancelBooking(stored._id, client, { reason: 'fraud' }), { statusCode: 400 });
+  await assert.rejects(cancelBooking(stored._id, client, { reason: 'bogus' }), { statusCode: 400 });
+  assert.strictEqual(stored.status, 'assigned');
+});
@@ -0,0 +1,149 @@
+// Dispatch: a booking is offered to one driver at a time, nearest first, moving on when an offer is
+// rejected or lapses, and escalated to the admins when nobody is left or DISPATCH_MAX_OFFERS is reached.
+process.env.DISPATCH_STRATEGY = 'nearest';
+process.env.DISPATCH_MAX_OFFERS = '3';
+process.env.DRIVER_REQUIRED_DOCUMENTS = 'licence';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { Booking, DriverProfile, Job, offerNextDriver, closeDispatchOffer } = require('../server');
+const { fakeModel } = require('./helpers');
+
+const pickup = { lat: 0.3476, lng: 32.5825 };
+// Nearest first, as the $nearSphere query returns them
+const near = new mongoose.Types.ObjectId();
+const middle = new mongoose.Types.ObjectId();
+const far = new mongoose.Types.ObjectId();
+
+function driverProfile(user, lat, lng, overrides = {}) {
+  return Object.assign({
+    user,
+    status: 'approved',
+    online: true,
+    location: { type: 'Point', coordinates: [lng, lat] },
+    licence: { number: 'UG-123', expiresAt: new Date(Date.now() + 365 * 24 * 3600 * 1000) },
+    documents: [{ type: 'licence' }],
+    workingHours: []
+  }, overrides);
+}
+
+function searching(overrides = {}) {
+  return Object.assign({
+    _id: new mongoose.Types.ObjectId(),
+    status: 'pending',
+    driver: null,
+    pickup: 'Kampala',
+    destination: 'Entebbe',
+    pickupLat: pickup.lat,
+    pickupLng: pickup.lng,
+    rejectedBy: [],
+    dispatch: { state: 'searching', startedAt: new Date(Date.now() - 60 * 1000), attempt: 0, offers: [] }
+  }, overrides);
+}
+
+// Drivers near the pickup, and the offer timeouts queued for them; returns the queued jobs
+function onDuty(t, profiles) {
+  t.mock.method(DriverProfile, 'find', () => ({ limit: async () => profiles }));
+  const jobs = [];
+  t.mock.method(Job.prototype, 'save', async function () { jobs.push(this); return this; });
+  return jobs;
+}
+
+const allDrivers = () => [
+  driverProfile(near, 0.35, 32.58),
+  driverProfile(middle, 0.36, 32.59),
+  driverProfile(far, 0.40, 32.60)
+];
+
+test('the nearest driver is offered the ride first and the offer times out', async (t) => {
+  const jobs = onDuty(t, allDrivers());
+  const [booking] = fakeModel(t, Booking, [searching()]);
+
+  await offerNextDriver(booking._id);
+  assert.strictEqual(booking.dispatch.state, 'offered');
+  assert.strictEqual(String(booking.dispatch.offeredTo), String(near));
+  assert.strictEqual(booking.dispatch.attempt, 1);
+  assert.strictEqual(booking.dispatch.offers.length, 1);
+  assert.ok(booking.dispatch.offers[0].distanceKm < 1);
+
+  assert.strictEqual(jobs.length, 1);
+  assert.strictEqual(jobs[0].type, 'dispatch_timeout');
+  assert.deepStrictEqual(jobs[0].payload, { bookingId: String(booking._id), driverId: String(near), attempt: 1 });
+  assert.strictEqual(jobs[0].runAt.getTime(), booking.dispatch.offerExpiresAt.getTime());
+});
+
+test('a rejected or lapsed offer moves on to the next driver, then escalates after the last offer', async (t) => {
+  onDuty(t, allDrivers());
+  const [booking] = fakeModel(t, Booking, [searching()]);
+
+  await offerNextDriver(booking._id);
+  assert.ok(await closeDispatchOffer(booking._id, near, 'rejected'));
+  assert.strictEqual(booking.dispatch.offers[0].outcome, 'rejected');
+
+  await offerNextDriver(booking._id);
+  assert.strictEqual(String(booking.dispatch.offeredTo), String(middle));
+  assert.ok(await closeDispatchOffer(booking._id, middle, 'expired', 2));
+
+  await offerNextDriver(booking._id);
+  assert.strictEqual(String(booking.dispatch.offeredTo), String(far));
+  assert.ok(await closeDispatchOffer(booking._id, far, 'expired', 3));
+
+  await offerNextDriver(booking._id);
+  assert.strictEqual(booking.dispatch.state, 'escalated');
+  assert.strictEqual(booking.dispatch.escalationReason, 'No driver accepted after 3 offers');
+  assert.deepStrictEqual(booking.dispatch.offers.map(o => o.outcome), ['rejected', 'expired', 'expired']);
+});
+
+test('the cascade escalates once every nearby driver has had the offer', async (t) => {
+  onDuty(t, allDrivers().slice(0, 1));
+  const [booking] = fakeModel(t, Booking, [searching()]);
+  await offerNextDriver(booking._id);
+  await closeDispatchOffer(booking._id, near, 'expired', 1);
+  await offerNextDriver(booking._id);
+  assert.strictEqual(booking.dispatch.state, 'escalated');
+  assert.strictEqual(booking.dispatch.escalationReason, 'No more drivers available');
+});
+
+test('a timeout for an offer that was already answered changes nothing', async (t) => {
+  onDuty(t, allDrivers());
+  const [booking] = fakeModel(t, Booking, [searching()]);
+  await offerNextDriver(booking._id);
+  await closeDispatchOffer(booking._id, near, 'rejected');
+  await offerNextDriver(booking._id);
+
+  assert.strictEqual(await closeDispatchOffer(booking._id, near, 'expired', 1), null);
+  assert.strictEqual(await closeDispatchOffer(booking._id, middle, 'expired', 1), null);
+  assert.strictEqual(String(booking.dispatch.offeredTo), String(middle));
+  assert.strictEqual(booking.dispatch.offers[1].outcome, undefined);
+});
+
+test('drivers on a trip, holding another offer, who rejected the ride or are ineligible are skipped', async (t) => {
+  const [busy, offered] = [new mongoose.Types.ObjectId(), new mongoose.Types.ObjectId()];
+  const [booking] = fakeModel(t, Booking, [
+    searching({ rejectedBy: [far] }),
+    searching({ driver: busy, status: 'in_progress' }),
+    searching({ dispatch: { state: 'offered', offeredTo: offered, offers: [] } })
+  ]);
+  onDuty(t, [
+    driverProfile(busy, 0.348, 32.582),
+    driverProfile(offered, 0.349, 32.583),
+    driverProfile(near, 0.35, 32.58),
+    driverProfile(middle, 0.36, 32.59, { licence: { number: 'UG-123', expiresAt: new Date(Date.now() - 1000) } }),
+    driverProfile(far, 0.40, 32.60)
+  ]);
+
+  await offerNextDriver(booking._id);
+  assert.strictEqual(String(booking.dispatch.offeredTo), String(near));
+  await closeDispatchOffer(booking._id, near, 'rejected');
+  await offerNextDriver(booking._id);
+  assert.strictEqual(booking.dispatch.state, 'escalated');
+});
+
+test('a booking that was assigned meanwhile stops dispatching', async (t) => {
+  const jobs = onDuty(t, allDrivers());
+  const [booking] = fakeModel(t, Booking, [searching({ driver: near, status: 'assigned' })]);
+  assert.strictEqual(await offerNextDriver(booking._id), null);
+  assert.strictEqual(booking.dispatch.state, 'stopped');
+  assert.strictEqual(jobs.length, 0);
+});
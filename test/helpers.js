@@ -0,0 +1,171 @@
+// Shared by the tests: an in-memory stand-in for the Mongoose models the code under test touches,
+// and a helper that serves the app on a free port. No MongoDB is needed.
+const { before, after } = require('node:test');
+const mongoose = require('mongoose');
+
+// Anything a test does not fake fails at once instead of waiting for a connection
+mongoose.set('bufferCommands', false);
+
+function same(a, b) {
+  if (a == null || b == null) return a == null && b == null;
+  if (a instanceof Date || b instanceof Date) return new Date(a).getTime() === new Date(b).getTime();
+  return String(a) === String(b);
+}
+
+function valueAt(doc, path) {
+  return path.split('.').reduce((v, key) => (v == null ? undefined : v[key]), doc);
+}
+
+const OPERATORS = {
+  $in: (v, list) => list.some(x => (Array.isArray(v) ? v.some(y => same(y, x)) : same(v, x))),
+  $nin: (v, list) => !OPERATORS.$in(v, list),
+  $ne: (v, x) => (Array.isArray(v) ? !v.some(y => same(y, x)) : !same(v, x)),
+  $lt: (v, x) => v != null && v < x,
+  $lte: (v, x) => v != null && v <= x,
+  $gt: (v, x) => v != null && v > x,
+  $gte: (v, x) => v != null && v >= x,
+  $exists: (v, x) => (v !== undefined) === !!x,
+  $regex: (v, x, cond) => typeof v === 'string' && new RegExp(x, cond.$options).test(v),
+  $options: () => true,
+  $elemMatch: (v, f) => Array.isArray(v) && v.some(x => matches(x, f))
+};
+
+function isOperatorObject(value) {
+  return value && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value) &&
+    Object.keys(value).length > 0 && Object.keys(value).every(k => k.startsWith('$'));
+}
+
+// The subset of MongoDB query syntax the server's filters use
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([key, cond]) => {
+    if (key === '$or') return cond.some(f => matches(doc, f));
+    if (key === '$and') return cond.every(f => matches(doc, f));
+    const value = valueAt(doc, key);
+    if (isOperatorObject(cond)) return Object.entries(cond).every(([op, arg]) => OPERATORS[op](value, arg, cond));
+    return Array.isArray(value) && !Array.isArray(cond) ? value.some(v => same(v, cond)) : same(value, cond);
+  });
+}
+
+function setAt(doc, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((v, key) => (v[key] = v[key] || {}), doc);
+  target[last] = value;
+}
+
+// "list.$.field" -> "list.<index>.field", the element the filter's $elemMatch on "list" matched
+function positional(doc, path, filter) {
+  if (!path.includes('.$.')) return path;
+  const [list, rest] = path.split('.$.');
+  const cond = (filter[list] || {}).$elemMatch || {};
+  return `${list}.${(valueAt(doc, list) || []).findIndex(x => matches(x, cond))}.${rest}`;
+}
+
+function applyUpdate(doc, update, filter = {}) {
+  const ops = Object.keys(update).some(k => k.startsWith('$')) ? update : { $set: update };
+  for (const [path, value] of Object.entries(ops.$set || {})) setAt(doc, positional(doc, path, filter), value);
+  for (const [path, value] of Object.entries(ops.$inc || {})) setAt(doc, path, (valueAt(doc, path) || 0) + value);
+  for (const [path, value] of Object.entries(ops.$push || {})) setAt(doc, path, (valueAt(doc, path) || []).concat([value]));
+  for (const [path, value] of Object.entries(ops.$addToSet || {})) {
+    const list = valueAt(doc, path) || [];
+    setAt(doc, path, list.some(v => same(v, value)) ? list : list.concat([value]));
+  }
+  for (const path of Object.keys(ops.$unset || {})) setAt(doc, path, undefined);
+}
+
+// Plain objects and arrays are copied; ObjectIds, Dates and functions are shared
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, clone(v)]));
+  }
+  return value;
+}
+
+// A copy handed to the code under test, so it only changes `docs` through the model
+function copy(doc) {
+  if (!doc) return null;
+  const out = clone(doc);
+  Object.defineProperty(out, 'toObject', { value: () => clone(doc) });
+  return out;
+}
+
+// Resolves like a Mongoose query and ignores sort/select/lean/populate
+function query(result) {
+  const q = Promise.resolve(result);
+  for (const name of ['sort', 'select', 'lean', 'populate', 'limit', 'skip']) q[name] = () => q;
+  return q;
+}
+
+// Replace Model's query statics with versions backed by `docs` (plain objects, changed in place)
+// for the rest of test `t`. Returns `docs`.
+function fakeModel(t, Model, docs = []) {
+  const find = filter => docs.filter(d => matches(d, filter));
+  const stub = (name, fn) => t.mock.method(Model, name, fn);
+
+  stub('find', filter => query(find(filter).map(copy)));
+  stub('findOne', filter => query(copy(find(filter)[0])));
+  stub('findById', id => query(copy(find({ _id: id })[0])));
+  stub('exists', filter => query(find(filter).length ? { _id: find(filter)[0]._id } : null));
+  stub('countDocuments', filter => query(find(filter).length));
+  stub('distinct', (path, filter) => {
+    const values = find(filter).map(d => valueAt(d, path)).filter(v => v != null);
+    return query(values.filter((v, i) => values.findIndex(w => same(v, w)) === i));
+  });
+  stub('create', async doc => {
+    const created = Object.assign({ _id: new mongoose.Types.ObjectId() }, doc);
+    docs.push(created);
+    return copy(created);
+  });
+  stub('findOneAndUpdate', (filter, update, options = {}) => {
+    const doc = find(filter)[0];
+    if (!doc) return query(null);
+    const before = copy(doc);
+    applyUpdate(doc, update, filter);
+    return query(options.new ? copy(doc) : before);
+  });
+  stub('findByIdAndUpdate', (id, update, options) => Model.findOneAndUpdate({ _id: id }, update, options));
+  stub('updateOne', (filter, update) => {
+    const doc = find(filter)[0];
+    if (doc) applyUpdate(doc, update, filter);
+    return query({ matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 });
+  });
+  stub('updateMany', (filter, update) => {
+    const found = find(filter);
+    found.forEach(doc => applyUpdate(doc, update, filter));
+    return query({ matchedCount: found.length, modifiedCount: found.length });
+  });
+  stub('deleteOne', filter => {
+    const doc = find(filter)[0];
+    if (doc) docs.splice(docs.indexOf(doc), 1);
+    return query({ deletedCount: doc ? 1 : 0 });
+  });
+  stub('deleteMany', filter => {
+    const found = find(filter);
+    found.forEach(doc => docs.splice(docs.indexOf(doc), 1));
+    return query({ deletedCount: found.length });
+  });
+  return docs;
+}
+
+// Make routes that check mongoose.connection.readyState act as if MongoDB were up, for test `t`
+function pretendConnected(t) {
+  const connection = mongoose.connection;
+  Object.defineProperty(connection, 'readyState', { configurable: true, get: () => 1 });
+  t.after(() => { delete connection.readyState; });
+}
+
+// Serve `app` on a free port for the tests in this file; returns { url } once listening
+function serve(app) {
+  const server = { url: null };
+  let listener;
+  before(async () => {
+    listener = app.listen(0);
+    await new Promise(resolve => listener.once('listening', resolve));
+    server.url = `http://127.0.0.1:${listener.address().port}`;
+  });
+  after(() => new Promise(resolve => listener.close(resolve)));
+  return server;
+}
+
+module.exports = { matches, fakeModel, pretendConnected, serve };
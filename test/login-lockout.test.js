@@ -0,0 +1,85 @@
+// Login brute-force protection: LOGIN_LOCKOUT_THRESHOLD failures lock the identifier, whatever the password.
+process.env.LOGIN_LOCKOUT_THRESHOLD = '3';
+process.env.RATE_LIMIT_AUTH = '1000/15m';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const { app, Session, User } = require('../server');
+const { fakeModel, serve } = require('./helpers');
+
+const PASSWORD = 'correct horse';
+const passwordHash = bcrypt.hashSync(PASSWORD, 4);
+const server = serve(app);
+
+// One account per test, found by its email
+function signedUp(t, email) {
+  fakeModel(t, Session, []);
+  return fakeModel(t, User, [{
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Test Client',
+    email,
+    phone: null,
+    password: passwordHash,
+    role: 'client',
+    comparePassword: candidate => bcrypt.compare(candidate, passwordHash)
+  }])[0];
+}
+
+function login(identifier, password) {
+  return fetch(`${server.url}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ identifier, password })
+  });
+}
+
+test('the right password signs in', async (t) => {
+  signedUp(t, 'ok@example.com');
+  const res = await login('ok@example.com', PASSWORD);
+  assert.strictEqual(res.status, 200);
+  const body = await res.json();
+  assert.ok(body.token && body.refreshToken);
+});
+
+test('after the threshold of failures the identifier is locked, even for the right password', async (t) => {
+  signedUp(t, 'locked@example.com');
+  for (let i = 0; i < 3; i++) {
+    assert.strictEqual((await login('locked@example.com', 'wrong')).status, 401);
+  }
+  const res = await login('locked@example.com', PASSWORD);
+  assert.strictEqual(res.status, 429);
+  assert.ok(Number(res.headers.get('retry-after')) > 0);
+});
+
+test('the lock applies whatever the identifier case', async (t) => {
+  signedUp(t, 'case@example.com');
+  for (let i = 0; i < 3; i++) await login('case@example.com', 'wrong');
+  assert.strictEqual((await login('CASE@example.com', PASSWORD)).status, 429);
+});
+
+test('failures for unknown identifiers count too', async (t) => {
+  signedUp(t, 'someone@example.com');
+  for (let i = 0; i < 3; i++) {
+    assert.strictEqual((await login('nobody@example.com', 'guess')).status, 401);
+  }
+  assert.strictEqual((await login('nobody@example.com', 'guess')).status, 429);
+});
+
+test('locking one identifier does not lock another', async (t) => {
+  signedUp(t, 'other@example.com');
+  for (let i = 0; i < 3; i++) await login('target@example.com', 'wrong');
+  assert.strictEqual((await login('target@example.com', PASSWORD)).status, 429);
+  assert.strictEqual((await login('other@example.com', PASSWORD)).status, 200);
+});
+
+test('a successful sign-in clears earlier failures', async (t) => {
+  signedUp(t, 'reset@example.com');
+  await login('reset@example.com', 'wrong');
+  await login('reset@example.com', 'wrong');
+  assert.strictEqual((await login('reset@example.com', PASSWORD)).status, 200);
+  await login('reset@example.com', 'wrong');
+  await login('reset@example.com', 'wrong');
+  assert.strictEqual((await login('reset@example.com', PASSWORD)).status, 200);
+});
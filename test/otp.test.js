@@ -0,0 +1,74 @@
+// One-time codes: every guess uses up an attempt, and once OTP_MAX_ATTEMPTS are used even the right code fails.
+process.env.OTP_MAX_ATTEMPTS = '3';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { OtpCode, hashOtp, verifyOtp } = require('../server');
+const { fakeModel } = require('./helpers');
+
+const user = { _id: new mongoose.Types.ObjectId() };
+
+function liveCode() {
+  return {
+    _id: new mongoose.Types.ObjectId(),
+    user: user._id,
+    purpose: 'password_reset',
+    codeHash: hashOtp('123456'),
+    attempts: 0,
+    consumedAt: null,
+    expiresAt: new Date(Date.now() + 10 * 60 * 1000),
+    createdAt: new Date()
+  };
+}
+
+test('the right code is accepted once and consumed', async (t) => {
+  const [code] = fakeModel(t, OtpCode, [liveCode()]);
+  await verifyOtp(user, 'password_reset', ' 123456 ');
+  assert.ok(code.consumedAt instanceof Date);
+  await assert.rejects(verifyOtp(user, 'password_reset', '123456'), { statusCode: 400 });
+});
+
+test('each wrong code counts as an attempt', async (t) => {
+  const [code] = fakeModel(t, OtpCode, [liveCode()]);
+  await assert.rejects(verifyOtp(user, 'password_reset', '000000'), { statusCode: 400, message: 'Invalid code' });
+  await assert.rejects(verifyOtp(user, 'password_reset', '111111'), { statusCode: 400, message: 'Invalid code' });
+  assert.strictEqual(code.attempts, 2);
+  assert.strictEqual(code.consumedAt, null);
+});
+
+test('after OTP_MAX_ATTEMPTS wrong codes even the right one is refused', async (t) => {
+  const [code] = fakeModel(t, OtpCode, [liveCode()]);
+  for (const guess of ['000000', '111111', '222222']) {
+    await assert.rejects(verifyOtp(user, 'password_reset', guess), { statusCode: 400 });
+  }
+  await assert.rejects(verifyOtp(user, 'password_reset', '123456'), { statusCode: 429 });
+  assert.strictEqual(code.attempts, 3);
+  assert.strictEqual(code.consumedAt, null);
+});
+
+test('concurrent guesses cannot exceed OTP_MAX_ATTEMPTS', async (t) => {
+  const [code] = fakeModel(t, OtpCode, [liveCode()]);
+  const guesses = ['000001', '000002', '000003', '000004', '000005', '000006', '000007', '000008'];
+  const results = await Promise.allSettled(guesses.map(guess => verifyOtp(user, 'password_reset', guess)));
+  const statuses = results.map(r => r.reason.statusCode);
+  assert.strictEqual(statuses.filter(s => s === 400).length, 3);
+  assert.strictEqual(statuses.filter(s => s === 429).length, guesses.length - 3);
+  assert.strictEqual(code.attempts, 3);
+});
+
+test('a code for another purpose does not verify', async (t) => {
+  const [code] = fakeModel(t, OtpCode, [liveCode()]);
+  await assert.rejects(verifyOtp(user, 'phone_verify', '123456'), { statusCode: 400 });
+  assert.strictEqual(code.consumedAt, null);
+});
+
+test('two concurrent redemptions of one code: only one succeeds', async (t) => {
+  fakeModel(t, OtpCode, [liveCode()]);
+  const results = await Promise.allSettled([
+    verifyOtp(user, 'password_reset', '123456'),
+    verifyOtp(user, 'password_reset', '123456')
+  ]);
+  assert.deepStrictEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+  assert.strictEqual(results.find(r => r.status === 'rejected').reason.message, 'Code already used');
+});
@@ -0,0 +1,77 @@
+// Payment callbacks: only callbacks signed with PAYMENT_WEBHOOK_SECRET reach the payment lookup.
+process.env.PAYMENT_MOCK_ENABLED = 'true';
+process.env.PAYMENT_WEBHOOK_SECRET = 'test-webhook-secret';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { app, Payment, paymentSignature } = require('../server');
+const { fakeModel, serve } = require('./helpers');
+
+const server = serve(app);
+
+function postCallback(body, headers = {}) {
+  return fetch(`${server.url}/api/payments/callback/mock`, {
+    method: 'POST',
+    headers: Object.assign({ 'Content-Type': 'application/json' }, headers),
+    body
+  });
+}
+
+function signed(body, timestamp = Date.now()) {
+  return { 'X-Timestamp': String(timestamp), 'X-Signature': paymentSignature(timestamp, body) };
+}
+
+// A payment that has already settled, so an accepted callback changes nothing
+function settledPayment() {
+  return { _id: new mongoose.Types.ObjectId(), provider: 'mock', providerRef: 'tx-1', status: 'succeeded' };
+}
+
+test('signature is an HMAC-SHA256 of "<timestamp>.<raw body>" with the webhook secret', () => {
+  const expected = crypto.createHmac('sha256', 'test-webhook-secret').update('123.{"a":1}').digest('hex');
+  assert.strictEqual(paymentSignature(123, '{"a":1}'), expected);
+});
+
+test('callback with a valid signature reaches the payment', async (t) => {
+  const payment = settledPayment();
+  fakeModel(t, Payment, [payment]);
+  const body = JSON.stringify({ reference: String(payment._id), transactionId: 'tx-1', status: 'failed' });
+
+  const res = await postCallback(body, signed(body));
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(await res.json(), { received: true, status: 'succeeded' });
+});
+
+test('callback without a signature is rejected', async (t) => {
+  const payment = settledPayment();
+  fakeModel(t, Payment, [payment]);
+  const res = await postCallback(JSON.stringify({ reference: String(payment._id), status: 'failed' }));
+  assert.strictEqual(res.status, 401);
+  assert.strictEqual(Payment.findById.mock.callCount(), 0);
+});
+
+test('callback whose body was changed after signing is rejected', async () => {
+  const body = JSON.stringify({ reference: 'x', status: 'failed' });
+  const res = await postCallback(body.replace('failed', 'succeeded'), signed(body));
+  assert.strictEqual(res.status, 401);
+});
+
+test('callback signed with another secret is rejected', async () => {
+  const body = JSON.stringify({ reference: 'x', status: 'succeeded' });
+  const timestamp = Date.now();
+  const signature = crypto.createHmac('sha256', 'wrong-secret').update(`${timestamp}.${body}`).digest('hex');
+  const res = await postCallback(body, { 'X-Timestamp': String(timestamp), 'X-Signature': signature });
+  assert.strictEqual(res.status, 401);
+});
+
+test('callback with a stale timestamp is rejected even when correctly signed', async () => {
+  const body = JSON.stringify({ reference: 'x', status: 'succeeded' });
+  const res = await postCallback(body, signed(body, Date.now() - 10 * 60 * 1000));
+  assert.strictEqual(res.status, 401);
+});
+
+test('callbacks for providers that are not configured are not found', async () => {
+  const res = await fetch(`${server.url}/api/payments/callback/airtel`, { method: 'POST', body: JSON.stringify({ transaction: { id: 'x' } }) });
+  assert.strictEqual(res.status, 404);
+});
@@ -0,0 +1,129 @@
+// Fare quotes: a booking may only use a live, unused quote for the same caller, route, service and pickup time.
+process.env.FARE_QUOTE_TIME_TOLERANCE_MINUTES = '15';
+process.env.ROUTING_PROVIDER = 'haversine';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const { app, FareQuote, FareRule, Session, loadQuoteForBooking, claimQuote, startSession } = require('../server');
+const { fakeModel, pretendConnected, serve } = require('./helpers');
+
+const server = serve(app);
+const owner = new mongoose.Types.ObjectId();
+const pickupAt = new Date('2026-03-02T06:30:00Z');
+
+function quoteFor(overrides = {}) {
+  return Object.assign({
+    _id: new mongoose.Types.ObjectId(),
+    user: owner,
+    serviceType: 'airport',
+    originLat: 0.3476, originLng: 32.5825, destLat: 0.0424, destLng: 32.4435,
+    pickupAt,
+    total: 85000,
+    priceRange: { lower: 80000, upper: 90000 },
+    usedAt: null,
+    booking: null,
+    expiresAt: new Date(Date.now() + 30 * 60 * 1000)
+  }, overrides);
+}
+
+// The booking request that matches quoteFor()
+function trip(overrides = {}) {
+  return Object.assign({
+    userId: owner,
+    pickupLat: '0.3476', pickupLng: '32.5825', destLat: '0.0424', destLng: '32.4435',
+    serviceType: 'airport',
+    scheduledAt: pickupAt
+  }, overrides);
+}
+
+test('a matching quote is returned', async (t) => {
+  const [stored] = fakeModel(t, FareQuote, [quoteFor()]);
+  const quote = await loadQuoteForBooking(stored._id, trip());
+  assert.strictEqual(quote.total, 85000);
+});
+
+test('a missing, malformed, unknown or expired quote is refused', async (t) => {
+  const [stored] = fakeModel(t, FareQuote, [quoteFor({ expiresAt: new Date(Date.now() - 1000) })]);
+  await assert.rejects(loadQuoteForBooking(undefined, trip()), { statusCode: 400 });
+  await assert.rejects(loadQuoteForBooking('not-an-id', trip()), { statusCode: 400 });
+  await assert.rejects(loadQuoteForBooking(new mongoose.Types.ObjectId(), trip()), { statusCode: 400 });
+  await assert.rejects(loadQuoteForBooking(stored._id, trip()), { statusCode: 400 });
+});
+
+test('a signed-in caller\'s quote is theirs alone; an anonymous one is anyone\'s', async (t) => {
+  const [mine, anonymous] = fakeModel(t, FareQuote, [quoteFor(), quoteFor({ user: null })]);
+  const someoneElse = new mongoose.Types.ObjectId();
+  await assert.rejects(
+    loadQuoteForBooking(mine._id, trip({ userId: someoneElse })),
+    { statusCode: 400, message: 'Fare quote does not belong to this account' }
+  );
+  await loadQuoteForBooking(anonymous._id, trip({ userId: someoneElse }));
+});
+
+test('the route and service must match the quote', async (t) => {
+  const [stored] = fakeModel(t, FareQuote, [quoteFor()]);
+  await assert.rejects(loadQuoteForBooking(stored._id, trip({ destLat: '0.0500' })), { statusCode: 400 });
+  await assert.rejects(loadQuoteForBooking(stored._id, trip({ pickupLng: '32.6000' })), { statusCode: 400 });
+  await assert.rejects(loadQuoteForBooking(stored._id, trip({ serviceType: 'standard' })), { statusCode: 400 });
+});
+
+test('the pickup time must be within the tolerance of the quoted one', async (t) => {
+  const [stored] = fakeModel(t, FareQuote, [quoteFor()]);
+  const minutes = n => new Date(pickupAt.getTime() + n * 60 * 1000);
+  await loadQuoteForBooking(stored._id, trip({ scheduledAt: minutes(14) }));
+  await loadQuoteForBooking(stored._id, trip({ scheduledAt: minutes(-14) }));
+  // e.g. quoted off-peak, then booked for the morning peak
+  await assert.rejects(loadQuoteForBooking(stored._id, trip({ scheduledAt: minutes(90) })), { statusCode: 400 });
+  await assert.rejects(loadQuoteForBooking(stored._id, trip({ scheduledAt: minutes(-16) })), { statusCode: 400 });
+});
+
+test('a quote books one ride only, even when two bookings race for it', async (t) => {
+  const [stored] = fakeModel(t, FareQuote, [quoteFor()]);
+  const quote = await loadQuoteForBooking(stored._id, trip());
+  const results = await Promise.allSettled([
+    claimQuote(quote, new mongoose.Types.ObjectId()),
+    claimQuote(quote, new mongoose.Types.ObjectId())
+  ]);
+  assert.deepStrictEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+  assert.ok(stored.usedAt instanceof Date && stored.booking);
+  await assert.rejects(loadQuoteForBooking(stored._id, trip()), { statusCode: 409 });
+});
+
+test('GET /api/calculate-price: owner only from an active session, no invented traffic level', async (t) => {
+  pretendConnected(t);
+  fakeModel(t, FareRule, []);
+  const quotes = fakeModel(t, FareQuote, []);
+  const sessions = fakeModel(t, Session, []);
+  const user = { _id: owner, phone: '+256700000001', role: 'client', phoneVerified: true };
+  const { token } = await startSession(user, { headers: {}, ip: '127.0.0.1' });
+
+  const url = `${server.url}/api/calculate-price?origin=0.3476,32.5825&destination=0.0424,32.4435&serviceType=airport`;
+  const signedIn = await fetch(url, { headers: { Authorization: `Bearer ${token}` } });
+  assert.strictEqual(signedIn.status, 200);
+  assert.strictEqual((await signedIn.json()).traffic_level, null);
+  assert.strictEqual(String(quotes[0].user), String(owner));
+
+  // A signed-out session's token is not honoured, but quoting still works
+  const otherToken = (await startSession(user, { headers: {}, ip: '127.0.0.1' })).token;
+  sessions[1].revokedAt = new Date();
+  const signedOut = await fetch(url, { headers: { Authorization: `Bearer ${otherToken}` } });
+  assert.strictEqual(signedOut.status, 200);
+  assert.strictEqual(quotes[1].user, null);
+});
+
+test('DELETE /api/admin/fare-rules/:serviceType refuses unknown service types', async (t) => {
+  pretendConnected(t);
+  const rules = fakeModel(t, FareRule, [{ _id: new mongoose.Types.ObjectId(), serviceType: 'airport', perKm: 2000 }]);
+  fakeModel(t, Session, []);
+  const admin = { _id: new mongoose.Types.ObjectId(), phone: '+256700000009', role: 'admin', phoneVerified: true };
+  const { token } = await startSession(admin, { headers: {}, ip: '127.0.0.1' });
+  const remove = serviceType => fetch(`${server.url}/api/admin/fare-rules/${serviceType}`, { method: 'DELETE', headers: { Authorization: `Bearer ${token}` } });
+
+  assert.strictEqual((await remove('airprot')).status, 400);
+  assert.strictEqual(rules.length, 1);
+  const res = await remove('airport');
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual((await res.json()).rule.serviceType, 'airport');
+  assert.strictEqual(rules.length, 0);
+});
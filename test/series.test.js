@@ -0,0 +1,66 @@
+// Recurring bookings: which dates a series runs on and at what time, and how a rule is validated.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { seriesTimeOn, seriesOccurrences, parseSeriesInput } = require('../server');
+
+// Weekdays at 07:30 from Monday 2 March 2026
+function series(overrides = {}) {
+  return Object.assign({
+    status: 'active',
+    days: [1, 2, 3, 4, 5],
+    time: '07:30',
+    startDate: '2026-03-02',
+    endDate: null,
+    skipDates: [],
+    exceptions: []
+  }, overrides);
+}
+
+const dates = list => list.map(o => o.date);
+
+test('a weekday series runs Monday to Friday and not at the weekend', () => {
+  const occurrences = seriesOccurrences(series(), '2026-03-02', '2026-03-08');
+  assert.deepStrictEqual(dates(occurrences), ['2026-03-02', '2026-03-03', '2026-03-04', '2026-03-05', '2026-03-06']);
+  assert.ok(occurrences.every(o => o.time === '07:30'));
+});
+
+test('weekdays count from Sunday = 0', () => {
+  assert.deepStrictEqual(dates(seriesOccurrences(series({ days: [0, 6] }), '2026-03-02', '2026-03-15')), ['2026-03-07', '2026-03-08', '2026-03-14', '2026-03-15']);
+});
+
+test('nothing before the start date, and the end date is inclusive', () => {
+  const bounded = series({ days: [0, 1, 2, 3, 4, 5, 6], startDate: '2026-03-04', endDate: '2026-03-06' });
+  assert.deepStrictEqual(dates(seriesOccurrences(bounded, '2026-03-01', '2026-03-10')), ['2026-03-04', '2026-03-05', '2026-03-06']);
+});
+
+test('the expansion crosses month and year ends', () => {
+  const daily = series({ days: [0, 1, 2, 3, 4, 5, 6], startDate: '2026-02-27' });
+  assert.deepStrictEqual(dates(seriesOccurrences(daily, '2026-02-27', '2026-03-02')), ['2026-02-27', '2026-02-28', '2026-03-01', '2026-03-02']);
+  assert.deepStrictEqual(dates(seriesOccurrences(daily, '2026-12-31', '2027-01-01')), ['2026-12-31', '2027-01-01']);
+});
+
+test('skipped dates are left out and exceptions move the pickup time', () => {
+  const edited = series({ skipDates: ['2026-03-03'], exceptions: [{ date: '2026-03-04', time: '09:00' }] });
+  assert.deepStrictEqual(seriesOccurrences(edited, '2026-03-02', '2026-03-04'), [
+    { date: '2026-03-02', time: '07:30' },
+    { date: '2026-03-04', time: '09:00' }
+  ]);
+  assert.strictEqual(seriesTimeOn(edited, '2026-03-03'), null);
+});
+
+test('paused and cancelled series do not run', () => {
+  assert.strictEqual(seriesTimeOn(series({ status: 'paused' }), '2026-03-02'), null);
+  assert.deepStrictEqual(seriesOccurrences(series({ status: 'cancelled' }), '2026-03-02', '2026-03-08'), []);
+});
+
+test('an update validates only the fields it changes', () => {
+  const existing = series();
+  assert.deepStrictEqual(parseSeriesInput({ days: [5, 1, 5] }, existing), { days: [1, 5] });
+  assert.deepStrictEqual(parseSeriesInput({ skipDates: ['2026-03-10', '2026-03-03', '2026-03-10'] }, existing), { skipDates: ['2026-03-03', '2026-03-10'] });
+  assert.throws(() => parseSeriesInput({ days: [7] }, existing), { statusCode: 400 });
+  assert.throws(() => parseSeriesInput({ days: [] }, existing), { statusCode: 400 });
+  assert.throws(() => parseSeriesInput({ time: '7:30pm' }, existing), { statusCode: 400 });
+  assert.throws(() => parseSeriesInput({ endDate: '2026-03-01' }, existing), { statusCode: 400, message: 'endDate is before startDate' });
+  assert.throws(() => parseSeriesInput({ skipDates: ['2026-02-30'] }, existing), { statusCode: 400 });
+  assert.throws(() => parseSeriesInput({ exceptions: [{ date: '2026-03-04' }] }, existing), { statusCode: 400 });
+});
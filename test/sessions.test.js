@@ -0,0 +1,80 @@
+// Refresh tokens: each refresh rotates the secret, and presenting a rotated secret again revokes the session.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { Session, User, startSession, rotateSession } = require('../server');
+const { fakeModel } = require('./helpers');
+
+const req = { headers: { 'user-agent': 'test' }, ip: '127.0.0.1' };
+
+// One account and an empty sessions collection per test; returns [user, sessions]
+function signedUp(t) {
+  const [user] = fakeModel(t, User, [{ _id: new mongoose.Types.ObjectId(), phone: '+256700000001', role: 'client', phoneVerified: true, disabled: false }]);
+  return [user, fakeModel(t, Session, [])];
+}
+
+test('refreshing swaps the refresh token and issues an access token for the same session', async (t) => {
+  const [user, sessions] = signedUp(t);
+  const first = await startSession(user, req);
+  const next = await rotateSession(first.refreshToken);
+  const [session] = sessions;
+
+  assert.notStrictEqual(next.refreshToken, first.refreshToken);
+  assert.strictEqual(next.refreshToken.split('.')[0], String(session._id));
+  assert.strictEqual(jwt.decode(next.token).sid, String(session._id));
+  assert.ok(session.rotatedAt instanceof Date);
+
+  const again = await rotateSession(next.refreshToken);
+  assert.notStrictEqual(again.refreshToken, next.refreshToken);
+});
+
+test('reusing a rotated refresh token revokes the session', async (t) => {
+  const [user, sessions] = signedUp(t);
+  const first = await startSession(user, req);
+  const next = await rotateSession(first.refreshToken);
+  const [session] = sessions;
+  // Past the grace period for two tabs refreshing at once
+  session.rotatedAt = new Date(Date.now() - 60 * 1000);
+
+  await assert.rejects(rotateSession(first.refreshToken), { statusCode: 401 });
+  assert.ok(session.revokedAt instanceof Date);
+  assert.strictEqual(session.revokedReason, 'refresh_token_reuse');
+  // The legitimate holder of the newest token is signed out too
+  await assert.rejects(rotateSession(next.refreshToken), { statusCode: 401 });
+});
+
+test('a rotated token presented within the grace period is refused without revoking', async (t) => {
+  const [user, sessions] = signedUp(t);
+  const first = await startSession(user, req);
+  const next = await rotateSession(first.refreshToken);
+
+  await assert.rejects(rotateSession(first.refreshToken), { statusCode: 401, message: 'Refresh token already rotated' });
+  assert.ok(!sessions[0].revokedAt);
+  await rotateSession(next.refreshToken);
+});
+
+test('concurrent refreshes with one token: only one succeeds', async (t) => {
+  const [user] = signedUp(t);
+  const first = await startSession(user, req);
+  const results = await Promise.allSettled([rotateSession(first.refreshToken), rotateSession(first.refreshToken)]);
+  assert.deepStrictEqual(results.map(r => r.status).sort(), ['fulfilled', 'rejected']);
+});
+
+test('malformed and unknown refresh tokens are refused', async (t) => {
+  const [user, sessions] = signedUp(t);
+  await startSession(user, req);
+  await assert.rejects(rotateSession(''), { statusCode: 401 });
+  await assert.rejects(rotateSession('not-a-token'), { statusCode: 401 });
+  await assert.rejects(rotateSession(`${String(sessions[0]._id)}.wrong-secret`), { statusCode: 401, message: 'Invalid refresh token' });
+  await assert.rejects(rotateSession(`${new mongoose.Types.ObjectId()}.secret`), { statusCode: 401 });
+  assert.ok(!sessions[0].revokedAt);
+});
+
+test('refreshing for a disabled account revokes the session', async (t) => {
+  const [user, sessions] = signedUp(t);
+  const first = await startSession(user, req);
+  user.disabled = true;
+  await assert.rejects(rotateSession(first.refreshToken), { statusCode: 401 });
+  assert.strictEqual(sessions[0].revokedReason, 'account_disabled');
+});